@@ -0,0 +1,134 @@
+'use strict';
+
+/* eslint-disable no-console */
+
+/**
+ * Compares isValidValue and coerceValue
+ * with functions made by compileValidator and compileCoercer.
+ * Run with "npm run bench".
+ */
+
+const {
+  isValidValue,
+  compileValidator,
+  coerceValue,
+  compileCoercer,
+  generateValue,
+  validateUserTypedefs,
+} = require('../lib');
+
+const ITERATIONS = 2000;
+const SAMPLES = 50;
+
+const userTypedefs = {
+  Point: {
+    type: 'shape',
+    fields: {
+      x: { type: 'float', required: true },
+      y: { type: 'float', required: true },
+    },
+  },
+  
+  Pair: {
+    type: 'tuple',
+    params: ['T'],
+    items: [{ type: 'T' }, { type: 'T' }],
+  },
+  
+  Node: {
+    type: 'shape',
+    fields: {
+      id: { type: 'int', required: true },
+      title: { type: 'string', maxLength: 50 },
+      position: { type: 'Point' },
+      bounds: { type: 'Pair', args: [{ type: 'Point' }] },
+      tags: { type: 'arrayOf', ofType: { type: 'string' }, maxItems: 10 },
+      status: {
+        type: 'oneOf',
+        options: [{ value: 'draft' }, { value: 'published' }],
+      },
+      meta: {
+        type: 'objectOf',
+        ofType: {
+          type: 'union',
+          types: [{ type: 'string' }, { type: 'int' }],
+        },
+      },
+      children: { type: 'arrayOf', ofType: { type: 'Node' } },
+    },
+  },
+};
+
+const typedef = { type: 'arrayOf', ofType: { type: 'Node' } };
+
+/**
+ *
+ * @param {string} name
+ * @param {function(value: *)} fn
+ * @param {*[]} values
+ * @return {number} - Operations per second.
+ */
+const measure = (name, fn, values) => {
+  const start = process.hrtime();
+  
+  for (let i = 0; i < ITERATIONS; i++) {
+    fn(values[i % values.length]);
+  }
+  
+  const [seconds, nanoseconds] = process.hrtime(start);
+  const opsPerSecond = ITERATIONS / (seconds + nanoseconds / 1e9);
+  
+  console.log(`  ${name}: ${Math.round(opsPerSecond)} ops/sec`);
+  return opsPerSecond;
+};
+
+/**
+ *
+ * @param {string} name
+ * @param {function(value: *)} interpretive
+ * @param {function(value: *)} compiled
+ * @param {*[]} values
+ */
+const compare = (name, interpretive, compiled, values) => {
+  values.forEach(value => {
+    if (interpretive(value) !== compiled(value)) {
+      throw new Error(`${name}: results differ`);
+    }
+  });
+  
+  console.log(name);
+  const before = measure('interpretive', interpretive, values);
+  const after = measure('compiled', compiled, values);
+  console.log(`  ${(after / before).toFixed(1)}x faster\n`);
+};
+
+const typedefErrors = validateUserTypedefs(userTypedefs);
+
+if (typedefErrors.length > 0) {
+  throw new Error(
+    `Invalid user typedefs: ${JSON.stringify(typedefErrors, null, 2)}`
+  );
+}
+
+const values = [];
+for (let seed = 1; seed <= SAMPLES; seed++) {
+  values.push(generateValue(typedef, userTypedefs, { seed, maxDepth: 4 }));
+}
+
+compare(
+  'Validation',
+  value => isValidValue(value, typedef, userTypedefs),
+  compileValidator(typedef, userTypedefs),
+  values
+);
+
+const coercer = compileCoercer(typedef, typedef, userTypedefs, userTypedefs);
+
+compare(
+  'Coercion',
+  value => JSON.stringify(
+    coerceValue(value, typedef, typedef, userTypedefs, userTypedefs)
+  ),
+  value => JSON.stringify(coercer(value)),
+  values
+);
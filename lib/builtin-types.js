@@ -1,5 +1,28 @@
 'use strict';
 
+const _mapValues = require('lodash.mapvalues');
+const {
+  ValueErrorCodes,
+  TypedefErrorCodes,
+  IncompatibilityCodes,
+} = require('./error-codes');
+
+const {
+  isNumber,
+  isInteger,
+  isBoolean,
+  isString,
+  returnTrue,
+  returnNull,
+  returnArg,
+  hasOwnProperty,
+  getValueKind,
+  objectToObject,
+  flatten,
+} = require('./utils');
+
+const { compilePattern, makeSimplestMatchingString } = require('./pattern');
+
 /**
  *
  * @type {Object<string, string>}
@@ -16,10 +39,12 @@ const TypeNames = {
   OBJECT_OF: 'objectOf',
   ARRAY: 'array',
   ARRAY_OF: 'arrayOf',
+  TUPLE: 'tuple',
   FUNC: 'func',
   COMPONENT: 'component',
   ELEMENT: 'element',
   RENDERER: 'renderer',
+  UNION: 'union',
   ANY: 'any',
 };
 
@@ -38,22 +63,2629 @@ const BUILTIN_TYPES =
 const isBuiltinType = typeName => BUILTIN_TYPES.has(typeName);
 
 /**
+ * Boolean flags of typedefs. They are printed as wrappers,
+ * e.g. nullable(int); "required" is printed only for shape fields.
+ *
+ * @type {string[]}
+ */
+const TypedefFlags = ['nullable', 'notNull', 'required'];
+
+/**
+ * Optional constraints of each type. The first two are inclusive
+ * lower and upper bounds of numbers themselves (for int and float)
+ * or of lengths of strings and arrays. "pattern" is a source
+ * of a regular expression that strings must match.
+ *
+ * @type {Object<string, string[]>}
+ */
+const TypeConstraints = {
+  [TypeNames.INT]: ['min', 'max'],
+  [TypeNames.FLOAT]: ['min', 'max'],
+  [TypeNames.STRING]: ['minLength', 'maxLength', 'pattern'],
+  [TypeNames.ARRAY_OF]: ['minItems', 'maxItems'],
+};
+
+/**
+ *
+ * @param {BoobenTypeDefinition} typedef
+ * @param {string} key
+ * @return {boolean}
+ */
+const hasConstraint = (typedef, key) => typeof typedef[key] !== 'undefined';
+
+/**
+ *
+ * @param {*} value - Number, string or array.
+ * @param {BoobenTypeDefinition} typedef
+ * @return {boolean}
+ */
+const satisfiesConstraints = (value, typedef) => {
+  const [minKey, maxKey] = TypeConstraints[typedef.type];
+  const measure = typeof value === 'number' ? value : value.length;
+  
+  if (hasConstraint(typedef, minKey) && measure < typedef[minKey]) {
+    return false;
+  }
+  
+  if (hasConstraint(typedef, maxKey) && measure > typedef[maxKey]) {
+    return false;
+  }
+  
+  if (!hasConstraint(typedef, 'pattern')) return true;
+  
+  // Nothing matches invalid patterns
+  const regExp = compilePattern(typedef.pattern);
+  return regExp !== null && regExp.test(value);
+};
+
+/**
+ * Checks that every value allowed by constraints of typedef2
+ * is allowed by constraints of typedef1
+ *
+ * @param {BoobenTypeDefinition} typedef1
+ * @param {BoobenTypeDefinition} typedef2
+ * @return {boolean}
+ */
+const constraintsContain = (typedef1, typedef2) => {
+  const [minKey, maxKey] = TypeConstraints[typedef1.type];
+  
+  // Tuples are arrays of fixed length
+  const getBound = key => typedef2.type === TypeNames.TUPLE
+    ? typedef2.items.length
+    : typedef2[key];
+  
+  if (
+    hasConstraint(typedef1, minKey) &&
+    !(getBound(minKey) >= typedef1[minKey])
+  ) {
+    return false;
+  }
+  
+  if (
+    hasConstraint(typedef1, maxKey) &&
+    !(getBound(maxKey) <= typedef1[maxKey])
+  ) {
+    return false;
+  }
+  
+  // Patterns are too hard to compare, so they must be the same
+  return !hasConstraint(typedef1, 'pattern') ||
+    typedef1.pattern === typedef2.pattern;
+};
+
+/**
+ *
+ * @param {BoobenTypeDefinition} typedef1
+ * @param {BoobenTypeDefinition} typedef2
+ * @return {boolean}
+ */
+const constraintsAreEqual = (typedef1, typedef2) =>
+  TypeConstraints[typedef1.type].every(key =>
+    typedef1[key] === typedef2[key]);
+
+/**
+ * Prints constraints as "key:value" pairs, e.g. "min:1"
+ *
+ * @param {BoobenTypeDefinition} typedef
+ * @return {string[]}
+ */
+const printConstraints = typedef => TypeConstraints[typedef.type]
+  .filter(key => hasConstraint(typedef, key))
+  .map(key => `${key}:${JSON.stringify(typedef[key])}`);
+
+/**
+ *
+ * @param {string} typeName
+ * @param {BoobenTypeDefinition} typedef
+ * @return {string}
+ */
+const printConstrainedType = (typeName, typedef) => {
+  const constraints = printConstraints(typedef);
+  
+  return constraints.length > 0
+    ? `${typeName}(${constraints.join(', ')})`
+    : typeName;
+};
+
+/**
+ * Moves the number inside bounds of the typedef
+ *
+ * @param {number} number
+ * @param {BoobenTypeDefinition} typedef
+ * @param {boolean} integer - Round bounds to integers.
+ * @return {number}
+ */
+const clampToBounds = (number, typedef, integer) => {
+  const [minKey, maxKey] = TypeConstraints[typedef.type];
+  let ret = number;
+  
+  if (hasConstraint(typedef, minKey)) {
+    const min = integer ? Math.ceil(typedef[minKey]) : typedef[minKey];
+    if (ret < min) ret = min;
+  }
+  
+  if (hasConstraint(typedef, maxKey)) {
+    const max = integer ? Math.floor(typedef[maxKey]) : typedef[maxKey];
+    if (ret > max) ret = max;
+  }
+  
+  return ret;
+};
+
+/**
+ * Values of "$$typeof" property of React elements.
+ * Old React versions use numbers where Symbol is not available.
+ * React itself is not required.
+ *
+ * @type {Array<(symbol|number)>}
+ */
+const REACT_ELEMENT_TYPES = [
+  Symbol.for('react.element'),
+  Symbol.for('react.transitional.element'),
+  0xeac7,
+];
+
+/**
+ * Values of "$$typeof" property of components created
+ * with React.forwardRef, React.memo and React.lazy
  *
- * @type {Set<string>}
+ * @type {Array<(symbol|number)>}
  */
-const NULLABLE_TYPES = new Set([
-  TypeNames.SHAPE,
-  TypeNames.OBJECT,
-  TypeNames.OBJECT_OF,
-]);
+const REACT_COMPONENT_OBJECT_TYPES = [
+  Symbol.for('react.forward_ref'),
+  Symbol.for('react.memo'),
+  Symbol.for('react.lazy'),
+  0xead0,
+  0xead3,
+  0xead4,
+];
 
 /**
  *
- * @param {string} type
+ * @param {*} value
  * @return {boolean}
  */
-const isNullableType = type => NULLABLE_TYPES.has(type);
+const isReactElement = value =>
+  typeof value === 'object' &&
+  value !== null &&
+  REACT_ELEMENT_TYPES.indexOf(value.$$typeof) !== -1;
+
+/**
+ * Function and class components are functions,
+ * other components are objects with special "$$typeof"
+ *
+ * @param {*} value
+ * @return {boolean}
+ */
+const isReactComponent = value =>
+  typeof value === 'function' || (
+    typeof value === 'object' &&
+    value !== null &&
+    REACT_COMPONENT_OBJECT_TYPES.indexOf(value.$$typeof) !== -1
+  );
+
+/**
+ * Returns the name React DevTools would show for the component
+ * (forwardRef and memo components are named after wrapped ones)
+ *
+ * @param {*} component
+ * @return {string}
+ */
+const getComponentName = component => {
+  if (!component) return '';
+  if (component.displayName) return component.displayName;
+  if (typeof component === 'function') return component.name || '';
+  if (component.render) return getComponentName(component.render);
+  if (component.type) return getComponentName(component.type);
+  return '';
+};
+
+/**
+ * Checks restriction of component typedef to specific components
+ *
+ * @param {*} component
+ * @param {BoobenTypeDefinition} typedef
+ * @return {boolean}
+ */
+const isAllowedComponent = (component, typedef) =>
+  !Array.isArray(typedef.components) ||
+  typedef.components.indexOf(getComponentName(component)) !== -1;
+
+/**
+ * Whether the func typedef declares arguments
+ *
+ * @param {BoobenTypeDefinition} typedef
+ * @return {boolean}
+ */
+const hasArgs = typedef => Array.isArray(typedef.args);
+
+/**
+ * Whether the func typedef declares the return type
+ *
+ * @param {BoobenTypeDefinition} typedef
+ * @return {boolean}
+ */
+const hasReturns = typedef => hasOwnProperty(typedef, 'returns');
+
+/**
+ * Field names that parseType reads without quotes
+ *
+ * @type {RegExp}
+ */
+const PLAIN_FIELD_NAME_RE = /^[A-Za-z_$][A-Za-z0-9_$-]*$/;
+
+/**
+ *
+ * @param {string} fieldName
+ * @return {string}
+ */
+const printFieldName = fieldName => PLAIN_FIELD_NAME_RE.test(fieldName)
+  ? fieldName
+  : JSON.stringify(fieldName);
+
+/**
+ * Decimal numbers, optionally surrounded by whitespace
+ *
+ * @type {RegExp}
+ */
+const NUMERIC_STRING_RE = /^\s*[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?\s*$/;
+
+/**
+ * Returns NaN if the string is not a decimal number
+ *
+ * @param {string} string
+ * @return {number}
+ */
+const parseNumericString = string =>
+  NUMERIC_STRING_RE.test(string) ? Number(string) : NaN;
+
+/**
+ *
+ * @param {OneOfOption[]} options1
+ * @param {OneOfOption[]} options2
+ * @return {boolean}
+ */
+const oneOfOptionsAreEqual = (options1, options2) => {
+  if (options1.length !== options2.length) return false;
+  
+  return options1.every(option1 =>
+    !!options2.find(option2 => option2.value === option1.value));
+};
+
+/**
+ * Creates definitions of all built-in types.
+ * Definitions refer to each other through the type system internals.
+ *
+ * @param {Object} internals
+ * @return {Object<string, TypeDefinition>}
+ */
+const createBuiltinTypes = internals => {
+  const {
+    isValidValue,
+    _validateValue,
+    _printType,
+    _isEqualType,
+    _explainCompatibility,
+    _makeDefaultValue,
+    _coerceValue,
+    _validateTypedef,
+    makeValueError,
+    makeTypedefError,
+    makeIncompatibility,
+    makeCoercionError,
+    isNullableTypedef,
+  } = internals;
+  
+  /**
+   * Coerces values to the first union member that can take them.
+   * Members of the same type as the value are tried first.
+   *
+   * @param {*} value
+   * @param {BoobenTypeDefinition} typedefFrom
+   * @param {BoobenTypeDefinition} typedefTo
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefsFrom
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefsTo
+   * @param {Object} options
+   * @param {(string|number)[]} path
+   * @return {*}
+   */
+  const coerceToUnion = (
+    value,
+    typedefFrom,
+    typedefTo,
+    userTypedefsFrom,
+    userTypedefsTo,
+    options,
+    path
+  ) => {
+    const sameTypeMembers = typedefTo.types.filter(memberTypedef =>
+      _isEqualType(
+        memberTypedef,
+        typedefFrom,
+        userTypedefsTo,
+        userTypedefsFrom
+      ));
+    
+    const memberTypedefs = sameTypeMembers.concat(typedefTo.types.filter(
+      memberTypedef => sameTypeMembers.indexOf(memberTypedef) === -1
+    ));
+    
+    for (let i = 0; i < memberTypedefs.length; i++) {
+      try {
+        const coercedValue = _coerceValue(
+          value,
+          typedefFrom,
+          memberTypedefs[i],
+          userTypedefsFrom,
+          userTypedefsTo,
+          options,
+          path
+        );
+        
+        if (isValidValue(coercedValue, memberTypedefs[i], userTypedefsTo)) {
+          return coercedValue;
+        }
+      } catch (err) {
+        // Not a coercion failure
+        if (!Array.isArray(err.path)) throw err;
+      }
+    }
+    
+    throw makeCoercionError(
+      `Cannot coerce '${typedefFrom.type}' ` +
+      `to '${_printType(typedefTo, userTypedefsTo, [])}'`,
+      path
+    );
+  };
+  
+  /**
+   * Coerces arrays to tuples of the same length
+   *
+   * @param {Array} value
+   * @param {function(index: number): BoobenTypeDefinition} getItemTypedefFrom
+   * @param {BoobenTypeDefinition} typedefTo
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefsFrom
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefsTo
+   * @param {Object} options
+   * @param {(string|number)[]} path
+   * @return {Array}
+   */
+  const coerceToTuple = (
+    value,
+    getItemTypedefFrom,
+    typedefTo,
+    userTypedefsFrom,
+    userTypedefsTo,
+    options,
+    path
+  ) => {
+    if (value.length !== typedefTo.items.length) {
+      throw makeCoercionError(
+        `Cannot coerce array of ${value.length} item(s) ` +
+        `to '${_printType(typedefTo, userTypedefsTo, [])}'`,
+        path
+      );
+    }
+    
+    return value.map((item, index) => _coerceValue(
+      item,
+      getItemTypedefFrom(index),
+      typedefTo.items[index],
+      userTypedefsFrom,
+      userTypedefsTo,
+      options,
+      path.concat(index)
+    ));
+  };
+  
+  /**
+   * Creates lenient coercion function that parses numeric strings
+   *
+   * @param {function(value: *): boolean} isValidNumber
+   * @return {Function}
+   */
+  const parseNumber = isValidNumber => (
+    value,
+    typedefFrom,
+    typedefTo,
+    userTypedefsFrom,
+    userTypedefsTo,
+    options,
+    path
+  ) => {
+    const number = parseNumericString(value);
+    
+    if (!isValidNumber(number)) {
+      throw makeCoercionError(
+        `Cannot parse '${value}' as '${typedefTo.type}'`,
+        path
+      );
+    }
+    
+    if (!satisfiesConstraints(number, typedefTo)) {
+      throw makeCoercionError(
+        `'${value}' does not satisfy ` +
+        `'${_printType(typedefTo, userTypedefsTo, [])}'`,
+        path
+      );
+    }
+    
+    return number;
+  };
+  
+  /**
+   * Lenient coercion of scalar values to oneOf
+   *
+   * @param {*} value
+   * @param {BoobenTypeDefinition} typedefFrom
+   * @param {BoobenTypeDefinition} typedefTo
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefsFrom
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefsTo
+   * @param {Object} options
+   * @param {(string|number)[]} path
+   * @return {*}
+   */
+  const coerceToOneOf = (
+    value,
+    typedefFrom,
+    typedefTo,
+    userTypedefsFrom,
+    userTypedefsTo,
+    options,
+    path
+  ) => {
+    if (!typedefTo.options.some(option => option.value === value)) {
+      throw makeCoercionError(
+        `Value ${JSON.stringify(value)} is not one of oneOf options`,
+        path
+      );
+    }
+    
+    return value;
+  };
+  
+  /**
+   * Lenient coercion of objects to shape. Typedefs of the source values
+   * are taken from getFieldTypedefFrom, fields unknown to the shape
+   * are dropped.
+   *
+   * @param {?Object} value
+   * @param {function(fieldName: string): ?BoobenTypeDefinition} getFieldTypedefFrom
+   * @param {BoobenTypeDefinition} typedefTo
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefsFrom
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefsTo
+   * @param {Object} options
+   * @param {(string|number)[]} path
+   * @return {?Object}
+   */
+  const coerceToShape = (
+    value,
+    getFieldTypedefFrom,
+    typedefTo,
+    userTypedefsFrom,
+    userTypedefsTo,
+    options,
+    path
+  ) => {
+    const ret = {};
+    
+    Object.keys(typedefTo.fields).forEach(fieldName => {
+      const fieldTypedefTo = typedefTo.fields[fieldName];
+      const fieldTypedefFrom = getFieldTypedefFrom(fieldName);
+      const fieldPath = path.concat(fieldName);
+      
+      if (
+        fieldTypedefFrom === null ||
+        typeof value[fieldName] === 'undefined'
+      ) {
+        if (fieldTypedefTo.required) {
+          throw makeCoercionError(
+            `Missing required field '${fieldName}'`,
+            fieldPath
+          );
+        }
+        
+        return;
+      }
+      
+      ret[fieldName] = _coerceValue(
+        value[fieldName],
+        fieldTypedefFrom,
+        fieldTypedefTo,
+        userTypedefsFrom,
+        userTypedefsTo,
+        options,
+        fieldPath
+      );
+    });
+    
+    return ret;
+  };
+  
+  /**
+   * Creates explainCompatibility function for types without parameters
+   * that accept values of the listed types
+   *
+   * @param {...string} typeNames
+   * @return {Function}
+   */
+  const acceptTypes = (...typeNames) => (
+    typedef1,
+    typedef2,
+    userTypedefs1,
+    userTypedefs2,
+    visited,
+    path
+  ) => (
+    typeNames.indexOf(typedef2.type) !== -1
+      ? []
+      : [makeIncompatibility(
+        IncompatibilityCodes.TYPE_MISMATCH,
+        typedef1,
+        typedef2,
+        userTypedefs1,
+        userTypedefs2,
+        path
+      )]
+  );
+  
+  /**
+   * Explains compatibility of "ofType" of arrayOf and objectOf typedefs
+   *
+   * @param {BoobenTypeDefinition} typedef1
+   * @param {BoobenTypeDefinition} typedef2
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefs1
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefs2
+   * @param {string[][]} visited
+   * @param {(string|number)[]} path
+   * @return {IncompatibilityReason[]}
+   */
+  const explainOfType = (
+    typedef1,
+    typedef2,
+    userTypedefs1,
+    userTypedefs2,
+    visited,
+    path
+  ) => {
+    const causes = _explainCompatibility(
+      typedef1.ofType,
+      typedef2.ofType,
+      userTypedefs1,
+      userTypedefs2,
+      false,
+      visited,
+      path.concat('ofType')
+    );
+    
+    return causes.length > 0
+      ? [makeIncompatibility(
+        IncompatibilityCodes.OF_TYPE_MISMATCH,
+        typedef1,
+        typedef2,
+        userTypedefs1,
+        userTypedefs2,
+        path,
+        causes
+      )]
+      : [];
+  };
+  
+  /**
+   * Adds the check of constraints to explainCompatibility function
+   * of a constrained type
+   *
+   * @param {Function} explainCompatibility
+   * @return {Function}
+   */
+  const withConstraints = explainCompatibility => (
+    typedef1,
+    typedef2,
+    userTypedefs1,
+    userTypedefs2,
+    visited,
+    path
+  ) => {
+    const reasons = explainCompatibility(
+      typedef1,
+      typedef2,
+      userTypedefs1,
+      userTypedefs2,
+      visited,
+      path
+    );
+    
+    if (reasons.length > 0 || constraintsContain(typedef1, typedef2)) {
+      return reasons;
+    }
+    
+    return [makeIncompatibility(
+      IncompatibilityCodes.CONSTRAINT_MISMATCH,
+      typedef1,
+      typedef2,
+      userTypedefs1,
+      userTypedefs2,
+      path
+    )];
+  };
+  
+  /**
+   * Creates getErrors function for int, float and string types
+   * that tells type mismatches from constraint violations
+   *
+   * @param {function(value: *): boolean} isValidType
+   * @return {Function}
+   */
+  const getConstrainedErrors = isValidType => (
+    value,
+    typedef,
+    userTypedefs,
+    path
+  ) => {
+    if (isValidType(value) && satisfiesConstraints(value, typedef)) return [];
+    
+    return [makeValueError(
+      isValidType(value)
+        ? ValueErrorCodes.CONSTRAINT_VIOLATION
+        : ValueErrorCodes.TYPE_MISMATCH,
+      value,
+      typedef,
+      userTypedefs,
+      path
+    )];
+  };
+  
+  /**
+   * Checks constraints of int, float, string and arrayOf typedefs
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {(string|number)[]} path
+   * @return {TypedefValidationError[]}
+   */
+  const getConstraintsTypedefErrors = (typedef, path) => {
+    const [minKey, maxKey] = TypeConstraints[typedef.type];
+    const isNumeric = typedef.type === TypeNames.INT ||
+      typedef.type === TypeNames.FLOAT;
+    
+    const isValidBound = isNumeric
+      ? isNumber
+      : bound => isInteger(bound) && bound >= 0;
+    
+    const errors = [];
+    
+    [minKey, maxKey].forEach(key => {
+      if (hasConstraint(typedef, key) && !isValidBound(typedef[key])) {
+        errors.push(makeTypedefError(
+          TypedefErrorCodes.INVALID_PROPERTY,
+          path.concat(key),
+          isNumeric
+            ? `'${key}' must be a number`
+            : `'${key}' must be a non-negative integer`
+        ));
+      }
+    });
+    
+    if (
+      errors.length === 0 &&
+      hasConstraint(typedef, minKey) &&
+      hasConstraint(typedef, maxKey) &&
+      typedef[minKey] > typedef[maxKey]
+    ) {
+      errors.push(makeTypedefError(
+        TypedefErrorCodes.INVALID_PROPERTY,
+        path.concat(maxKey),
+        `'${maxKey}' must not be less than '${minKey}'`
+      ));
+    }
+    
+    if (
+      errors.length === 0 &&
+      typedef.type === TypeNames.INT &&
+      hasConstraint(typedef, minKey) &&
+      hasConstraint(typedef, maxKey) &&
+      Math.ceil(typedef[minKey]) > Math.floor(typedef[maxKey])
+    ) {
+      errors.push(makeTypedefError(
+        TypedefErrorCodes.INVALID_PROPERTY,
+        path.concat(maxKey),
+        `There are no integers between '${minKey}' and '${maxKey}'`
+      ));
+    }
+    
+    if (hasConstraint(typedef, 'pattern')) {
+      let message = '';
+      
+      if (!isString(typedef.pattern)) {
+        message = "'pattern' must be a string";
+      } else {
+        try {
+          new RegExp(typedef.pattern); // eslint-disable-line no-new
+        } catch (err) {
+          message = "'pattern' is not a valid regular expression: " +
+            `${err.message}`;
+        }
+      }
+      
+      if (message) {
+        errors.push(makeTypedefError(
+          TypedefErrorCodes.INVALID_PROPERTY,
+          path.concat('pattern'),
+          message
+        ));
+      }
+    }
+    
+    return errors;
+  };
+  
+  /**
+   * Checks the parts common to "object", "objectOf" and "shape" values.
+   * Returns null if the value is an object and its contents
+   * should be checked further.
+   *
+   * @param {*} value
+   * @param {BoobenTypeDefinition} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefs
+   * @param {(string|number)[]} path
+   * @return {?ValueValidationError[]}
+   */
+  const getObjectErrors = (value, typedef, userTypedefs, path) => {
+    if (typeof value !== 'object') {
+      return [makeValueError(
+        ValueErrorCodes.TYPE_MISMATCH,
+        value,
+        typedef,
+        userTypedefs,
+        path
+      )];
+    }
+    
+    return null;
+  };
+  
+  /**
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {(string|number)[]} path
+   * @return {TypedefValidationError[]}
+   */
+  const getOneOfOptionsErrors = (typedef, path) => {
+    const optionsPath = path.concat('options');
+    
+    if (!hasOwnProperty(typedef, 'options')) {
+      return [makeTypedefError(
+        TypedefErrorCodes.MISSING_PROPERTY,
+        optionsPath,
+        "'oneOf' type requires 'options'"
+      )];
+    }
+    
+    if (!Array.isArray(typedef.options)) {
+      return [makeTypedefError(
+        TypedefErrorCodes.INVALID_PROPERTY,
+        optionsPath,
+        "'options' must be an array"
+      )];
+    }
+    
+    if (typedef.options.length === 0) {
+      return [makeTypedefError(
+        TypedefErrorCodes.EMPTY_ONE_OF_OPTIONS,
+        optionsPath,
+        "'options' must not be empty"
+      )];
+    }
+    
+    const errors = [];
+    
+    typedef.options.forEach((option, idx) => {
+      const optionPath = optionsPath.concat(idx);
+      
+      if (getValueKind(option) !== 'object') {
+        errors.push(makeTypedefError(
+          TypedefErrorCodes.INVALID_PROPERTY,
+          optionPath,
+          'oneOf option must be an object'
+        ));
+        
+        return;
+      }
+      
+      if (!hasOwnProperty(option, 'value')) {
+        errors.push(makeTypedefError(
+          TypedefErrorCodes.MISSING_PROPERTY,
+          optionPath.concat('value'),
+          "oneOf option requires 'value'"
+        ));
+      } else {
+        const isDuplicate = typedef.options
+          .slice(0, idx)
+          .some(prevOption =>
+            getValueKind(prevOption) === 'object' &&
+            prevOption.value === option.value);
+        
+        if (isDuplicate) {
+          errors.push(makeTypedefError(
+            TypedefErrorCodes.DUPLICATE_ONE_OF_OPTION,
+            optionPath,
+            `Duplicate oneOf option: ${JSON.stringify(option.value)}`
+          ));
+        }
+      }
+      
+      if (hasOwnProperty(option, 'textKey') && !isString(option.textKey)) {
+        errors.push(makeTypedefError(
+          TypedefErrorCodes.INVALID_PROPERTY,
+          optionPath.concat('textKey'),
+          "'textKey' must be a string"
+        ));
+      }
+    });
+    
+    return errors;
+  };
+  
+  /**
+   * Checks a nested typedef (like "ofType") that a typedef requires
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {string} key
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefs
+   * @param {(string|number)[]} path
+   * @return {TypedefValidationError[]}
+   */
+  const getNestedTypedefErrors = (typedef, key, userTypedefs, path) => {
+    if (!hasOwnProperty(typedef, key)) {
+      return [makeTypedefError(
+        TypedefErrorCodes.MISSING_PROPERTY,
+        path.concat(key),
+        `'${typedef.type}' type requires '${key}'`
+      )];
+    }
+    
+    return _validateTypedef(typedef[key], userTypedefs, path.concat(key));
+  };
+  
+  /**
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {function(typedef: BoobenTypeDefinition, path: (string|number)[]): BoobenTypeDefinition} fn
+   * @return {BoobenTypeDefinition}
+   */
+  const mapOfType = (typedef, fn) =>
+    Object.assign({}, typedef, { ofType: fn(typedef.ofType, ['ofType']) });
+  
+  /* eslint-disable quote-props */
+  return {
+    [TypeNames.STRING]: {
+      validate: (value, typedef) =>
+        isString(value) && satisfiesConstraints(value, typedef),
+      
+      getErrors: getConstrainedErrors(isString),
+      getTypedefErrors: (typedef, _, path) =>
+        getConstraintsTypedefErrors(typedef, path),
+      
+      print: typedef => printConstrainedType('string', typedef),
+      isEqualType: constraintsAreEqual,
+      explainCompatibility: withConstraints(acceptTypes(
+        TypeNames.STRING,
+        TypeNames.INT,
+        TypeNames.FLOAT
+      )),
+      
+      makeDefaultValue: typedef => {
+        const minLength = typedef.minLength || 0;
+        let value = ' '.repeat(minLength);
+        
+        if (hasConstraint(typedef, 'pattern')) {
+          try {
+            value = makeSimplestMatchingString(typedef.pattern, {
+              minLength,
+              maxLength: typedef.maxLength,
+            });
+          } catch (err) {
+            throw new Error(
+              'Cannot make default value of ' +
+              `'${printConstrainedType('string', typedef)}': ${err.message}`
+            );
+          }
+        }
+        
+        if (!satisfiesConstraints(value, typedef)) {
+          throw new Error(
+            'Cannot make default value of ' +
+            `'${printConstrainedType('string', typedef)}'`
+          );
+        }
+        
+        return value;
+      },
+      coerce: {
+        [TypeNames.STRING]: returnArg,
+        [TypeNames.INT]: value => String(value),
+        [TypeNames.FLOAT]: value => String(value),
+      },
+    },
+    
+    [TypeNames.BOOL]: {
+      validate: isBoolean,
+      print: () => 'bool',
+      isEqualType: returnTrue,
+      explainCompatibility: acceptTypes(
+        TypeNames.BOOL,
+        TypeNames.STRING,
+        TypeNames.INT,
+        TypeNames.FLOAT
+      ),
+      
+      makeDefaultValue: () => false,
+      coerce: {
+        [TypeNames.BOOL]: returnArg,
+        [TypeNames.STRING]: value => value.length !== 0,
+        [TypeNames.INT]: value => value !== 0,
+        [TypeNames.FLOAT]: value => value !== 0,
+      },
+    },
+    
+    [TypeNames.INT]: {
+      validate: (value, typedef) =>
+        isInteger(value) && satisfiesConstraints(value, typedef),
+      
+      getErrors: getConstrainedErrors(isInteger),
+      getTypedefErrors: (typedef, _, path) =>
+        getConstraintsTypedefErrors(typedef, path),
+      
+      print: typedef => printConstrainedType('int', typedef),
+      isEqualType: constraintsAreEqual,
+      explainCompatibility: withConstraints(acceptTypes(TypeNames.INT)),
+      makeDefaultValue: typedef => clampToBounds(0, typedef, true),
+      coerce: {
+        [TypeNames.INT]: returnArg,
+      },
+      
+      lenientCoerce: {
+        [TypeNames.STRING]: parseNumber(isInteger),
+      },
+    },
+    
+    [TypeNames.FLOAT]: {
+      validate: (value, typedef) =>
+        isNumber(value) && satisfiesConstraints(value, typedef),
+      
+      getErrors: getConstrainedErrors(isNumber),
+      getTypedefErrors: (typedef, _, path) =>
+        getConstraintsTypedefErrors(typedef, path),
+      
+      print: typedef => printConstrainedType('float', typedef),
+      isEqualType: constraintsAreEqual,
+      explainCompatibility: withConstraints(
+        acceptTypes(TypeNames.FLOAT, TypeNames.INT)
+      ),
+      
+      makeDefaultValue: typedef => clampToBounds(0, typedef, false),
+      coerce: {
+        [TypeNames.FLOAT]: returnArg,
+        [TypeNames.INT]: returnArg,
+      },
+      
+      lenientCoerce: {
+        [TypeNames.STRING]: parseNumber(isNumber),
+      },
+    },
+    
+    [TypeNames.SCALAR]: {
+      validate: value => isNumber(value) || isBoolean(value) || isString(value),
+      getTypedefErrors: (typedef, _, path) =>
+        hasOwnProperty(typedef, 'name') && !isString(typedef.name)
+          ? [makeTypedefError(
+            TypedefErrorCodes.INVALID_PROPERTY,
+            path.concat('name'),
+            "'name' must be a string"
+          )]
+          : [],
+      
+      print: typedef => typedef.name
+        ? `scalar(${printFieldName(typedef.name)})`
+        : 'scalar',
+      isEqualType: (typedef1, typedef2) => typedef1.name === typedef2.name,
+      explainCompatibility: (
+        typedef1,
+        typedef2,
+        userTypedefs1,
+        userTypedefs2,
+        visited,
+        path
+      ) => {
+        if (typedef2.type !== TypeNames.SCALAR) {
+          return acceptTypes(TypeNames.SCALAR)(
+            typedef1,
+            typedef2,
+            userTypedefs1,
+            userTypedefs2,
+            visited,
+            path
+          );
+        }
+        
+        return typedef2.name === typedef1.name
+          ? []
+          : [makeIncompatibility(
+            IncompatibilityCodes.SCALAR_NAME_MISMATCH,
+            typedef1,
+            typedef2,
+            userTypedefs1,
+            userTypedefs2,
+            path
+          )];
+      },
+      
+      makeDefaultValue: () => '',
+      coerce: {
+        [TypeNames.SCALAR]: returnArg,
+      },
+    },
+    
+    [TypeNames.ONE_OF]: {
+      validate: (value, typedef) =>
+        typedef.options.some(option => option.value === value),
+      
+      getErrors: (value, typedef, userTypedefs, path) =>
+        typedef.options.some(option => option.value === value)
+          ? []
+          : [makeValueError(
+            ValueErrorCodes.NOT_IN_ONE_OF_OPTIONS,
+            value,
+            typedef,
+            userTypedefs,
+            path
+          )],
+      
+      getTypedefErrors: (typedef, _, path) => getOneOfOptionsErrors(
+        typedef,
+        path
+      ),
+      
+      print: typedef => {
+        const options = typedef.options
+          .map(({ value }) => JSON.stringify(value))
+          .join(', ');
+        
+        return `oneOf(${options})`;
+      },
+      
+      isEqualType: (typedef1, typedef2) => oneOfOptionsAreEqual(
+        typedef1.options,
+        typedef2.options
+      ),
+      
+      explainCompatibility: (
+        typedef1,
+        typedef2,
+        userTypedefs1,
+        userTypedefs2,
+        visited,
+        path
+      ) => {
+        if (typedef2.type !== TypeNames.ONE_OF) {
+          return acceptTypes(TypeNames.ONE_OF)(
+            typedef1,
+            typedef2,
+            userTypedefs1,
+            userTypedefs2,
+            visited,
+            path
+          );
+        }
+        
+        return oneOfOptionsAreEqual(typedef1.options, typedef2.options)
+          ? []
+          : [makeIncompatibility(
+            IncompatibilityCodes.ONE_OF_OPTIONS_MISMATCH,
+            typedef1,
+            typedef2,
+            userTypedefs1,
+            userTypedefs2,
+            path
+          )];
+      },
+      
+      makeDefaultValue: typedef => typedef.options[0].value,
+      coerce: {
+        [TypeNames.ONE_OF]: returnArg,
+      },
+      
+      lenientCoerce: {
+        [TypeNames.STRING]: coerceToOneOf,
+        [TypeNames.BOOL]: coerceToOneOf,
+        [TypeNames.INT]: coerceToOneOf,
+        [TypeNames.FLOAT]: coerceToOneOf,
+        [TypeNames.SCALAR]: coerceToOneOf,
+        [TypeNames.ONE_OF]: coerceToOneOf,
+      },
+    },
+    
+    [TypeNames.ARRAY]: {
+      validate: value => Array.isArray(value),
+      print: () => 'array',
+      isEqualType: returnTrue,
+      explainCompatibility: acceptTypes(
+        TypeNames.ARRAY,
+        TypeNames.ARRAY_OF,
+        TypeNames.TUPLE
+      ),
+      
+      makeDefaultValue: () => [],
+      getNestedTypedef: (typedef, key) =>
+        typeof key === 'number' ? { type: TypeNames.ANY } : null,
+      
+      coerce: {
+        [TypeNames.ARRAY]: returnArg,
+        [TypeNames.ARRAY_OF]: returnArg,
+        [TypeNames.TUPLE]: returnArg,
+      },
+    },
+    
+    [TypeNames.ARRAY_OF]: {
+      validate: (value, typedef, userTypedefs) =>
+      Array.isArray(value) &&
+      satisfiesConstraints(value, typedef) &&
+      value.every(item => isValidValue(item, typedef.ofType, userTypedefs)),
+      
+      compileValidator: (typedef, compileNested) => {
+        const isValidItem = compileNested(typedef.ofType);
+        
+        return value =>
+          Array.isArray(value) &&
+          satisfiesConstraints(value, typedef) &&
+          value.every(item => isValidItem(item));
+      },
+      
+      getErrors: (value, typedef, userTypedefs, path) => {
+        if (!Array.isArray(value)) {
+          return [makeValueError(
+            ValueErrorCodes.TYPE_MISMATCH,
+            value,
+            typedef,
+            userTypedefs,
+            path
+          )];
+        }
+        
+        const errors = satisfiesConstraints(value, typedef)
+          ? []
+          : [makeValueError(
+            ValueErrorCodes.CONSTRAINT_VIOLATION,
+            value,
+            typedef,
+            userTypedefs,
+            path
+          )];
+        
+        return errors.concat(flatten(value.map((item, idx) => _validateValue(
+          item,
+          typedef.ofType,
+          userTypedefs,
+          path.concat(idx)
+        ))));
+      },
+      
+      getTypedefErrors: (typedef, userTypedefs, path) =>
+        getNestedTypedefErrors(typedef, 'ofType', userTypedefs, path)
+          .concat(getConstraintsTypedefErrors(typedef, path)),
+      
+      print: (typedef, userTypedefs, visited) => {
+        const args = [_printType(typedef.ofType, userTypedefs, visited)]
+          .concat(printConstraints(typedef));
+        
+        return `arrayOf(${args.join(', ')})`;
+      },
+      
+      isEqualType: (
+        typedef1,
+        typedef2,
+        userTypedefs1,
+        userTypedefs2,
+        visited
+      ) =>
+        constraintsAreEqual(typedef1, typedef2) &&
+        _isEqualType(
+          typedef1.ofType,
+          typedef2.ofType,
+          userTypedefs1,
+          userTypedefs2,
+          false,
+          visited
+        ),
+      
+      explainCompatibility: withConstraints((
+        typedef1,
+        typedef2,
+        userTypedefs1,
+        userTypedefs2,
+        visited,
+        path
+      ) => {
+        if (typedef2.type === TypeNames.ARRAY_OF) {
+          return explainOfType(
+            typedef1,
+            typedef2,
+            userTypedefs1,
+            userTypedefs2,
+            visited,
+            path
+          );
+        }
+        
+        if (typedef2.type !== TypeNames.TUPLE) {
+          return acceptTypes(TypeNames.ARRAY_OF)(
+            typedef1,
+            typedef2,
+            userTypedefs1,
+            userTypedefs2,
+            visited,
+            path
+          );
+        }
+        
+        // Tuple items of any position must fit
+        const causes = flatten(typedef2.items.map(itemTypedef =>
+          _explainCompatibility(
+            typedef1.ofType,
+            itemTypedef,
+            userTypedefs1,
+            userTypedefs2,
+            false,
+            visited,
+            path.concat('ofType')
+          )));
+        
+        return causes.length > 0
+          ? [makeIncompatibility(
+            IncompatibilityCodes.OF_TYPE_MISMATCH,
+            typedef1,
+            typedef2,
+            userTypedefs1,
+            userTypedefs2,
+            path,
+            causes
+          )]
+          : [];
+      }),
+      
+      // Arrays with "minItems" get as many default items
+      makeDefaultValue: (typedef, userTypedefs, options, visited) => {
+        const itemOptions = options.deepNonNull
+          ? options
+          : { nonNull: false, deepNonNull: false };
+        
+        const ret = [];
+        
+        for (let i = 0; i < (typedef.minItems || 0); i++) {
+          ret.push(_makeDefaultValue(
+            typedef.ofType,
+            userTypedefs,
+            itemOptions,
+            visited
+          ));
+        }
+        
+        return ret;
+      },
+      
+      getNestedTypedef: (typedef, key) =>
+        typeof key === 'number' ? typedef.ofType : null,
+      
+      mapNestedTypedefs: mapOfType,
+      
+      coerce: {
+        [TypeNames.ARRAY_OF]: (
+            value,
+            typedefFrom,
+            typedefTo,
+            userTypedefsFrom,
+            userTypedefsTo,
+            options,
+            path
+          ) => value.map((item, index) => _coerceValue(
+            item,
+            typedefFrom.ofType,
+            typedefTo.ofType,
+            userTypedefsFrom,
+            userTypedefsTo,
+            options,
+            path.concat(index)
+          )),
+        
+        [TypeNames.TUPLE]: (
+          value,
+          typedefFrom,
+          typedefTo,
+          userTypedefsFrom,
+          userTypedefsTo,
+          options,
+          path
+        ) => value.map((item, index) => _coerceValue(
+          item,
+          typedefFrom.items[index],
+          typedefTo.ofType,
+          userTypedefsFrom,
+          userTypedefsTo,
+          options,
+          path.concat(index)
+        )),
+      },
+    },
+    
+    [TypeNames.TUPLE]: {
+      validate: (value, typedef, userTypedefs) =>
+        Array.isArray(value) &&
+        value.length === typedef.items.length &&
+        value.every((item, idx) =>
+          isValidValue(item, typedef.items[idx], userTypedefs)),
+      
+      compileValidator: (typedef, compileNested) => {
+        const itemValidators = typedef.items.map(itemTypedef =>
+          compileNested(itemTypedef));
+        
+        return value =>
+          Array.isArray(value) &&
+          value.length === itemValidators.length &&
+          value.every((item, idx) => itemValidators[idx](item));
+      },
+      
+      getErrors: (value, typedef, userTypedefs, path) => {
+        if (!Array.isArray(value)) {
+          return [makeValueError(
+            ValueErrorCodes.TYPE_MISMATCH,
+            value,
+            typedef,
+            userTypedefs,
+            path
+          )];
+        }
+        
+        if (value.length !== typedef.items.length) {
+          return [makeValueError(
+            ValueErrorCodes.TUPLE_LENGTH_MISMATCH,
+            value,
+            typedef,
+            userTypedefs,
+            path
+          )];
+        }
+        
+        return flatten(value.map((item, idx) => _validateValue(
+          item,
+          typedef.items[idx],
+          userTypedefs,
+          path.concat(idx)
+        )));
+      },
+      
+      getTypedefErrors: (typedef, userTypedefs, path) => {
+        if (!hasOwnProperty(typedef, 'items')) {
+          return [makeTypedefError(
+            TypedefErrorCodes.MISSING_PROPERTY,
+            path.concat('items'),
+            "'tuple' type requires 'items'"
+          )];
+        }
+        
+        if (!Array.isArray(typedef.items)) {
+          return [makeTypedefError(
+            TypedefErrorCodes.INVALID_PROPERTY,
+            path.concat('items'),
+            "'items' must be an array"
+          )];
+        }
+        
+        return flatten(typedef.items.map((itemTypedef, idx) =>
+          _validateTypedef(
+            itemTypedef,
+            userTypedefs,
+            path.concat('items', idx)
+          )));
+      },
+      
+      print: (typedef, userTypedefs, visited) => {
+        const items = typedef.items
+          .map(itemTypedef => _printType(itemTypedef, userTypedefs, visited))
+          .join(', ');
+        
+        return `tuple(${items})`;
+      },
+      
+      isEqualType: (
+        typedef1,
+        typedef2,
+        userTypedefs1,
+        userTypedefs2,
+        visited
+      ) =>
+        typedef1.items.length === typedef2.items.length &&
+        typedef1.items.every((itemTypedef, idx) => _isEqualType(
+          itemTypedef,
+          typedef2.items[idx],
+          userTypedefs1,
+          userTypedefs2,
+          false,
+          visited
+        )),
+      
+      explainCompatibility: (
+        typedef1,
+        typedef2,
+        userTypedefs1,
+        userTypedefs2,
+        visited,
+        path
+      ) => {
+        if (typedef2.type !== TypeNames.TUPLE) {
+          return acceptTypes(TypeNames.TUPLE)(
+            typedef1,
+            typedef2,
+            userTypedefs1,
+            userTypedefs2,
+            visited,
+            path
+          );
+        }
+        
+        if (typedef1.items.length !== typedef2.items.length) {
+          return [makeIncompatibility(
+            IncompatibilityCodes.TUPLE_LENGTH_MISMATCH,
+            typedef1,
+            typedef2,
+            userTypedefs1,
+            userTypedefs2,
+            path
+          )];
+        }
+        
+        const reasons = [];
+        
+        typedef1.items.forEach((itemTypedef, idx) => {
+          const itemPath = path.concat('items', idx);
+          const causes = _explainCompatibility(
+            itemTypedef,
+            typedef2.items[idx],
+            userTypedefs1,
+            userTypedefs2,
+            false,
+            visited,
+            itemPath
+          );
+          
+          if (causes.length > 0) {
+            reasons.push(makeIncompatibility(
+              IncompatibilityCodes.TUPLE_ITEM_MISMATCH,
+              itemTypedef,
+              typedef2.items[idx],
+              userTypedefs1,
+              userTypedefs2,
+              itemPath,
+              causes
+            ));
+          }
+        });
+        
+        return reasons;
+      },
+      
+      makeDefaultValue: (typedef, userTypedefs, options, visited) => {
+        const itemOptions = options.deepNonNull
+          ? options
+          : { nonNull: false, deepNonNull: false };
+        
+        return typedef.items.map(itemTypedef => _makeDefaultValue(
+          itemTypedef,
+          userTypedefs,
+          itemOptions,
+          visited
+        ));
+      },
+      
+      getNestedTypedef: (typedef, key) =>
+        typeof key === 'number' && key >= 0 && key < typedef.items.length
+          ? typedef.items[key]
+          : null,
+      
+      mapNestedTypedefs: (typedef, fn) => Object.assign({}, typedef, {
+        items: typedef.items.map((itemTypedef, idx) =>
+          fn(itemTypedef, ['items', idx])),
+      }),
+      
+      coerce: {
+        [TypeNames.TUPLE]: (
+          value,
+          typedefFrom,
+          typedefTo,
+          userTypedefsFrom,
+          userTypedefsTo,
+          options,
+          path
+        ) => coerceToTuple(
+          value,
+          index => typedefFrom.items[index],
+          typedefTo,
+          userTypedefsFrom,
+          userTypedefsTo,
+          options,
+          path
+        ),
+        
+        [TypeNames.ARRAY_OF]: (
+          value,
+          typedefFrom,
+          typedefTo,
+          userTypedefsFrom,
+          userTypedefsTo,
+          options,
+          path
+        ) => coerceToTuple(
+          value,
+          () => typedefFrom.ofType,
+          typedefTo,
+          userTypedefsFrom,
+          userTypedefsTo,
+          options,
+          path
+        ),
+      },
+    },
+    
+    [TypeNames.OBJECT]: {
+      nullable: true,
+      validate: value => typeof value === 'object',
+      getErrors: (value, typedef, userTypedefs, path) =>
+        getObjectErrors(value, typedef, userTypedefs, path) || [],
+      
+      print: () => 'object',
+      isEqualType: returnTrue,
+      explainCompatibility: acceptTypes(
+        TypeNames.OBJECT,
+        TypeNames.OBJECT_OF,
+        TypeNames.SHAPE
+      ),
+      
+      makeDefaultValue: () => ({}),
+      getNestedTypedef: (typedef, key) =>
+        typeof key === 'string' ? { type: TypeNames.ANY } : null,
+      
+      coerce: {
+        [TypeNames.OBJECT]: returnArg,
+        [TypeNames.OBJECT_OF]: returnArg,
+        [TypeNames.SHAPE]: returnArg,
+      },
+    },
+    
+    [TypeNames.OBJECT_OF]: {
+      nullable: true,
+      validate: (value, typedef, userTypedefs) =>
+        typeof value === 'object' &&
+        Object.keys(value).every(key =>
+          isValidValue(value[key], typedef.ofType, userTypedefs)),
+      
+      compileValidator: (typedef, compileNested) => {
+        const isValidItem = compileNested(typedef.ofType);
+        
+        return value =>
+          typeof value === 'object' &&
+          Object.keys(value).every(key => isValidItem(value[key]));
+      },
+      
+      getErrors: (value, typedef, userTypedefs, path) =>
+        getObjectErrors(value, typedef, userTypedefs, path) ||
+        flatten(Object.keys(value).map(key => _validateValue(
+          value[key],
+          typedef.ofType,
+          userTypedefs,
+          path.concat(key)
+        ))),
+      
+      getTypedefErrors: (typedef, userTypedefs, path) =>
+        getNestedTypedefErrors(typedef, 'ofType', userTypedefs, path),
+      
+      print: (typedef, userTypedefs, visited) =>
+        `objectOf(${_printType(typedef.ofType, userTypedefs, visited)})`,
+      
+      isEqualType: (
+        typedef1,
+        typedef2,
+        userTypedefs1,
+        userTypedefs2,
+        visited
+      ) => _isEqualType(
+        typedef1.ofType,
+        typedef2.ofType,
+        userTypedefs1,
+        userTypedefs2,
+        false,
+        visited
+      ),
+      
+      explainCompatibility: (
+        typedef1,
+        typedef2,
+        userTypedefs1,
+        userTypedefs2,
+        visited,
+        path
+      ) => {
+        if (typedef2.type !== TypeNames.OBJECT_OF) {
+          return acceptTypes(TypeNames.OBJECT_OF)(
+            typedef1,
+            typedef2,
+            userTypedefs1,
+            userTypedefs2,
+            visited,
+            path
+          );
+        }
+        
+        return explainOfType(
+          typedef1,
+          typedef2,
+          userTypedefs1,
+          userTypedefs2,
+          visited,
+          path
+        );
+      },
+      
+      makeDefaultValue: () => ({}),
+      
+      getNestedTypedef: (typedef, key) =>
+        typeof key === 'string' ? typedef.ofType : null,
+      
+      mapNestedTypedefs: mapOfType,
+      
+      coerce: {
+        [TypeNames.OBJECT_OF]: (
+          value,
+          typedefFrom,
+          typedefTo,
+          userTypedefsFrom,
+          userTypedefsTo,
+          options,
+          path
+        ) => _mapValues(value, (item, key) => _coerceValue(
+          item,
+          typedefFrom.ofType,
+          typedefTo.ofType,
+          userTypedefsFrom,
+          userTypedefsTo,
+          options,
+          path.concat(key)
+        )),
+      },
+      
+      lenientCoerce: {
+        [TypeNames.SHAPE]: (
+          value,
+          typedefFrom,
+          typedefTo,
+          userTypedefsFrom,
+          userTypedefsTo,
+          options,
+          path
+        ) => {
+          const ret = {};
+          
+          Object.keys(typedefFrom.fields).forEach(fieldName => {
+            if (typeof value[fieldName] === 'undefined') return;
+            
+            ret[fieldName] = _coerceValue(
+              value[fieldName],
+              typedefFrom.fields[fieldName],
+              typedefTo.ofType,
+              userTypedefsFrom,
+              userTypedefsTo,
+              options,
+              path.concat(fieldName)
+            );
+          });
+          
+          return ret;
+        },
+      },
+    },
+    
+    [TypeNames.SHAPE]: {
+      nullable: true,
+      validate: (value, typedef, userTypedefs) => {
+        if (typeof value !== 'object') return false;
+        
+        return Object.keys(typedef.fields).every(key => {
+          const fieldTypedef = typedef.fields[key];
+          const fieldValue = value[key];
+          return typeof fieldValue !== 'undefined'
+            ? isValidValue(fieldValue, fieldTypedef, userTypedefs)
+            : !fieldTypedef.required;
+        });
+      },
+      
+      compileValidator: (typedef, compileNested) => {
+        const fields = Object.keys(typedef.fields).map(key => ({
+          key,
+          required: !!typedef.fields[key].required,
+          isValid: compileNested(typedef.fields[key]),
+        }));
+        
+        return value => typeof value === 'object' && fields.every(field => {
+          const fieldValue = value[field.key];
+          return typeof fieldValue !== 'undefined'
+            ? field.isValid(fieldValue)
+            : !field.required;
+        });
+      },
+      
+      getErrors: (value, typedef, userTypedefs, path) =>
+        getObjectErrors(value, typedef, userTypedefs, path) ||
+        flatten(Object.keys(typedef.fields).map(key => {
+          const fieldTypedef = typedef.fields[key];
+          const fieldValue = value[key];
+          const fieldPath = path.concat(key);
+          
+          if (typeof fieldValue !== 'undefined') {
+            return _validateValue(
+              fieldValue,
+              fieldTypedef,
+              userTypedefs,
+              fieldPath
+            );
+          }
+          
+          return fieldTypedef.required
+            ? [makeValueError(
+              ValueErrorCodes.MISSING_REQUIRED_FIELD,
+              fieldValue,
+              fieldTypedef,
+              userTypedefs,
+              fieldPath
+            )]
+            : [];
+        })),
+      
+      getTypedefErrors: (typedef, userTypedefs, path) => {
+        if (!hasOwnProperty(typedef, 'fields')) {
+          return [makeTypedefError(
+            TypedefErrorCodes.MISSING_PROPERTY,
+            path.concat('fields'),
+            "'shape' type requires 'fields'"
+          )];
+        }
+        
+        if (getValueKind(typedef.fields) !== 'object') {
+          return [makeTypedefError(
+            TypedefErrorCodes.INVALID_PROPERTY,
+            path.concat('fields'),
+            "'fields' must be an object"
+          )];
+        }
+        
+        return flatten(Object.keys(typedef.fields).map(key =>
+          _validateTypedef(
+            typedef.fields[key],
+            userTypedefs,
+            path.concat('fields', key)
+          )));
+      },
+      
+      print: (typedef, userTypedefs, visited) => {
+        const structure = Object.keys(typedef.fields)
+          .map(key => {
+            const fieldTypedef = typedef.fields[key];
+            const fieldType = _printType(fieldTypedef, userTypedefs, visited);
+            
+            return fieldTypedef.required === true
+              ? `${printFieldName(key)}:required(${fieldType})`
+              : `${printFieldName(key)}:${fieldType}`;
+          })
+          .join(', ');
+        
+        return `shape(${structure})`;
+      },
+      
+      isEqualType: (
+        typedef1,
+        typedef2,
+        userTypedefs1,
+        userTypedefs2,
+        visited
+      ) => {
+        const keys1 = Object.keys(typedef1.fields);
+        const keys2 = Object.keys(typedef2.fields);
+        
+        if (keys1.length !== keys2.length) return false;
+        
+        return keys1.every(key => {
+          if (!hasOwnProperty(typedef2.fields, key)) return false;
+          
+          return _isEqualType(
+            typedef1.fields[key],
+            typedef2.fields[key],
+            userTypedefs1,
+            userTypedefs2,
+            true,
+            visited
+          );
+        });
+      },
+      
+      explainCompatibility: (
+        typedef1,
+        typedef2,
+        userTypedefs1,
+        userTypedefs2,
+        visited,
+        path
+      ) => {
+        if (typedef2.type !== TypeNames.SHAPE) {
+          return acceptTypes(TypeNames.SHAPE)(
+            typedef1,
+            typedef2,
+            userTypedefs1,
+            userTypedefs2,
+            visited,
+            path
+          );
+        }
+        
+        const reasons = [];
+        const keys1 = Object.keys(typedef1.fields);
+        const keys2 = Object.keys(typedef2.fields);
+        
+        if (keys1.length !== keys2.length) {
+          reasons.push(makeIncompatibility(
+            IncompatibilityCodes.SHAPE_FIELD_COUNT_MISMATCH,
+            typedef1,
+            typedef2,
+            userTypedefs1,
+            userTypedefs2,
+            path
+          ));
+        }
+        
+        keys1.forEach(key => {
+          const fieldPath = path.concat('fields', key);
+          
+          if (!hasOwnProperty(typedef2.fields, key)) {
+            reasons.push(makeIncompatibility(
+              IncompatibilityCodes.SHAPE_FIELD_MISSING,
+              typedef1.fields[key],
+              typedef2,
+              userTypedefs1,
+              userTypedefs2,
+              fieldPath
+            ));
+            
+            return;
+          }
+          
+          const causes = _explainCompatibility(
+            typedef1.fields[key],
+            typedef2.fields[key],
+            userTypedefs1,
+            userTypedefs2,
+            true,
+            visited,
+            fieldPath
+          );
+          
+          if (causes.length > 0) {
+            reasons.push(makeIncompatibility(
+              IncompatibilityCodes.SHAPE_FIELD_MISMATCH,
+              typedef1.fields[key],
+              typedef2.fields[key],
+              userTypedefs1,
+              userTypedefs2,
+              fieldPath,
+              causes
+            ));
+          }
+        });
+        
+        return reasons;
+      },
+      
+      makeDefaultValue: (typedef, userTypedefs, options, visited) =>
+        _mapValues(
+          typedef.fields,
+          fieldTypedef => _makeDefaultValue(
+            fieldTypedef,
+            userTypedefs,
+            options.deepNonNull
+              ? options
+              : { nonNull: false, deepNonNull: false },
+            visited
+          )
+        ),
+      
+      getNestedTypedef: (typedef, key) =>
+        typeof key === 'string' && hasOwnProperty(typedef.fields, key)
+          ? typedef.fields[key]
+          : null,
+      
+      mapNestedTypedefs: (typedef, fn) => Object.assign({}, typedef, {
+        fields: _mapValues(typedef.fields, (fieldTypedef, fieldName) =>
+          fn(fieldTypedef, ['fields', fieldName])),
+      }),
+      
+      coerce: {
+        [TypeNames.SHAPE]: (
+          value,
+          typedefFrom,
+          typedefTo,
+          userTypedefsFrom,
+          userTypedefsTo,
+          options,
+          path
+        ) => {
+          const ret = {};
+          
+          // Fields the target doesn't declare are dropped
+          Object.keys(typedefTo.fields).forEach(fieldName => {
+            const fieldPath = path.concat(fieldName);
+            
+            // Only optional fields may be missing from the source
+            // (e.g. in leaves of recursive types)
+            if (
+              !hasOwnProperty(typedefFrom.fields, fieldName) ||
+              typeof value[fieldName] === 'undefined'
+            ) {
+              if (typedefTo.fields[fieldName].required) {
+                throw makeCoercionError(
+                  `Missing required field '${fieldName}'`,
+                  fieldPath
+                );
+              }
+              
+              return;
+            }
+            
+            ret[fieldName] = _coerceValue(
+              value[fieldName],
+              typedefFrom.fields[fieldName],
+              typedefTo.fields[fieldName],
+              userTypedefsFrom,
+              userTypedefsTo,
+              options,
+              fieldPath
+            );
+          });
+          
+          return ret;
+        },
+      },
+      
+      lenientCoerce: {
+        [TypeNames.SHAPE]: (
+          value,
+          typedefFrom,
+          typedefTo,
+          userTypedefsFrom,
+          userTypedefsTo,
+          options,
+          path
+        ) => coerceToShape(
+          value,
+          fieldName => (
+            hasOwnProperty(typedefFrom.fields, fieldName)
+              ? typedefFrom.fields[fieldName]
+              : null
+          ),
+          typedefTo,
+          userTypedefsFrom,
+          userTypedefsTo,
+          options,
+          path
+        ),
+        
+        [TypeNames.OBJECT_OF]: (
+          value,
+          typedefFrom,
+          typedefTo,
+          userTypedefsFrom,
+          userTypedefsTo,
+          options,
+          path
+        ) => coerceToShape(
+          value,
+          () => typedefFrom.ofType,
+          typedefTo,
+          userTypedefsFrom,
+          userTypedefsTo,
+          options,
+          path
+        ),
+      },
+    },
+    
+    [TypeNames.COMPONENT]: {
+      nullable: true,
+      validate: (value, typedef) =>
+        isReactComponent(value) && isAllowedComponent(value, typedef),
+      
+      getErrors: (value, typedef, userTypedefs, path) => {
+        if (isReactComponent(value) && isAllowedComponent(value, typedef)) {
+          return [];
+        }
+        
+        return [makeValueError(
+          isReactComponent(value)
+            ? ValueErrorCodes.CONSTRAINT_VIOLATION
+            : ValueErrorCodes.TYPE_MISMATCH,
+          value,
+          typedef,
+          userTypedefs,
+          path
+        )];
+      },
+      
+      getTypedefErrors: (typedef, userTypedefs, path) => {
+        let errors = [];
+        
+        if (
+          hasOwnProperty(typedef, 'components') &&
+          !(
+            Array.isArray(typedef.components) &&
+            typedef.components.every(isString)
+          )
+        ) {
+          errors.push(makeTypedefError(
+            TypedefErrorCodes.INVALID_PROPERTY,
+            path.concat('components'),
+            "'components' must be an array of strings"
+          ));
+        }
+        
+        if (hasOwnProperty(typedef, 'props')) {
+          if (getValueKind(typedef.props) === 'object') {
+            errors = errors.concat(flatten(
+              Object.keys(typedef.props).map(propName => _validateTypedef(
+                typedef.props[propName],
+                userTypedefs,
+                path.concat('props', propName)
+              ))
+            ));
+          } else {
+            errors.push(makeTypedefError(
+              TypedefErrorCodes.INVALID_PROPERTY,
+              path.concat('props'),
+              "'props' must be an object"
+            ));
+          }
+        }
+        
+        return errors;
+      },
+      
+      print: (typedef, userTypedefs, visited) => {
+        const args = Array.isArray(typedef.components)
+          ? typedef.components.map(name => JSON.stringify(name))
+          : [];
+        
+        if (typedef.props) {
+          const props = _printType(
+            { type: TypeNames.SHAPE, fields: typedef.props },
+            userTypedefs,
+            visited
+          );
+          
+          args.push(`props:${props}`);
+        }
+        
+        return args.length > 0 ? `component(${args.join(', ')})` : 'component';
+      },
+      
+      isEqualType: (
+        typedef1,
+        typedef2,
+        userTypedefs1,
+        userTypedefs2,
+        visited
+      ) => {
+        const components1 = typedef1.components;
+        const components2 = typedef2.components;
+        
+        if (Array.isArray(components1) !== Array.isArray(components2)) {
+          return false;
+        }
+        
+        if (
+          Array.isArray(components1) && (
+            !components1.every(name => components2.indexOf(name) !== -1) ||
+            !components2.every(name => components1.indexOf(name) !== -1)
+          )
+        ) {
+          return false;
+        }
+        
+        if (!typedef1.props || !typedef2.props) {
+          return !typedef1.props && !typedef2.props;
+        }
+        
+        return _isEqualType(
+          { type: TypeNames.SHAPE, fields: typedef1.props },
+          { type: TypeNames.SHAPE, fields: typedef2.props },
+          userTypedefs1,
+          userTypedefs2,
+          false,
+          visited
+        );
+      },
+      
+      explainCompatibility: (
+        typedef1,
+        typedef2,
+        userTypedefs1,
+        userTypedefs2,
+        visited,
+        path
+      ) => {
+        if (typedef2.type !== TypeNames.COMPONENT) {
+          return acceptTypes(TypeNames.COMPONENT)(
+            typedef1,
+            typedef2,
+            userTypedefs1,
+            userTypedefs2,
+            visited,
+            path
+          );
+        }
+        
+        const reasons = [];
+        
+        // Provided components must be a subset of expected ones
+        if (
+          Array.isArray(typedef1.components) && !(
+            Array.isArray(typedef2.components) &&
+            typedef2.components.every(name =>
+              typedef1.components.indexOf(name) !== -1)
+          )
+        ) {
+          reasons.push(makeIncompatibility(
+            IncompatibilityCodes.COMPONENTS_MISMATCH,
+            typedef1,
+            typedef2,
+            userTypedefs1,
+            userTypedefs2,
+            path
+          ));
+        }
+        
+        // Props are checked only where both sides declare them.
+        // Like function arguments, they are contravariant:
+        // the provided component must accept the props it is rendered with.
+        if (typedef1.props && typedef2.props) {
+          Object.keys(typedef2.props).forEach(propName => {
+            const propPath = path.concat('props', propName);
+            const propTypedef2 = typedef2.props[propName];
+            
+            if (!hasOwnProperty(typedef1.props, propName)) {
+              if (propTypedef2.required) {
+                reasons.push(makeIncompatibility(
+                  IncompatibilityCodes.COMPONENT_PROP_MISSING,
+                  typedef1,
+                  typedef2,
+                  userTypedefs1,
+                  userTypedefs2,
+                  propPath
+                ));
+              }
+              
+              return;
+            }
+            
+            const causes = _explainCompatibility(
+              propTypedef2,
+              typedef1.props[propName],
+              userTypedefs2,
+              userTypedefs1,
+              false,
+              visited.map(pair => [pair[1], pair[0]]),
+              propPath
+            );
+            
+            if (causes.length > 0) {
+              reasons.push(makeIncompatibility(
+                IncompatibilityCodes.COMPONENT_PROP_MISMATCH,
+                typedef1.props[propName],
+                propTypedef2,
+                userTypedefs1,
+                userTypedefs2,
+                propPath,
+                causes
+              ));
+            }
+          });
+        }
+        
+        return reasons;
+      },
+      
+      makeDefaultValue: returnNull,
+      mapNestedTypedefs: (typedef, fn) => (
+        typedef.props
+          ? Object.assign({}, typedef, {
+            props: _mapValues(typedef.props, (propTypedef, propName) =>
+              fn(propTypedef, ['props', propName])),
+          })
+          : typedef
+      ),
+      
+      coerce: {},
+    },
+    
+    [TypeNames.ELEMENT]: {
+      nullable: true,
+      validate: isReactElement,
+      print: () => 'element',
+      isEqualType: returnTrue,
+      explainCompatibility: acceptTypes(TypeNames.ELEMENT),
+      makeDefaultValue: returnNull,
+      coerce: {},
+    },
+    
+    [TypeNames.RENDERER]: {
+      nullable: true,
+      validate: value => typeof value === 'function',
+      print: () => 'renderer',
+      isEqualType: returnTrue,
+      explainCompatibility: acceptTypes(TypeNames.RENDERER),
+      makeDefaultValue: returnNull,
+      coerce: {},
+    },
+    
+    [TypeNames.FUNC]: {
+      nullable: true,
+      // Functions may ignore trailing arguments
+      validate: (value, typedef) =>
+        typeof value === 'function' &&
+        (!hasArgs(typedef) || value.length <= typedef.args.length),
+      
+      getTypedefErrors: (typedef, userTypedefs, path) => {
+        let errors = [];
+        
+        if (hasOwnProperty(typedef, 'args')) {
+          errors = hasArgs(typedef)
+            ? flatten(typedef.args.map((argTypedef, idx) => _validateTypedef(
+              argTypedef,
+              userTypedefs,
+              path.concat('args', idx)
+            )))
+            : [makeTypedefError(
+              TypedefErrorCodes.INVALID_PROPERTY,
+              path.concat('args'),
+              "'args' must be an array"
+            )];
+        }
+        
+        if (hasReturns(typedef)) {
+          // Otherwise "func() => T" would be ambiguous
+          if (!hasOwnProperty(typedef, 'args')) {
+            errors.push(makeTypedefError(
+              TypedefErrorCodes.MISSING_PROPERTY,
+              path.concat('args'),
+              "'returns' requires 'args'"
+            ));
+          }
+          
+          errors = errors.concat(_validateTypedef(
+            typedef.returns,
+            userTypedefs,
+            path.concat('returns')
+          ));
+        }
+        
+        return errors;
+      },
+      
+      print: (typedef, userTypedefs, visited) => {
+        if (!hasArgs(typedef)) return 'func';
+        
+        const args = typedef.args
+          .map(argTypedef => _printType(argTypedef, userTypedefs, visited))
+          .join(', ');
+        
+        return hasReturns(typedef)
+          ? `func(${args}) => ` +
+            `${_printType(typedef.returns, userTypedefs, visited)}`
+          : `func(${args})`;
+      },
+      
+      isEqualType: (
+        typedef1,
+        typedef2,
+        userTypedefs1,
+        userTypedefs2,
+        visited
+      ) => {
+        const isEqual = (nestedTypedef1, nestedTypedef2) => _isEqualType(
+          nestedTypedef1,
+          nestedTypedef2,
+          userTypedefs1,
+          userTypedefs2,
+          false,
+          visited
+        );
+        
+        if (hasArgs(typedef1) !== hasArgs(typedef2)) return false;
+        if (hasReturns(typedef1) !== hasReturns(typedef2)) return false;
+        
+        if (
+          hasArgs(typedef1) && (
+            typedef1.args.length !== typedef2.args.length ||
+            !typedef1.args.every((argTypedef, idx) =>
+              isEqual(argTypedef, typedef2.args[idx]))
+          )
+        ) {
+          return false;
+        }
+        
+        return !hasReturns(typedef1) ||
+          isEqual(typedef1.returns, typedef2.returns);
+      },
+      
+      explainCompatibility: (
+        typedef1,
+        typedef2,
+        userTypedefs1,
+        userTypedefs2,
+        visited,
+        path
+      ) => {
+        if (typedef2.type !== TypeNames.FUNC) {
+          return acceptTypes(TypeNames.FUNC)(
+            typedef1,
+            typedef2,
+            userTypedefs1,
+            userTypedefs2,
+            visited,
+            path
+          );
+        }
+        
+        // Signatures are checked only where both sides declare them
+        const reasons = [];
+        
+        if (hasArgs(typedef1) && hasArgs(typedef2)) {
+          if (typedef2.args.length > typedef1.args.length) {
+            reasons.push(makeIncompatibility(
+              IncompatibilityCodes.FUNC_ARGS_COUNT_MISMATCH,
+              typedef1,
+              typedef2,
+              userTypedefs1,
+              userTypedefs2,
+              path
+            ));
+          } else {
+            // Arguments are contravariant: the provided function
+            // must accept what callers of the expected one pass
+            typedef2.args.forEach((argTypedef, idx) => {
+              const argPath = path.concat('args', idx);
+              const causes = _explainCompatibility(
+                argTypedef,
+                typedef1.args[idx],
+                userTypedefs2,
+                userTypedefs1,
+                false,
+                visited.map(pair => [pair[1], pair[0]]),
+                argPath
+              );
+              
+              if (causes.length > 0) {
+                reasons.push(makeIncompatibility(
+                  IncompatibilityCodes.FUNC_ARG_MISMATCH,
+                  typedef1.args[idx],
+                  argTypedef,
+                  userTypedefs1,
+                  userTypedefs2,
+                  argPath,
+                  causes
+                ));
+              }
+            });
+          }
+        }
+        
+        if (hasReturns(typedef1) && hasReturns(typedef2)) {
+          const returnsPath = path.concat('returns');
+          const causes = _explainCompatibility(
+            typedef1.returns,
+            typedef2.returns,
+            userTypedefs1,
+            userTypedefs2,
+            false,
+            visited,
+            returnsPath
+          );
+          
+          if (causes.length > 0) {
+            reasons.push(makeIncompatibility(
+              IncompatibilityCodes.FUNC_RETURNS_MISMATCH,
+              typedef1.returns,
+              typedef2.returns,
+              userTypedefs1,
+              userTypedefs2,
+              returnsPath,
+              causes
+            ));
+          }
+        }
+        
+        return reasons;
+      },
+      
+      makeDefaultValue: returnNull,
+      mapNestedTypedefs: (typedef, fn) => {
+        const ret = Object.assign({}, typedef);
+        if (hasArgs(typedef)) {
+          ret.args = typedef.args.map((argTypedef, idx) =>
+            fn(argTypedef, ['args', idx]));
+        }
+        
+        if (hasReturns(typedef)) ret.returns = fn(typedef.returns, ['returns']);
+        return ret;
+      },
+      
+      coerce: {},
+    },
+    
+    [TypeNames.UNION]: {
+      nullable: (typedef, userTypedefs) =>
+        typedef.types.some(memberTypedef =>
+          isNullableTypedef(memberTypedef, userTypedefs)),
+      
+      validate: (value, typedef, userTypedefs) =>
+        typedef.types.some(memberTypedef =>
+          isValidValue(value, memberTypedef, userTypedefs)),
+      
+      compileValidator: (typedef, compileNested) => {
+        const memberValidators = typedef.types.map(memberTypedef =>
+          compileNested(memberTypedef));
+        
+        return value => memberValidators.some(isValid => isValid(value));
+      },
+      
+      getTypedefErrors: (typedef, userTypedefs, path) => {
+        if (!hasOwnProperty(typedef, 'types')) {
+          return [makeTypedefError(
+            TypedefErrorCodes.MISSING_PROPERTY,
+            path.concat('types'),
+            "'union' type requires 'types'"
+          )];
+        }
+        
+        if (!Array.isArray(typedef.types)) {
+          return [makeTypedefError(
+            TypedefErrorCodes.INVALID_PROPERTY,
+            path.concat('types'),
+            "'types' must be an array"
+          )];
+        }
+        
+        if (typedef.types.length === 0) {
+          return [makeTypedefError(
+            TypedefErrorCodes.EMPTY_UNION_TYPES,
+            path.concat('types'),
+            "'types' must not be empty"
+          )];
+        }
+        
+        return flatten(typedef.types.map((memberTypedef, idx) =>
+          _validateTypedef(
+            memberTypedef,
+            userTypedefs,
+            path.concat('types', idx)
+          )));
+      },
+      
+      print: (typedef, userTypedefs, visited) => {
+        const types = typedef.types
+          .map(memberTypedef =>
+            _printType(memberTypedef, userTypedefs, visited))
+          .join(', ');
+        
+        return `union(${types})`;
+      },
+      
+      isEqualType: (
+        typedef1,
+        typedef2,
+        userTypedefs1,
+        userTypedefs2,
+        visited
+      ) => {
+        const hasEqualMember = (memberTypedef1, types, swap) =>
+          types.some(memberTypedef2 => (swap
+            ? _isEqualType(
+              memberTypedef2,
+              memberTypedef1,
+              userTypedefs1,
+              userTypedefs2,
+              false,
+              visited
+            )
+            : _isEqualType(
+              memberTypedef1,
+              memberTypedef2,
+              userTypedefs1,
+              userTypedefs2,
+              false,
+              visited
+            )));
+        
+        // Order of members doesn't matter
+        return typedef1.types.every(memberTypedef =>
+          hasEqualMember(memberTypedef, typedef2.types, false)) &&
+          typedef2.types.every(memberTypedef =>
+            hasEqualMember(memberTypedef, typedef1.types, true));
+      },
+      
+      // Unions on the source side are split into members by the type system,
+      // so typedef2 here is never a union
+      explainCompatibility: (
+        typedef1,
+        typedef2,
+        userTypedefs1,
+        userTypedefs2,
+        visited,
+        path
+      ) => {
+        const causes = typedef1.types.map((memberTypedef, idx) =>
+          _explainCompatibility(
+            memberTypedef,
+            typedef2,
+            userTypedefs1,
+            userTypedefs2,
+            false,
+            visited,
+            path.concat('types', idx)
+          ));
+        
+        return causes.some(memberCauses => memberCauses.length === 0)
+          ? []
+          : [makeIncompatibility(
+            IncompatibilityCodes.UNION_MEMBER_MISMATCH,
+            typedef1,
+            typedef2,
+            userTypedefs1,
+            userTypedefs2,
+            path,
+            flatten(causes)
+          )];
+      },
+      
+      makeDefaultValue: (typedef, userTypedefs, options, visited) =>
+        _makeDefaultValue(typedef.types[0], userTypedefs, options, visited),
+      
+      mapNestedTypedefs: (typedef, fn) => Object.assign({}, typedef, {
+        types: typedef.types.map((memberTypedef, idx) =>
+          fn(memberTypedef, ['types', idx])),
+      }),
+      
+      coerce: {},
+      coerceFallback: coerceToUnion,
+    },
+    
+    [TypeNames.ANY]: {
+      nullable: true,
+      validate: returnTrue,
+      print: () => 'any',
+      isEqualType: returnTrue,
+      explainCompatibility: () => [],
+      makeDefaultValue: returnNull,
+      getNestedTypedef: () => ({ type: TypeNames.ANY }),
+      coerce: objectToObject(TypeNames, returnArg, () => returnArg),
+    },
+  };
+  /* eslint-enable quote-props */
+};
 
 exports.TypeNames = TypeNames;
 exports.isBuiltinType = isBuiltinType;
-exports.isNullableType = isNullableType;
+exports.TypeConstraints = TypeConstraints;
+exports.TypedefFlags = TypedefFlags;
+exports.createBuiltinTypes = createBuiltinTypes;
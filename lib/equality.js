@@ -0,0 +1,423 @@
+'use strict';
+
+const { TypeNames } = require('./builtin-types');
+const { hasOwnProperty, getValueKind, isPlainObject } = require('./utils');
+
+/**
+ * FNV-1a offset basis
+ *
+ * @type {number}
+ */
+const HASH_SEED = 0x811c9dc5;
+
+/**
+ *
+ * @param {number} hash
+ * @param {number} value - 32-bit integer.
+ * @return {number}
+ */
+const combineHash = (hash, value) =>
+  Math.imul(hash ^ value, 0x01000193) >>> 0;
+
+/**
+ *
+ * @param {string} string
+ * @return {number}
+ */
+const hashString = string => {
+  let hash = HASH_SEED;
+  
+  for (let i = 0; i < string.length; i++) {
+    hash = combineHash(hash, string.charCodeAt(i));
+  }
+  
+  return hash;
+};
+
+/**
+ *
+ * @param {number[]} hashes
+ * @return {number}
+ */
+const combineHashes = hashes => hashes.reduce(combineHash, HASH_SEED);
+
+/**
+ * Values compared by reference get sequential ids as hashes
+ *
+ * @type {WeakMap<(Object|Function), number>}
+ */
+const referenceIds = new WeakMap();
+
+/**
+ *
+ * @type {number}
+ */
+let nextReferenceId = 1;
+
+/**
+ *
+ * @param {*} value
+ * @return {number}
+ */
+const hashReference = value => {
+  const kind = getValueKind(value);
+  
+  if (kind !== 'object' && kind !== 'function' && kind !== 'array') {
+    return hashString(`${kind}:${String(value)}`);
+  }
+  
+  if (!referenceIds.has(value)) {
+    referenceIds.set(value, nextReferenceId);
+    nextReferenceId += 1;
+  }
+  
+  return hashString(`ref:${referenceIds.get(value)}`);
+};
+
+/**
+ * Structural equality of arrays and plain objects,
+ * reference equality of everything else.
+ * Containers are read with toNative of the value adapter.
+ *
+ * @param {*} value1
+ * @param {*} value2
+ * @param {function(value: *): *} toNative
+ * @return {boolean}
+ */
+const isDeepEqual = (value1, value2, toNative) => {
+  if (value1 === value2) return true;
+  
+  const native1 = toNative(value1);
+  const native2 = toNative(value2);
+  const kind = getValueKind(native1);
+  if (kind !== getValueKind(native2)) return false;
+  
+  if (kind === 'array') {
+    return native1.length === native2.length &&
+      native1.every((item, idx) => isDeepEqual(item, native2[idx], toNative));
+  }
+  
+  if (kind === 'object' && isPlainObject(native1) && isPlainObject(native2)) {
+    const keys = Object.keys(native1);
+    
+    return keys.length === Object.keys(native2).length &&
+      keys.every(key =>
+        hasOwnProperty(native2, key) &&
+        isDeepEqual(native1[key], native2[key], toNative));
+  }
+  
+  return false;
+};
+
+/**
+ * Hash that matches isDeepEqual
+ *
+ * @param {*} value
+ * @param {function(value: *): *} toNative
+ * @return {number}
+ */
+const hashDeep = (value, toNative) => {
+  const native = toNative(value);
+  const kind = getValueKind(native);
+  
+  if (kind === 'array') {
+    return combineHashes([hashString('array')].concat(
+      native.map(item => hashDeep(item, toNative))
+    ));
+  }
+  
+  if (kind === 'object' && isPlainObject(native)) {
+    return combineHashes([hashString('object')].concat(
+      Object.keys(native)
+        .sort()
+        .map(key => combineHash(
+          hashString(key),
+          hashDeep(native[key], toNative)
+        ))
+    ));
+  }
+  
+  return hashReference(value);
+};
+
+/**
+ * Tuples of wrong length are compared as untyped arrays
+ *
+ * @param {*} value
+ * @param {BoobenTypeDefinition} typedef - Resolved arrayOf or tuple typedef.
+ * @return {boolean}
+ */
+const isArrayOfType = (value, typedef) =>
+  Array.isArray(value) && (
+    typedef.type !== TypeNames.TUPLE ||
+    value.length === typedef.items.length
+  );
+
+/**
+ * Creates type-aware value comparison methods for a type system
+ *
+ * @param {TypeSystem} typeSystem
+ * @return {{isEqualValue: Function, hashValue: Function}}
+ */
+const createEqualityMethods = typeSystem => {
+  const { resolveOrThrow, isValidValue, valueAdapter } = typeSystem;
+  const { toNative } = valueAdapter;
+  
+  /**
+   * Returns the index of the first union member the value is valid for.
+   * Values of a union are compared as values of this member.
+   *
+   * @param {*} value
+   * @param {BoobenTypeDefinition} typedef - Resolved union typedef.
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefs
+   * @return {number}
+   */
+  const getUnionMemberIndex = (value, typedef, userTypedefs) =>
+    typedef.types.findIndex(memberTypedef =>
+      isValidValue(value, memberTypedef, userTypedefs));
+  
+  /* eslint-disable no-use-before-define */
+  /**
+   *
+   * @param {*} value1
+   * @param {*} value2
+   * @param {BoobenTypeDefinition} typedef - Resolved typedef.
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefs
+   * @return {boolean}
+   */
+  const isEqualNonNull = (value1, value2, typedef, userTypedefs) => {
+    const isEqualNested = (nestedValue1, nestedValue2, nestedTypedef) =>
+      _isEqualValue(nestedValue1, nestedValue2, nestedTypedef, userTypedefs);
+    
+    // Containers are compared by their contents
+    const native1 = toNative(value1);
+    const native2 = toNative(value2);
+    const kind = getValueKind(native1);
+    
+    switch (typedef.type) {
+      case TypeNames.ARRAY_OF:
+      case TypeNames.TUPLE: {
+        if (
+          !isArrayOfType(native1, typedef) ||
+          !isArrayOfType(native2, typedef)
+        ) {
+          break;
+        }
+        
+        if (native1.length !== native2.length) return false;
+        
+        return native1.every((item, idx) => isEqualNested(
+          item,
+          native2[idx],
+          typedef.type === TypeNames.TUPLE
+            ? typedef.items[idx]
+            : typedef.ofType
+        ));
+      }
+      
+      case TypeNames.OBJECT_OF: {
+        if (kind !== 'object' || getValueKind(native2) !== 'object') break;
+        
+        const keys = Object.keys(native1);
+        
+        return keys.length === Object.keys(native2).length &&
+          keys.every(key =>
+            hasOwnProperty(native2, key) &&
+            isEqualNested(native1[key], native2[key], typedef.ofType));
+      }
+      
+      case TypeNames.SHAPE: {
+        if (kind !== 'object' || getValueKind(native2) !== 'object') break;
+        
+        // Undeclared fields are ignored
+        return Object.keys(typedef.fields).every(fieldName => isEqualNested(
+          native1[fieldName],
+          native2[fieldName],
+          typedef.fields[fieldName]
+        ));
+      }
+      
+      case TypeNames.UNION: {
+        const idx = getUnionMemberIndex(value1, typedef, userTypedefs);
+        
+        if (idx === -1) break;
+        if (getUnionMemberIndex(value2, typedef, userTypedefs) !== idx) {
+          return false;
+        }
+        
+        return isEqualNested(value1, value2, typedef.types[idx]);
+      }
+      
+      case TypeNames.FUNC:
+      case TypeNames.COMPONENT:
+      case TypeNames.ELEMENT:
+      case TypeNames.RENDERER: {
+        return value1 === value2;
+      }
+      
+      default:
+        break;
+    }
+    
+    // Scalars, untyped containers and values that don't match the typedef
+    return isDeepEqual(value1, value2, toNative);
+  };
+  /* eslint-enable no-use-before-define */
+  
+  /**
+   *
+   * @param {*} value1
+   * @param {*} value2
+   * @param {BoobenTypeDefinition} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefs
+   * @return {boolean}
+   */
+  const _isEqualValue = (value1, value2, typedef, userTypedefs) => {
+    if (value1 === value2) return true;
+    
+    // Null and missing values are equal only to themselves
+    if (
+      value1 === null ||
+      value2 === null ||
+      typeof value1 === 'undefined' ||
+      typeof value2 === 'undefined'
+    ) {
+      return false;
+    }
+    
+    return isEqualNonNull(
+      value1,
+      value2,
+      resolveOrThrow(typedef, userTypedefs),
+      userTypedefs
+    );
+  };
+  
+  /**
+   * Compares values of the typedef. Only declared fields of shapes
+   * are compared, key order doesn't matter. Functions, components,
+   * elements and renderers are compared by reference. Containers
+   * are compared by contents read through the value adapter.
+   *
+   * @param {*} value1
+   * @param {*} value2
+   * @param {BoobenTypeDefinition} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} [userTypedefs=null]
+   * @return {boolean}
+   */
+  const isEqualValue = (value1, value2, typedef, userTypedefs = null) =>
+    _isEqualValue(value1, value2, typedef, userTypedefs);
+  
+  /* eslint-disable no-use-before-define */
+  /**
+   *
+   * @param {*} value
+   * @param {BoobenTypeDefinition} typedef - Resolved typedef.
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefs
+   * @return {number}
+   */
+  const hashNonNull = (value, typedef, userTypedefs) => {
+    const hashNested = (nestedValue, nestedTypedef) =>
+      _hashValue(nestedValue, nestedTypedef, userTypedefs);
+    
+    const native = toNative(value);
+    const kind = getValueKind(native);
+    
+    switch (typedef.type) {
+      case TypeNames.ARRAY_OF:
+      case TypeNames.TUPLE: {
+        if (!isArrayOfType(native, typedef)) break;
+        
+        return combineHashes([hashString('array')].concat(
+          native.map((item, idx) => hashNested(
+            item,
+            typedef.type === TypeNames.TUPLE
+              ? typedef.items[idx]
+              : typedef.ofType
+          ))
+        ));
+      }
+      
+      case TypeNames.OBJECT_OF:
+      case TypeNames.SHAPE: {
+        if (kind !== 'object') break;
+        
+        const keys = typedef.type === TypeNames.SHAPE
+          ? Object.keys(typedef.fields)
+            .filter(key => typeof native[key] !== 'undefined')
+          : Object.keys(native);
+        
+        return combineHashes([hashString('object')].concat(
+          keys.sort().map(key => combineHash(
+            hashString(key),
+            hashNested(
+              native[key],
+              typedef.type === TypeNames.SHAPE
+                ? typedef.fields[key]
+                : typedef.ofType
+            )
+          ))
+        ));
+      }
+      
+      case TypeNames.UNION: {
+        const idx = getUnionMemberIndex(value, typedef, userTypedefs);
+        if (idx === -1) break;
+        return combineHash(idx, hashNested(value, typedef.types[idx]));
+      }
+      
+      case TypeNames.FUNC:
+      case TypeNames.COMPONENT:
+      case TypeNames.ELEMENT:
+      case TypeNames.RENDERER: {
+        return hashReference(value);
+      }
+      
+      default:
+        break;
+    }
+    
+    return hashDeep(value, toNative);
+  };
+  /* eslint-enable no-use-before-define */
+  
+  /**
+   *
+   * @param {*} value
+   * @param {BoobenTypeDefinition} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefs
+   * @return {number}
+   */
+  const _hashValue = (value, typedef, userTypedefs) => {
+    if (value === null || typeof value === 'undefined') {
+      return hashReference(value);
+    }
+    
+    return hashNonNull(
+      value,
+      resolveOrThrow(typedef, userTypedefs),
+      userTypedefs
+    );
+  };
+  
+  /**
+   * Computes a 32-bit hash of the value of the typedef.
+   * Values equal under isEqualValue have equal hashes.
+   * Hashes of functions, components etc. are stable
+   * only within the current process.
+   *
+   * @param {*} value
+   * @param {BoobenTypeDefinition} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} [userTypedefs=null]
+   * @return {number}
+   */
+  const hashValue = (value, typedef, userTypedefs = null) =>
+    _hashValue(value, typedef, userTypedefs);
+  
+  return {
+    isEqualValue,
+    hashValue,
+  };
+};
+
+exports.createEqualityMethods = createEqualityMethods;
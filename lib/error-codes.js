@@ -0,0 +1,81 @@
+'use strict';
+
+/**
+ * Reasons reported by validateValue
+ *
+ * @type {Object<string, string>}
+ */
+const ValueErrorCodes = {
+  TYPE_MISMATCH: 'type-mismatch',
+  MISSING_REQUIRED_FIELD: 'missing-required-field',
+  NOT_IN_ONE_OF_OPTIONS: 'not-in-oneOf-options',
+  NULL_ON_NOT_NULL: 'null-on-notNull',
+  CONSTRAINT_VIOLATION: 'constraint-violation',
+  TUPLE_LENGTH_MISMATCH: 'tuple-length-mismatch',
+};
+
+/**
+ * Reasons reported by validateTypedef and validateUserTypedefs
+ *
+ * @type {Object<string, string>}
+ */
+const TypedefErrorCodes = {
+  INVALID_TYPEDEF: 'invalid-typedef',
+  MISSING_PROPERTY: 'missing-property',
+  INVALID_PROPERTY: 'invalid-property',
+  UNEXPECTED_PROPERTY: 'unexpected-property',
+  UNKNOWN_TYPE: 'unknown-type',
+  EMPTY_ONE_OF_OPTIONS: 'empty-oneOf-options',
+  DUPLICATE_ONE_OF_OPTION: 'duplicate-oneOf-option',
+  BUILTIN_TYPE_REDEFINED: 'builtin-type-redefined',
+  CIRCULAR_ALIAS: 'circular-alias',
+  EMPTY_UNION_TYPES: 'empty-union-types',
+  INVALID_TYPE_PARAMS: 'invalid-type-params',
+  TYPE_ARGS_MISMATCH: 'type-args-mismatch',
+  EXPANSIVE_RECURSION: 'expansive-recursion',
+  DEFAULT_VALUE_MISMATCH: 'default-value-mismatch',
+};
+
+/**
+ * Reasons reported by explainCompatibility
+ *
+ * @type {Object<string, string>}
+ */
+const IncompatibilityCodes = {
+  TYPE_MISMATCH: 'type-mismatch',
+  SCALAR_NAME_MISMATCH: 'scalar-name-mismatch',
+  ONE_OF_OPTIONS_MISMATCH: 'oneOf-options-mismatch',
+  OF_TYPE_MISMATCH: 'ofType-mismatch',
+  NOT_NULL_MISMATCH: 'notNull-mismatch',
+  REQUIRED_MISMATCH: 'required-mismatch',
+  SHAPE_FIELD_COUNT_MISMATCH: 'shape-field-count-mismatch',
+  SHAPE_FIELD_MISSING: 'shape-field-missing',
+  SHAPE_FIELD_MISMATCH: 'shape-field-mismatch',
+  UNION_MEMBER_MISMATCH: 'union-member-mismatch',
+  CONSTRAINT_MISMATCH: 'constraint-mismatch',
+  TUPLE_LENGTH_MISMATCH: 'tuple-length-mismatch',
+  TUPLE_ITEM_MISMATCH: 'tuple-item-mismatch',
+  FUNC_ARGS_COUNT_MISMATCH: 'func-args-count-mismatch',
+  FUNC_ARG_MISMATCH: 'func-arg-mismatch',
+  FUNC_RETURNS_MISMATCH: 'func-returns-mismatch',
+  COMPONENTS_MISMATCH: 'components-mismatch',
+  COMPONENT_PROP_MISSING: 'component-prop-missing',
+  COMPONENT_PROP_MISMATCH: 'component-prop-mismatch',
+  INCOMPATIBLE: 'incompatible',
+};
+
+/**
+ * Reasons reported by migrateValue
+ *
+ * @type {Object<string, string>}
+ */
+const MigrationIssueCodes = {
+  FIELD_REMOVED: 'field-removed',
+  LOSSY_CONVERSION: 'lossy-conversion',
+  IMPOSSIBLE_CONVERSION: 'impossible-conversion',
+};
+
+exports.ValueErrorCodes = ValueErrorCodes;
+exports.TypedefErrorCodes = TypedefErrorCodes;
+exports.IncompatibilityCodes = IncompatibilityCodes;
+exports.MigrationIssueCodes = MigrationIssueCodes;
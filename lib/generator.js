@@ -0,0 +1,592 @@
+'use strict';
+
+const { TypeNames, TypeConstraints } = require('./builtin-types');
+const { hasOwnProperty } = require('./utils');
+const { generateMatchingString, compilePattern } = require('./pattern');
+
+/**
+ *
+ * @type {string[]}
+ */
+const WORDS = [
+  'lorem',
+  'ipsum',
+  'dolor',
+  'sit',
+  'amet',
+  'consectetur',
+  'adipiscing',
+  'elit',
+  'sed',
+  'do',
+  'eiusmod',
+  'tempor',
+];
+
+/**
+ * Range of numbers without bounds
+ *
+ * @type {number}
+ */
+const NUMBER_RANGE = 100;
+
+/**
+ * Probability of null for nullable types
+ *
+ * @type {number}
+ */
+const NULL_PROBABILITY = 0.2;
+
+/**
+ * Values of wrong kinds tried for every type by generateInvalidValue
+ *
+ * @type {Array}
+ */
+const WRONG_KIND_VALUES = [
+  null,
+  0,
+  0.5,
+  '',
+  'invalid',
+  true,
+  [],
+  {},
+  () => {},
+];
+
+/**
+ * Deterministic pseudorandom number generator (mulberry32)
+ *
+ * @param {number} seed
+ * @return {function(): number} Returns numbers in [0, 1).
+ */
+const createRandom = seed => {
+  let state = seed >>> 0;
+  
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ *
+ * @param {Object} options
+ * @param {number} [options.seed=1]
+ * @param {number} [options.maxDepth=3]
+ * @param {number} [options.maxItems=3]
+ * @return {Object}
+ */
+const makeContext = ({ seed = 1, maxDepth = 3, maxItems = 3 } = {}) => {
+  if (typeof seed !== 'number' || !isFinite(seed)) {
+    throw new Error('generateValue(): seed must be a number');
+  }
+  
+  const random = createRandom(seed);
+  
+  return {
+    maxDepth,
+    maxItems,
+    random,
+    chance: probability => random() < probability,
+    randomInt: (min, max) => min + Math.floor(random() * (max - min + 1)),
+    pick: items => items[Math.floor(random() * items.length)],
+  };
+};
+
+/**
+ * Creates sample value generation methods for a type system
+ *
+ * @param {TypeSystem} typeSystem
+ * @return {{generateValue: Function, generateInvalidValue: Function}}
+ */
+const createGeneratorMethods = typeSystem => {
+  const {
+    resolveOrThrow,
+    isNullableTypedef,
+    isValidValue,
+    makeDefaultNonNullValue,
+    valueAdapter,
+  } = typeSystem;
+  
+  /**
+   *
+   * @param {Object} context
+   * @param {number} min
+   * @param {number} [max]
+   * @return {number}
+   */
+  const makeCount = (context, min, max) => {
+    const upper = typeof max === 'number'
+      ? max
+      : Math.max(min, context.maxItems);
+    
+    return context.randomInt(min, upper);
+  };
+  
+  /**
+   *
+   * @param {Object} context
+   * @return {string}
+   */
+  const makeText = context => {
+    const count = context.randomInt(1, 3);
+    const words = [];
+    
+    for (let i = 0; i < count; i++) words.push(context.pick(WORDS));
+    return words.join(' ');
+  };
+  
+  /**
+   *
+   * @param {BoobenTypeDefinition} typedef - Resolved string typedef.
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefs
+   * @param {Object} context
+   * @return {string}
+   */
+  const makeString = (typedef, userTypedefs, context) => {
+    const minLength = typedef.minLength || 0;
+    const maxLength = typeof typedef.maxLength === 'number'
+      ? typedef.maxLength
+      : minLength + 20;
+    
+    if (!typedef.pattern) {
+      // Empty strings don't look realistic
+      const length = context.randomInt(
+        Math.min(Math.max(minLength, 1), maxLength),
+        Math.min(maxLength, Math.max(minLength, 12))
+      );
+      
+      let text = makeText(context);
+      while (text.length < length) text = `${text} ${makeText(context)}`;
+      return text.slice(0, length);
+    }
+    
+    const regExp = compilePattern(typedef.pattern);
+    
+    if (regExp === null) {
+      throw new Error(
+        `generateValue(): /${typedef.pattern}/ is not a valid pattern`
+      );
+    }
+    
+    let text;
+    
+    try {
+      text = generateMatchingString(
+        typedef.pattern,
+        { minLength, maxLength: typedef.maxLength },
+        context
+      );
+    } catch (err) {
+      // Declared default value is the last resort
+      if (
+        hasOwnProperty(typedef, 'defaultValue') &&
+        isValidValue(typedef.defaultValue, typedef, userTypedefs)
+      ) {
+        return typedef.defaultValue;
+      }
+      
+      throw new Error(
+        'generateValue(): cannot generate a string matching ' +
+        `/${typedef.pattern}/: ${err.message}`
+      );
+    }
+    
+    if (!regExp.test(text)) {
+      throw new Error(
+        `generateValue(): generated string '${text}' ` +
+        `doesn't match /${typedef.pattern}/`
+      );
+    }
+    
+    return text;
+  };
+  
+  /**
+   *
+   * @param {BoobenTypeDefinition} typedef - Resolved int or float typedef.
+   * @param {Object} context
+   * @param {boolean} integer
+   * @return {number}
+   */
+  const makeNumber = (typedef, context, integer) => {
+    const hasMin = typeof typedef.min === 'number';
+    const hasMax = typeof typedef.max === 'number';
+    
+    let min = hasMin ? typedef.min : -NUMBER_RANGE;
+    let max = hasMax ? typedef.max : NUMBER_RANGE;
+    
+    if (hasMin && !hasMax) max = min + 2 * NUMBER_RANGE;
+    if (hasMax && !hasMin) min = max - 2 * NUMBER_RANGE;
+    
+    if (integer) return context.randomInt(Math.ceil(min), Math.floor(max));
+    
+    // Two decimal places look more realistic
+    const value = min + context.random() * (max - min);
+    const roundedValue = Math.round(value * 100) / 100;
+    
+    return Math.min(max, Math.max(min, roundedValue));
+  };
+  
+  /**
+   *
+   * @param {Object} context
+   * @return {(string|number|boolean)}
+   */
+  const makeScalar = context => context.pick([
+    () => makeText(context),
+    () => context.randomInt(-NUMBER_RANGE, NUMBER_RANGE),
+    () => context.chance(0.5),
+  ])();
+  
+  /**
+   *
+   * @param {string} displayName
+   * @return {Function}
+   */
+  const makeComponent = displayName => {
+    const component = () => null;
+    component.displayName = displayName;
+    return component;
+  };
+  
+  /* eslint-disable no-use-before-define */
+  /**
+   *
+   * @param {BoobenTypeDefinition} typedef - Resolved typedef.
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefs
+   * @param {Object} context
+   * @param {number} depth
+   * @return {*}
+   */
+  const generateNonNull = (typedef, userTypedefs, context, depth) => {
+    // Containers are left empty where possible below the maximum depth
+    const isDeep = depth >= context.maxDepth;
+    const generateNested = nestedTypedef =>
+      generate(nestedTypedef, userTypedefs, context, depth + 1);
+    
+    const makeItems = (min, max, makeItem) => {
+      const count = isDeep ? min : makeCount(context, min, max);
+      const ret = [];
+      
+      for (let i = 0; i < count; i++) ret.push(makeItem(i));
+      return ret;
+    };
+    
+    // Containers are made by the value adapter
+    const { fromNative } = valueAdapter;
+    
+    switch (typedef.type) {
+      case TypeNames.STRING: return makeString(typedef, userTypedefs, context);
+      case TypeNames.BOOL: return context.chance(0.5);
+      case TypeNames.INT: return makeNumber(typedef, context, true);
+      case TypeNames.FLOAT: return makeNumber(typedef, context, false);
+      case TypeNames.SCALAR: return makeScalar(context);
+      case TypeNames.ONE_OF: return context.pick(typedef.options).value;
+      case TypeNames.ARRAY: {
+        return fromNative(makeItems(0, null, () => makeScalar(context)));
+      }
+      
+      case TypeNames.ARRAY_OF: {
+        return fromNative(makeItems(
+          typedef.minItems || 0,
+          typedef.maxItems,
+          () => generateNested(typedef.ofType)
+        ));
+      }
+      
+      case TypeNames.TUPLE: {
+        return fromNative(typedef.items.map(generateNested));
+      }
+      
+      case TypeNames.OBJECT: {
+        const ret = {};
+        
+        makeItems(0, null, idx => {
+          ret[`key${idx}`] = makeScalar(context);
+        });
+        
+        return fromNative(ret);
+      }
+      
+      case TypeNames.OBJECT_OF: {
+        const ret = {};
+        
+        makeItems(0, null, idx => {
+          ret[`key${idx}`] = generateNested(typedef.ofType);
+        });
+        
+        return fromNative(ret);
+      }
+      
+      case TypeNames.SHAPE: {
+        const ret = {};
+        
+        Object.keys(typedef.fields).forEach(fieldName => {
+          const fieldTypedef = typedef.fields[fieldName];
+          
+          if (fieldTypedef.required || (!isDeep && context.chance(0.5))) {
+            ret[fieldName] = generateNested(fieldTypedef);
+          }
+        });
+        
+        return fromNative(ret);
+      }
+      
+      case TypeNames.FUNC: {
+        const returnValue = hasOwnProperty(typedef, 'returns')
+          ? generateNested(typedef.returns)
+          : undefined;
+        
+        return () => returnValue;
+      }
+      
+      case TypeNames.COMPONENT: {
+        return makeComponent(
+          Array.isArray(typedef.components)
+            ? context.pick(typedef.components)
+            : 'Component'
+        );
+      }
+      
+      case TypeNames.ELEMENT: {
+        return {
+          $$typeof: Symbol.for('react.element'),
+          type: 'div',
+          key: null,
+          ref: null,
+          props: {},
+        };
+      }
+      
+      case TypeNames.RENDERER: return () => null;
+      case TypeNames.UNION: return generateNested(context.pick(typedef.types));
+      case TypeNames.ANY: return makeScalar(context);
+      
+      // Types registered by users
+      default: return makeDefaultNonNullValue(typedef, userTypedefs);
+    }
+  };
+  /* eslint-enable no-use-before-define */
+  
+  /**
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefs
+   * @param {Object} context
+   * @param {number} depth
+   * @return {*}
+   */
+  const generate = (typedef, userTypedefs, context, depth) => {
+    const resolvedTypedef = resolveOrThrow(typedef, userTypedefs);
+    
+    if (
+      isNullableTypedef(resolvedTypedef, userTypedefs) && (
+        depth > context.maxDepth ||
+        context.chance(NULL_PROBABILITY)
+      )
+    ) {
+      return null;
+    }
+    
+    // Non-null values of types that contain themselves would be infinite
+    if (depth > context.maxDepth + context.maxItems) {
+      throw new Error(
+        `generateValue(): type '${typedef.type}' has no finite values`
+      );
+    }
+    
+    return generateNonNull(resolvedTypedef, userTypedefs, context, depth);
+  };
+  
+  /**
+   * Generates a random value of the typedef. Values are deterministic
+   * for the same seed. Optional shape fields are filled in randomly,
+   * nullable types are null sometimes.
+   * Nesting is limited by maxDepth: deeper containers are empty
+   * and deeper nullable values are null.
+   * Arrays and objects are made with the value adapter.
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} [userTypedefs=null]
+   * @param {Object} [options]
+   * @param {number} [options.seed=1]
+   * @param {number} [options.maxDepth=3]
+   * @param {number} [options.maxItems=3] - Maximum number of items
+   *   in arrays and objects without own limits.
+   * @return {*}
+   */
+  const generateValue = (typedef, userTypedefs = null, options = {}) =>
+    generate(typedef, userTypedefs, makeContext(options), 0);
+  
+  /* eslint-disable no-use-before-define */
+  /**
+   * Makes values that break one constraint or one nested value
+   * of otherwise valid values. Some of them may turn out to be valid.
+   *
+   * @param {BoobenTypeDefinition} typedef - Resolved typedef.
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefs
+   * @param {Object} context
+   * @param {number} depth
+   * @return {Array}
+   */
+  const makeBrokenValues = (typedef, userTypedefs, context, depth) => {
+    const ret = [];
+    
+    if (depth > context.maxDepth) return ret;
+    
+    const constraints = TypeConstraints[typedef.type] || [];
+    const has = key =>
+      constraints.indexOf(key) !== -1 && hasOwnProperty(typedef, key);
+    
+    const makeValid = nestedTypedef => generateNonNull(
+      resolveOrThrow(nestedTypedef, userTypedefs),
+      userTypedefs,
+      context,
+      depth + 1
+    );
+    
+    const makeInvalid = nestedTypedef =>
+      getInvalidValues(nestedTypedef, userTypedefs, context, depth + 1);
+    
+    // Containers are broken as native values
+    const makeValidNative = () => valueAdapter.toNative(makeValid(typedef));
+    const pushNative = value => {
+      ret.push(valueAdapter.fromNative(value));
+    };
+    
+    if (has('min')) ret.push(typedef.min - 1);
+    if (has('max')) ret.push(typedef.max + 1);
+    if (has('minLength') && typedef.minLength > 0) {
+      ret.push('x'.repeat(typedef.minLength - 1));
+    }
+    
+    if (has('maxLength')) ret.push('x'.repeat(typedef.maxLength + 1));
+    if (has('pattern')) ret.push('\n');
+    if (has('minItems') && typedef.minItems > 0) {
+      pushNative(makeValidNative().slice(0, typedef.minItems - 1));
+    }
+    
+    if (has('maxItems')) {
+      const items = makeValidNative();
+      
+      while (items.length <= typedef.maxItems) {
+        items.push(makeValid(typedef.ofType));
+      }
+      
+      pushNative(items);
+    }
+    
+    switch (typedef.type) {
+      case TypeNames.ARRAY_OF: {
+        makeInvalid(typedef.ofType).forEach(item => {
+          pushNative(makeValidNative().concat([item]));
+        });
+        
+        break;
+      }
+      
+      case TypeNames.OBJECT_OF: {
+        makeInvalid(typedef.ofType).forEach(item => {
+          pushNative(Object.assign(makeValidNative(), { invalid: item }));
+        });
+        
+        break;
+      }
+      
+      case TypeNames.TUPLE: {
+        pushNative(makeValidNative().concat([null]));
+        
+        typedef.items.forEach((itemTypedef, idx) => {
+          makeInvalid(itemTypedef).forEach(item => {
+            const value = makeValidNative();
+            value[idx] = item;
+            pushNative(value);
+          });
+        });
+        
+        break;
+      }
+      
+      case TypeNames.SHAPE: {
+        Object.keys(typedef.fields).forEach(fieldName => {
+          const fieldTypedef = typedef.fields[fieldName];
+          
+          if (fieldTypedef.required) {
+            const value = makeValidNative();
+            delete value[fieldName];
+            pushNative(value);
+          }
+          
+          makeInvalid(fieldTypedef).forEach(field => {
+            pushNative(
+              Object.assign(makeValidNative(), { [fieldName]: field })
+            );
+          });
+        });
+        
+        break;
+      }
+      
+      default:
+        break;
+    }
+    
+    return ret;
+  };
+  /* eslint-enable no-use-before-define */
+  
+  /**
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefs
+   * @param {Object} context
+   * @param {number} depth
+   * @return {Array}
+   */
+  const getInvalidValues = (typedef, userTypedefs, context, depth) => {
+    const resolvedTypedef = resolveOrThrow(typedef, userTypedefs);
+    
+    return WRONG_KIND_VALUES
+      .concat(makeBrokenValues(resolvedTypedef, userTypedefs, context, depth))
+      .filter(value => !isValidValue(value, typedef, userTypedefs));
+  };
+  
+  /**
+   * Generates a random value that is not valid for the typedef,
+   * for negative tests. It's either a value of a wrong kind,
+   * or a value that breaks a constraint, or a container
+   * with one missing or invalid nested value.
+   * Throws if every value is valid (e.g. for "any").
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} [userTypedefs=null]
+   * @param {Object} [options] - Same as options of generateValue.
+   * @return {*}
+   */
+  const generateInvalidValue = (typedef, userTypedefs = null, options = {}) => {
+    const context = makeContext(options);
+    const values = getInvalidValues(typedef, userTypedefs, context, 0);
+    
+    if (values.length === 0) {
+      throw new Error(
+        'generateInvalidValue(): ' +
+        `every value is valid for type '${typedef.type}'`
+      );
+    }
+    
+    return context.pick(values);
+  };
+  
+  return {
+    generateValue,
+    generateInvalidValue,
+  };
+};
+
+exports.createGeneratorMethods = createGeneratorMethods;
@@ -9,9 +9,165 @@
 /**
  * @typedef {Object} BoobenTypeDefinition
  * @property {string} type - Type name. Can be one of the built-in types or one of user-defined types.
- * @property {boolean} [notNull] - For "shape", "objectOf" and "object" types only.
+ * @property {boolean} [notNull] - For types that are nullable by default ("shape", "objectOf", "object" and "union" of nullable types) only.
+ * @property {boolean} [nullable] - Allows null for a type of any kind.
  * @property {BoobenTypeDefinition} [ofType] - For "arrayOf" and "objectOf" types only - type of items.
  * @property {Object<string, BoobenTypeDefinition>} [fields] - For "shape" type only.
  * @property {OneOfOption[]} [options] - For "oneOf" type only.
+ * @property {BoobenTypeDefinition[]} [types] - For "union" type only - alternative types.
+ * @property {BoobenTypeDefinition[]} [items] - For "tuple" type only - types of items by position.
+ * @property {BoobenTypeDefinition[]} [args] - For "func" type - types of arguments, not checked if omitted. For references to generic user types - type arguments, one per parameter.
+ * @property {BoobenTypeDefinition} [returns] - For "func" type only - return type. Requires "args". The return type is not checked if omitted.
+ * @property {number} [min] - For "int" and "float" types only - inclusive lower bound.
+ * @property {number} [max] - For "int" and "float" types only - inclusive upper bound.
+ * @property {number} [minLength] - For "string" type only.
+ * @property {number} [maxLength] - For "string" type only.
+ * @property {string} [pattern] - For "string" type only - source of a regular expression that values must match.
+ * @property {number} [minItems] - For "arrayOf" type only.
+ * @property {number} [maxItems] - For "arrayOf" type only.
+ * @property {string[]} [components] - For "component" type only - display names of allowed components.
+ * @property {Object<string, BoobenTypeDefinition>} [props] - For "component" type only - props the component is rendered with. Only checked for type compatibility.
+ * @property {string[]} [params] - For user typedefs only - names of type parameters of a generic type. References to parameters look like references to user types (e.g. { type: 'T' }).
+ * @property {*} [defaultValue] - Value returned by makeDefaultValue instead of the zero value of the type. Must be a valid value of the typedef.
  * @property {boolean} [required]
  */
+
+/**
+ * @typedef {Object} ValueValidationError
+ * @property {(string|number)[]} path - Path to the invalid value from the root value.
+ * @property {string} expected - Expected type as printed by printType.
+ * @property {string} actual - Kind of the actual value (see getValueKind).
+ * @property {string} reason - One of ValueErrorCodes.
+ */
+
+/**
+ * @typedef {Object} TypedefValidationError
+ * @property {(string|number)[]} path - Path to the invalid typedef or property from the root typedef (or from the user typedefs dictionary).
+ * @property {string} reason - One of TypedefErrorCodes.
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} IncompatibilityReason
+ * @property {(string|number)[]} path - Path to the mismatching typedef from the root expected typedef.
+ * @property {string} reason - One of IncompatibilityCodes.
+ * @property {string} expected - Expected type as printed by printType.
+ * @property {string} actual - Actual type as printed by printType.
+ * @property {IncompatibilityReason[]} causes - Nested reasons.
+ */
+
+/**
+ * @typedef {Object} TypeDefinition
+ * @property {function(value: *, typedef: BoobenTypeDefinition, userTypedefs: ?Object<string, BoobenTypeDefinition>): boolean} validate
+ * @property {function(typedef: BoobenTypeDefinition, userTypedefs: ?Object<string, BoobenTypeDefinition>): string} print
+ * @property {function(typedef1: BoobenTypeDefinition, typedef2: BoobenTypeDefinition, userTypedefs1: ?Object<string, BoobenTypeDefinition>, userTypedefs2: ?Object<string, BoobenTypeDefinition>): boolean} isEqualType - Called only for typedefs of the same type.
+ * @property {function(typedef1: BoobenTypeDefinition, typedef2: BoobenTypeDefinition, userTypedefs1: ?Object<string, BoobenTypeDefinition>, userTypedefs2: ?Object<string, BoobenTypeDefinition>, visited: string[][], path: (string|number)[]): IncompatibilityReason[]} [explainCompatibility] - Reasons why a value of typedef2 cannot be used where typedef1 is expected. Empty if it can.
+ * @property {function(typedef1: BoobenTypeDefinition, typedef2: BoobenTypeDefinition, userTypedefs1: ?Object<string, BoobenTypeDefinition>, userTypedefs2: ?Object<string, BoobenTypeDefinition>): boolean} [isCompatibleType] - Whether a value of typedef2 can be used where typedef1 is expected. Used only if explainCompatibility is not provided.
+ * @property {function(typedef: BoobenTypeDefinition, userTypedefs: ?Object<string, BoobenTypeDefinition>, options: Object): *} makeDefaultValue
+ * @property {Object<string, Function>} [coerce] - Coercion functions from other types to this type, keyed by the source type name.
+ * @property {Function} [coerceFallback] - Coercion function for source types that have no entry in "coerce".
+ * @property {Object<string, Function>} [lenientCoerce] - Coercion functions used instead of (or in addition to) "coerce" in lenient mode. They throw errors with "path" property when the value cannot be coerced.
+ * @property {boolean|function(typedef: BoobenTypeDefinition, userTypedefs: ?Object<string, BoobenTypeDefinition>): boolean} [nullable] - Whether values of this type are nullable by default (unless the typedef has "notNull" flag). Null values are handled by the type system and never passed to the other methods.
+ * @property {function(value: *, typedef: BoobenTypeDefinition, userTypedefs: ?Object<string, BoobenTypeDefinition>, path: (string|number)[]): ValueValidationError[]} [getErrors] - Detailed validation. If not provided, validate is used.
+ * @property {function(typedef: BoobenTypeDefinition, userTypedefs: ?Object<string, BoobenTypeDefinition>, path: (string|number)[]): TypedefValidationError[]} [getTypedefErrors] - Checks type-specific typedef properties.
+ * @property {function(typedef: BoobenTypeDefinition, key: (string|number)): ?BoobenTypeDefinition} [getNestedTypedef] - Typedef of a nested value for container types.
+ * @property {function(typedef: BoobenTypeDefinition, fn: function(typedef: BoobenTypeDefinition, path: (string|number)[]): BoobenTypeDefinition): BoobenTypeDefinition} [mapNestedTypedefs] - Copy of the typedef with all nested typedefs replaced with results of fn. fn also gets the path to the nested typedef from the typedef (e.g. ['fields', 'name']). Required for types with nested typedefs.
+ * @property {function(typedef: BoobenTypeDefinition, compileNested: function(typedef: BoobenTypeDefinition): function(value: *): boolean): function(value: *): boolean} [compileValidator] - Builds a validator with the same result as validate for the resolved typedef. Nested typedefs are compiled with compileNested. Validators of nested values handle null and containers of the value adapter. If not provided, validate is used.
+ */
+
+/**
+ * @typedef {Object} ValueAdapter
+ * @property {function(value: *): *} toNative - Converts a container to a plain array or object (not deeply). Other values are returned as is.
+ * @property {function(value: *): *} fromNative - Converts a plain array or object to a container (not deeply). Other values are returned as is.
+ * @property {function(container: *, key: (string|number)): *} get
+ * @property {function(container: *, key: (string|number), value: *): *} set - Returns a new container, the original one is not changed.
+ */
+
+/**
+ * @typedef {Object} TypeSystem
+ * @property {ValueAdapter} valueAdapter
+ * @property {function(typeName: string, definition: TypeDefinition)} registerType
+ * @property {function(typeFrom: string, typeTo: string, coerceFn: Function)} registerCoercion
+ * @property {function(typeFrom: string, typeTo: string): boolean} hasCoercion
+ * @property {function(typeName: string): boolean} hasType
+ * @property {Function} resolveTypedef
+ * @property {Function} resolveOrThrow
+ * @property {Function} getNestedTypedef
+ * @property {Function} traverseTypedef
+ * @property {Function} mapTypedef
+ * @property {function(typeName: string): boolean} isNullableType
+ * @property {Function} isNullableTypedef
+ * @property {Function} isValidValue
+ * @property {Function} compileValidator
+ * @property {Function} validateValue
+ * @property {Function} validateTypedef
+ * @property {Function} validateUserTypedefs
+ * @property {Function} printType
+ * @property {Function} isEqualType
+ * @property {Function} isCompatibleType
+ * @property {Function} explainCompatibility
+ * @property {Function} makeDefaultValue
+ * @property {Function} makeDefaultNonNullValue
+ * @property {Function} coerceValue
+ * @property {Function} compileCoercer
+ * @property {Function} toJSONSchema
+ * @property {Function} fromJSONSchema
+ * @property {Function} printTypeScript
+ * @property {Function} generateDeclarations
+ * @property {Function} parseType
+ * @property {Function} isEqualValue
+ * @property {Function} hashValue
+ * @property {Function} migrateValue
+ * @property {Function} generateValue
+ * @property {Function} generateInvalidValue
+ * @property {Function} getValueAtPath
+ * @property {Function} setValueAtPath
+ * @property {Function} normalizeTypedef
+ * @property {Function} typeHash
+ */
+
+/**
+ * @typedef {Object} TypedefTraversalNode
+ * @property {BoobenTypeDefinition} typedef
+ * @property {?BoobenTypeDefinition} resolvedTypedef - The typedef with user types resolved.
+ * @property {(string|number)[]} path - Path to the typedef from the root typedef (e.g. ['fields', 'items', 'ofType']).
+ * @property {?TypedefTraversalNode} parent
+ * @property {?string} userTypeName - Name of the user type the typedef refers to.
+ * @property {boolean} isRecursive - Set for references to user types that are already being traversed. Their children are not visited.
+ */
+
+/**
+ * @typedef {Object} CoercionResult
+ * @property {boolean} success
+ * @property {*} value - Coerced value, undefined on failure.
+ * @property {?(string|number)[]} path - Path to the value that could not be coerced.
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} MigrationIssue
+ * @property {(string|number)[]} path - Path to the value from the root value.
+ * @property {string} reason - One of MigrationIssueCodes.
+ * @property {*} oldValue
+ * @property {*} newValue - Undefined for removed fields.
+ */
+
+/**
+ * @typedef {Object} MigrationResult
+ * @property {*} value - Migrated value.
+ * @property {MigrationIssue[]} issues - Lossy and impossible conversions.
+ */
+
+/**
+ * @typedef {Object} JSONSchemaImportIssue
+ * @property {(string|number)[]} path - Path to the schema containing the keyword.
+ * @property {?string} keyword
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} JSONSchemaImportResult
+ * @property {BoobenTypeDefinition} typedef
+ * @property {Object<string, BoobenTypeDefinition>} userTypedefs - Converted $defs (or definitions).
+ * @property {JSONSchemaImportIssue[]} unsupported - Schema features that were dropped.
+ */
@@ -0,0 +1,800 @@
+'use strict';
+
+const { TypeNames, TypeConstraints } = require('./builtin-types');
+const { isString, hasOwnProperty, getValueKind } = require('./utils');
+
+/**
+ *
+ * @type {string}
+ */
+const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+/**
+ * Keyword used to keep the name of a type that has no JSON Schema
+ * counterpart (func, component, element, renderer or a registered type)
+ *
+ * @type {string}
+ */
+const BOOBEN_TYPE_KEYWORD = 'x-booben-type';
+
+/**
+ *
+ * @type {string[]}
+ */
+const DEFS_KEYWORDS = ['$defs', 'definitions'];
+
+/**
+ *
+ * @type {string[]}
+ */
+const SCALAR_SCHEMA_TYPES = ['boolean', 'number', 'string'];
+
+/**
+ * Keywords that fromJSONSchema knows how to convert
+ *
+ * @type {Set<string>}
+ */
+const SUPPORTED_KEYWORDS = new Set([
+  'type',
+  'properties',
+  'required',
+  'items',
+  'prefixItems',
+  'additionalItems',
+  'additionalProperties',
+  'enum',
+  'const',
+  'anyOf',
+  '$ref',
+  '$defs',
+  'definitions',
+  'minimum',
+  'maximum',
+  'minLength',
+  'maxLength',
+  'pattern',
+  'minItems',
+  'maxItems',
+  'default',
+  BOOBEN_TYPE_KEYWORD,
+]);
+
+/**
+ * JSON Schema keywords of typedef constraints
+ *
+ * @type {Object<string, string>}
+ */
+const CONSTRAINT_KEYWORDS = {
+  min: 'minimum',
+  max: 'maximum',
+  minLength: 'minLength',
+  maxLength: 'maxLength',
+  pattern: 'pattern',
+  minItems: 'minItems',
+  maxItems: 'maxItems',
+};
+
+/**
+ * Keywords that don't affect validation and can be safely ignored
+ *
+ * @type {Set<string>}
+ */
+const ANNOTATION_KEYWORDS = new Set([
+  '$schema',
+  '$id',
+  '$comment',
+  'title',
+  'description',
+  'examples',
+  'deprecated',
+  'readOnly',
+  'writeOnly',
+]);
+
+/**
+ *
+ * @type {Object<string, string>}
+ */
+const SCHEMA_TYPES_TO_TYPE_NAMES = {
+  string: TypeNames.STRING,
+  integer: TypeNames.INT,
+  number: TypeNames.FLOAT,
+  boolean: TypeNames.BOOL,
+};
+
+/**
+ *
+ * @param {string} name
+ * @return {string}
+ */
+const escapeJSONPointer = name =>
+  name.replace(/~/g, '~0').replace(/\//g, '~1');
+
+/**
+ *
+ * @param {string} token
+ * @return {string}
+ */
+const unescapeJSONPointer = token =>
+  token.replace(/~1/g, '/').replace(/~0/g, '~');
+
+/**
+ *
+ * @param {*} value
+ * @return {boolean}
+ */
+const isScalarValue = value =>
+  SCALAR_SCHEMA_TYPES.indexOf(getValueKind(value)) !== -1;
+
+/**
+ * Copies constraints of the typedef to the schema
+ *
+ * @param {Object} schema
+ * @param {BoobenTypeDefinition} typedef
+ * @return {Object}
+ */
+const addConstraintKeywords = (schema, typedef) => {
+  TypeConstraints[typedef.type].forEach(key => {
+    if (typeof typedef[key] !== 'undefined') {
+      schema[CONSTRAINT_KEYWORDS[key]] = typedef[key];
+    }
+  });
+  
+  return schema;
+};
+
+/**
+ * Copies constraint keywords of the schema to the typedef.
+ * Keywords that don't apply to the type are ignored,
+ * as in JSON Schema itself.
+ *
+ * @param {BoobenTypeDefinition} typedef
+ * @param {Object} schema
+ * @return {BoobenTypeDefinition}
+ */
+const addConstraints = (typedef, schema) => {
+  const keys = TypeConstraints[typedef.type] || [];
+  
+  keys.forEach(key => {
+    const keyword = CONSTRAINT_KEYWORDS[key];
+    if (hasOwnProperty(schema, keyword)) typedef[key] = schema[keyword];
+  });
+  
+  return typedef;
+};
+
+/**
+ * Keywords that restrict values of the schema
+ *
+ * @type {string[]}
+ */
+const ASSERTION_KEYWORDS = ['type', 'enum', '$ref', 'anyOf'];
+
+/**
+ * Makes the schema accept null
+ *
+ * @param {Object} schema
+ * @return {Object}
+ */
+const withNull = schema => {
+  if (isString(schema.type)) {
+    return Object.assign({}, schema, { type: [schema.type, 'null'] });
+  }
+  
+  if (Array.isArray(schema.type)) {
+    return schema.type.indexOf('null') === -1
+      ? Object.assign({}, schema, { type: schema.type.concat('null') })
+      : schema;
+  }
+  
+  // Schemas that accept anything already accept null
+  if (!ASSERTION_KEYWORDS.some(keyword => hasOwnProperty(schema, keyword))) {
+    return schema;
+  }
+  
+  return { anyOf: [schema, { type: 'null' }] };
+};
+
+/**
+ *
+ * @param {*} schema
+ * @return {boolean}
+ */
+const isNullSchema = schema =>
+  getValueKind(schema) === 'object' &&
+  hasOwnProperty(schema, 'type') &&
+  [].concat(schema.type).every(type => type === 'null');
+
+/**
+ * Creates JSON Schema conversion methods for a type system
+ *
+ * @param {TypeSystem} typeSystem
+ * @return {{toJSONSchema: Function, fromJSONSchema: Function}}
+ */
+const createJSONSchemaMethods = typeSystem => {
+  const {
+    hasType,
+    resolveOrThrow,
+    printType,
+    isNullableType,
+    isNullableTypedef,
+  } = typeSystem;
+  
+  /**
+   * Makes the typedef accept null
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @return {BoobenTypeDefinition}
+   */
+  const makeNullable = typedef => {
+    const ret = Object.assign({}, typedef);
+    
+    if (ret.notNull) delete ret.notNull;
+    else if (!isNullableType(ret.type)) ret.nullable = true;
+    
+    return ret;
+  };
+  
+  /**
+   * Returns the name of the user type or of the instance
+   * of a generic user type, e.g. PagedList<Product>
+   *
+   * @param {BoobenTypeDefinition} typedef - Reference to a user type.
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefs
+   * @return {string}
+   */
+  const getDefName = (typedef, userTypedefs) => {
+    if (!Array.isArray(typedef.args)) return typedef.type;
+    
+    const args = typedef.args
+      .map(arg => (hasType(arg.type)
+        ? printType(arg, userTypedefs)
+        : getDefName(arg, userTypedefs)))
+      .join(', ');
+    
+    return `${typedef.type}<${args}>`;
+  };
+  
+  /**
+   * Returns the user typedef the reference refers to
+   * with arguments substituted for parameters of generic types
+   *
+   * @param {BoobenTypeDefinition} typedef - Reference to a user type.
+   * @param {Object<string, BoobenTypeDefinition>} userTypedefs
+   * @return {BoobenTypeDefinition}
+   */
+  const getUserTypedef = (typedef, userTypedefs) => {
+    if (!Array.isArray(typedef.args)) return userTypedefs[typedef.type];
+    
+    const reference = { type: typedef.type, args: typedef.args };
+    return resolveOrThrow(reference, userTypedefs);
+  };
+  
+  /* eslint-disable no-use-before-define */
+  /**
+   * Converts the typedef to schema that doesn't accept null
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefs
+   * @param {Object<string, Object>} defs - Schemas of visited user types.
+   * @return {Object}
+   */
+  const typedefToNonNullSchema = (typedef, userTypedefs, defs) => {
+    if (!hasType(typedef.type)) {
+      const userTypeName = typedef.type;
+      
+      if (!userTypedefs || !hasOwnProperty(userTypedefs, userTypeName)) {
+        throw new Error(`Cannot resolve type '${userTypeName}'`);
+      }
+      
+      const defName = getDefName(typedef, userTypedefs);
+      
+      if (!hasOwnProperty(defs, defName)) {
+        // Placeholder for recursive references
+        defs[defName] = {};
+        defs[defName] = typedefToSchema(
+          getUserTypedef(typedef, userTypedefs),
+          userTypedefs,
+          defs
+        );
+      }
+      
+      return { $ref: `#/$defs/${escapeJSONPointer(defName)}` };
+    }
+    
+    switch (typedef.type) {
+      case TypeNames.STRING: {
+        return addConstraintKeywords({ type: 'string' }, typedef);
+      }
+      
+      case TypeNames.BOOL: return { type: 'boolean' };
+      case TypeNames.INT: {
+        return addConstraintKeywords({ type: 'integer' }, typedef);
+      }
+      
+      case TypeNames.FLOAT: {
+        return addConstraintKeywords({ type: 'number' }, typedef);
+      }
+      
+      case TypeNames.SCALAR: return { type: SCALAR_SCHEMA_TYPES.slice() };
+      case TypeNames.ONE_OF: {
+        return { enum: typedef.options.map(option => option.value) };
+      }
+      
+      case TypeNames.ARRAY: return { type: 'array' };
+      case TypeNames.ARRAY_OF: {
+        return addConstraintKeywords({
+          type: 'array',
+          items: typedefToSchema(typedef.ofType, userTypedefs, defs),
+        }, typedef);
+      }
+      
+      case TypeNames.TUPLE: {
+        return {
+          type: 'array',
+          prefixItems: typedef.items.map(itemTypedef =>
+            typedefToSchema(itemTypedef, userTypedefs, defs)),
+          
+          items: false,
+          minItems: typedef.items.length,
+        };
+      }
+      
+      case TypeNames.OBJECT: return { type: 'object' };
+      case TypeNames.OBJECT_OF: {
+        return {
+          type: 'object',
+          additionalProperties:
+            typedefToSchema(typedef.ofType, userTypedefs, defs),
+        };
+      }
+      
+      case TypeNames.SHAPE: {
+        const fieldNames = Object.keys(typedef.fields);
+        const properties = {};
+        
+        fieldNames.forEach(fieldName => {
+          properties[fieldName] = typedefToSchema(
+            typedef.fields[fieldName],
+            userTypedefs,
+            defs
+          );
+        });
+        
+        const ret = { type: 'object', properties };
+        const required = fieldNames
+          .filter(fieldName => typedef.fields[fieldName].required);
+        
+        if (required.length > 0) ret.required = required;
+        return ret;
+      }
+      
+      case TypeNames.UNION: {
+        return {
+          anyOf: typedef.types.map(memberTypedef =>
+            typedefToSchema(memberTypedef, userTypedefs, defs)),
+        };
+      }
+      
+      case TypeNames.ANY: return {};
+      default: return { [BOOBEN_TYPE_KEYWORD]: typedef.type };
+    }
+  };
+  /* eslint-enable no-use-before-define */
+  
+  /**
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefs
+   * @param {Object<string, Object>} defs - Schemas of visited user types.
+   * @return {Object}
+   */
+  const typedefToSchema = (typedef, userTypedefs, defs) => {
+    const schema = typedefToNonNullSchema(typedef, userTypedefs, defs);
+    
+    // Schemas of nullable user types accept null themselves
+    const ret = isNullableTypedef(typedef, userTypedefs) && (
+      hasType(typedef.type) ||
+      !isNullableTypedef(getUserTypedef(typedef, userTypedefs), userTypedefs)
+    )
+      ? withNull(schema)
+      : schema;
+    
+    return hasOwnProperty(typedef, 'defaultValue')
+      ? Object.assign({}, ret, { default: typedef.defaultValue })
+      : ret;
+  };
+  
+  /**
+   * Converts the typedef to JSON Schema (draft 2020-12).
+   * Referred user types are placed in $defs.
+   * Types that cannot be represented in JSON Schema (func, component etc.)
+   * are converted to schemas that accept anything and keep the type name
+   * in "x-booben-type" keyword.
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} [userTypedefs=null]
+   * @return {Object}
+   */
+  const toJSONSchema = (typedef, userTypedefs = null) => {
+    const defs = {};
+    const schema = typedefToSchema(typedef, userTypedefs, defs);
+    const ret = Object.assign({ $schema: JSON_SCHEMA_DIALECT }, schema);
+    
+    if (Object.keys(defs).length > 0) ret.$defs = defs;
+    return ret;
+  };
+  
+  /**
+   * Converts JSON Schema to a typedef. Schemas in $defs (or definitions)
+   * become user typedefs, local $refs to them become references
+   * to user types. Features that cannot be represented are dropped
+   * and reported in the result.
+   *
+   * @param {Object|boolean} schema
+   * @return {JSONSchemaImportResult}
+   */
+  const fromJSONSchema = schema => {
+    const userTypedefs = {};
+    const unsupported = [];
+    const refsToUserTypes = {};
+    
+    const report = (path, keyword, message) => {
+      unsupported.push({ path, keyword, message });
+    };
+    
+    const makeAny = () => ({ type: TypeNames.ANY });
+    
+    const convertRef = (ref, path) => {
+      if (isString(ref) && hasOwnProperty(refsToUserTypes, ref)) {
+        return { type: refsToUserTypes[ref] };
+      }
+      
+      report(path, '$ref', `Cannot resolve reference '${ref}'`);
+      return makeAny();
+    };
+    
+    const convertEnum = (values, path, keyword) => {
+      const options = [];
+      const nullable = values.indexOf(null) !== -1;
+      
+      values.forEach((value, idx) => {
+        if (value === null) return;
+        
+        if (!isScalarValue(value)) {
+          report(
+            path.concat(keyword, idx),
+            keyword,
+            'Only strings, numbers and booleans can be oneOf options, ' +
+            `got ${getValueKind(value)}`
+          );
+        } else if (!options.some(option => option.value === value)) {
+          options.push({ value });
+        }
+      });
+      
+      if (options.length === 0) {
+        report(path, keyword, 'No representable values');
+        return makeAny();
+      }
+      
+      const typedef = { type: TypeNames.ONE_OF, options };
+      return nullable ? makeNullable(typedef) : typedef;
+    };
+    
+    /* eslint-disable no-use-before-define */
+    const convertObject = (schema, path, notNull) => {
+      const hasProperties = getValueKind(schema.properties) === 'object';
+      const additionalProperties = schema.additionalProperties;
+      
+      if (!hasProperties) {
+        if (getValueKind(additionalProperties) === 'object') {
+          const ret = {
+            type: TypeNames.OBJECT_OF,
+            ofType: convertSchema(
+              additionalProperties,
+              path.concat('additionalProperties')
+            ),
+          };
+          
+          if (notNull) ret.notNull = true;
+          return ret;
+        }
+        
+        if (additionalProperties === false) {
+          report(
+            path,
+            'additionalProperties',
+            'Objects without properties cannot be represented'
+          );
+        }
+        
+        return notNull
+          ? { type: TypeNames.OBJECT, notNull: true }
+          : { type: TypeNames.OBJECT };
+      }
+      
+      if (
+        typeof additionalProperties !== 'undefined' &&
+        additionalProperties !== true
+      ) {
+        report(
+          path,
+          'additionalProperties',
+          'Restrictions on additional properties of shapes ' +
+          'cannot be represented'
+        );
+      }
+      
+      const required = Array.isArray(schema.required) ? schema.required : [];
+      const fields = {};
+      
+      Object.keys(schema.properties).forEach(key => {
+        const fieldTypedef = convertSchema(
+          schema.properties[key],
+          path.concat('properties', key)
+        );
+        
+        fields[key] = required.indexOf(key) !== -1
+          ? Object.assign({}, fieldTypedef, { required: true })
+          : fieldTypedef;
+      });
+      
+      required.forEach(key => {
+        if (!hasOwnProperty(fields, key)) {
+          report(
+            path,
+            'required',
+            `Required property '${key}' is not described in 'properties'`
+          );
+        }
+      });
+      
+      const ret = { type: TypeNames.SHAPE, fields };
+      if (notNull) ret.notNull = true;
+      return ret;
+    };
+    
+    const convertTuple = (schema, path) => {
+      // Draft 2020-12 uses "prefixItems", older drafts use "items" array
+      const keyword = Array.isArray(schema.prefixItems)
+        ? 'prefixItems'
+        : 'items';
+      
+      const itemSchemas = schema[keyword];
+      const length = itemSchemas.length;
+      const isClosed = schema.maxItems === length || (
+        keyword === 'prefixItems'
+          ? schema.items === false
+          : schema.additionalItems === false
+      );
+      
+      if (!isClosed || schema.minItems !== length) {
+        report(
+          path,
+          keyword,
+          'Only tuples of fixed length can be represented'
+        );
+      }
+      
+      return {
+        type: TypeNames.TUPLE,
+        items: itemSchemas.map((itemSchema, idx) =>
+          convertSchema(itemSchema, path.concat(keyword, idx))),
+      };
+    };
+    
+    const convertArray = (schema, path) => {
+      const items = schema.items;
+      
+      if (Array.isArray(schema.prefixItems) || Array.isArray(items)) {
+        return convertTuple(schema, path);
+      }
+      
+      if (getValueKind(items) === 'object' || items === true) {
+        return addConstraints({
+          type: TypeNames.ARRAY_OF,
+          ofType: convertSchema(items, path.concat('items')),
+        }, schema);
+      }
+      
+      if (typeof items !== 'undefined') {
+        report(path, 'items', "'items' must be a schema");
+      }
+      
+      ['minItems', 'maxItems'].forEach(keyword => {
+        if (hasOwnProperty(schema, keyword)) {
+          report(path, keyword, `'${keyword}' requires 'items'`);
+        }
+      });
+      
+      return { type: TypeNames.ARRAY };
+    };
+    
+    const convertAnyOf = (schemas, path) => {
+      const nullable = schemas.some(isNullSchema);
+      const types = [];
+      
+      schemas.forEach((memberSchema, idx) => {
+        if (!isNullSchema(memberSchema)) {
+          types.push(convertSchema(memberSchema, path.concat('anyOf', idx)));
+        }
+      });
+      
+      if (types.length === 0) {
+        report(path, 'anyOf', 'anyOf without non-null schemas');
+        return makeAny();
+      }
+      
+      const typedef = types.length === 1
+        ? types[0]
+        : { type: TypeNames.UNION, types };
+      
+      return nullable ? makeNullable(typedef) : typedef;
+    };
+    
+    const convertType = (schema, path) => {
+      const schemaTypes = [].concat(schema.type);
+      const nullable = schemaTypes.indexOf('null') !== -1;
+      const nonNullTypes = schemaTypes.filter(type => type !== 'null');
+      
+      const isScalar =
+        nonNullTypes.length > 1 &&
+        nonNullTypes.every(type =>
+          type === 'integer' || SCALAR_SCHEMA_TYPES.indexOf(type) !== -1) &&
+        SCALAR_SCHEMA_TYPES.every(type =>
+          nonNullTypes.indexOf(type) !== -1);
+      
+      // Each of several types is converted with the rest of the schema
+      if (nonNullTypes.length > 1 && !isScalar) {
+        const union = {
+          type: TypeNames.UNION,
+          types: nonNullTypes.map(type =>
+            convertType(Object.assign({}, schema, { type }), path)),
+        };
+        
+        return nullable ? makeNullable(union) : union;
+      }
+      
+      if (nonNullTypes.length !== 1 && !isScalar) {
+        report(
+          path,
+          'type',
+          `Type ${JSON.stringify(schema.type)} cannot be represented`
+        );
+        
+        return makeAny();
+      }
+      
+      if (nonNullTypes[0] === 'object') {
+        return convertObject(schema, path, !nullable);
+      }
+      
+      let typedef;
+      
+      if (isScalar) {
+        typedef = { type: TypeNames.SCALAR };
+      } else if (nonNullTypes[0] === 'array') {
+        typedef = convertArray(schema, path);
+      } else if (hasOwnProperty(SCHEMA_TYPES_TO_TYPE_NAMES, nonNullTypes[0])) {
+        typedef = addConstraints(
+          { type: SCHEMA_TYPES_TO_TYPE_NAMES[nonNullTypes[0]] },
+          schema
+        );
+      } else {
+        report(path, 'type', `Unknown type '${nonNullTypes[0]}'`);
+        return makeAny();
+      }
+      
+      return nullable ? makeNullable(typedef) : typedef;
+    };
+    
+    const convertSchemaAssertions = (schema, path) => {
+      if (schema === true) return makeAny();
+      
+      if (getValueKind(schema) !== 'object') {
+        report(
+          path,
+          null,
+          `Schema ${JSON.stringify(schema)} cannot be represented`
+        );
+        
+        return makeAny();
+      }
+      
+      Object.keys(schema).forEach(keyword => {
+        if (
+          !SUPPORTED_KEYWORDS.has(keyword) &&
+          !ANNOTATION_KEYWORDS.has(keyword)
+        ) {
+          report(path, keyword, `Keyword '${keyword}' is not supported`);
+        }
+      });
+      
+      if (hasOwnProperty(schema, '$ref')) {
+        return convertRef(schema.$ref, path);
+      }
+      
+      if (
+        hasOwnProperty(schema, BOOBEN_TYPE_KEYWORD) &&
+        hasType(schema[BOOBEN_TYPE_KEYWORD])
+      ) {
+        return { type: schema[BOOBEN_TYPE_KEYWORD] };
+      }
+      
+      if (Array.isArray(schema.anyOf)) return convertAnyOf(schema.anyOf, path);
+      
+      if (hasOwnProperty(schema, 'const')) {
+        return convertEnum([schema.const], path, 'const');
+      }
+      
+      if (Array.isArray(schema.enum)) {
+        return convertEnum(schema.enum, path, 'enum');
+      }
+      
+      if (hasOwnProperty(schema, 'type')) return convertType(schema, path);
+      
+      // Untyped schemas with structure keywords
+      if (hasOwnProperty(schema, 'properties')) {
+        return convertObject(schema, path, false);
+      }
+      
+      if (
+        hasOwnProperty(schema, 'items') ||
+        hasOwnProperty(schema, 'prefixItems')
+      ) {
+        return convertArray(schema, path);
+      }
+      
+      return makeAny();
+    };
+    
+    const convertSchema = (schema, path) => {
+      const typedef = convertSchemaAssertions(schema, path);
+      
+      return getValueKind(schema) === 'object' &&
+        hasOwnProperty(schema, 'default')
+        ? Object.assign({}, typedef, { defaultValue: schema.default })
+        : typedef;
+    };
+    /* eslint-enable no-use-before-define */
+    
+    if (getValueKind(schema) === 'object') {
+      const defsKeywords = DEFS_KEYWORDS
+        .filter(keyword => getValueKind(schema[keyword]) === 'object');
+      
+      // Collect names first, so that definitions can refer to each other
+      defsKeywords.forEach(keyword => {
+        Object.keys(schema[keyword]).forEach(name => {
+          if (hasType(name)) {
+            report(
+              [keyword, name],
+              keyword,
+              `Definition '${name}' clashes with type '${name}'`
+            );
+          } else {
+            refsToUserTypes[`#/${keyword}/${escapeJSONPointer(name)}`] = name;
+          }
+        });
+      });
+      
+      Object.keys(refsToUserTypes).forEach(ref => {
+        const [, keyword, escapedName] = ref.split('/');
+        const name = unescapeJSONPointer(escapedName);
+        
+        userTypedefs[name] =
+          convertSchema(schema[keyword][name], [keyword, name]);
+      });
+    }
+    
+    const typedef = convertSchema(schema, []);
+    return { typedef, userTypedefs, unsupported };
+  };
+  
+  return {
+    toJSONSchema,
+    fromJSONSchema,
+  };
+};
+
+exports.createJSONSchemaMethods = createJSONSchemaMethods;
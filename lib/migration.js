@@ -0,0 +1,364 @@
+'use strict';
+
+const _mapValues = require('lodash.mapvalues');
+const { TypeNames } = require('./builtin-types');
+const { MigrationIssueCodes } = require('./error-codes');
+const { hasOwnProperty, getValueKind } = require('./utils');
+
+/**
+ *
+ * @param {string} reason
+ * @param {(string|number)[]} path
+ * @param {*} oldValue
+ * @param {*} newValue
+ * @return {MigrationIssue}
+ */
+const makeIssue = (reason, path, oldValue, newValue) => ({
+  path,
+  reason,
+  oldValue,
+  newValue,
+});
+
+/**
+ * Creates value migration methods for a type system
+ *
+ * @param {TypeSystem} typeSystem
+ * @return {{migrateValue: Function}}
+ */
+const createMigrationMethods = typeSystem => {
+  const {
+    resolveOrThrow,
+    hasCoercion,
+    isValidValue,
+    coerceValue,
+    makeDefaultValue,
+    isEqualValue,
+    valueAdapter,
+  } = typeSystem;
+  
+  /**
+   * Coerces the value with a strict coercion if there is one,
+   * and with a lenient one (e.g. parsing numeric strings) otherwise.
+   * Fails if the result is not a valid value of typedefTo.
+   *
+   * @param {*} value
+   * @param {BoobenTypeDefinition} typedefFrom
+   * @param {BoobenTypeDefinition} typedefTo
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefsFrom
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefsTo
+   * @return {CoercionResult}
+   */
+  const tryCoerce = (
+    value,
+    typedefFrom,
+    typedefTo,
+    userTypedefsFrom,
+    userTypedefsTo
+  ) => {
+    const typeFrom = resolveOrThrow(typedefFrom, userTypedefsFrom).type;
+    const typeTo = resolveOrThrow(typedefTo, userTypedefsTo).type;
+    let result = null;
+    
+    if (hasCoercion(typeFrom, typeTo)) {
+      // Coercions may reject some values (e.g. arrays of wrong length)
+      try {
+        result = {
+          success: true,
+          value: coerceValue(
+            value,
+            typedefFrom,
+            typedefTo,
+            userTypedefsFrom,
+            userTypedefsTo
+          ),
+          
+          path: null,
+          message: '',
+        };
+      } catch (err) {
+        if (!Array.isArray(err.path)) throw err;
+      }
+    }
+    
+    if (!result || !isValidValue(result.value, typedefTo, userTypedefsTo)) {
+      result = coerceValue(
+        value,
+        typedefFrom,
+        typedefTo,
+        userTypedefsFrom,
+        userTypedefsTo,
+        { lenient: true }
+      );
+    }
+    
+    return result.success &&
+      isValidValue(result.value, typedefTo, userTypedefsTo)
+      ? result
+      : {
+        success: false,
+        value: undefined,
+        path: result.path,
+        message: result.message,
+      };
+  };
+  
+  /* eslint-disable no-use-before-define */
+  /**
+   *
+   * @param {Object} value - Native object.
+   * @param {BoobenTypeDefinition} oldTypedef - Resolved shape typedef.
+   * @param {BoobenTypeDefinition} newTypedef - Resolved shape typedef.
+   * @param {?Object<string, BoobenTypeDefinition>} oldUserTypedefs
+   * @param {?Object<string, BoobenTypeDefinition>} newUserTypedefs
+   * @param {(string|number)[]} path
+   * @param {MigrationIssue[]} issues
+   * @return {Object} - Native object.
+   */
+  const migrateShape = (
+    value,
+    oldTypedef,
+    newTypedef,
+    oldUserTypedefs,
+    newUserTypedefs,
+    path,
+    issues
+  ) => {
+    const ret = {};
+    
+    Object.keys(newTypedef.fields).forEach(fieldName => {
+      const newFieldTypedef = newTypedef.fields[fieldName];
+      const isOldField = hasOwnProperty(oldTypedef.fields, fieldName);
+      
+      if (isOldField && typeof value[fieldName] !== 'undefined') {
+        ret[fieldName] = migrate(
+          value[fieldName],
+          oldTypedef.fields[fieldName],
+          newFieldTypedef,
+          oldUserTypedefs,
+          newUserTypedefs,
+          path.concat(fieldName),
+          issues
+        );
+      } else if (!isOldField || newFieldTypedef.required) {
+        ret[fieldName] = makeDefaultValue(newFieldTypedef, newUserTypedefs);
+      }
+    });
+    
+    Object.keys(oldTypedef.fields).forEach(fieldName => {
+      if (
+        !hasOwnProperty(newTypedef.fields, fieldName) &&
+        typeof value[fieldName] !== 'undefined'
+      ) {
+        issues.push(makeIssue(
+          MigrationIssueCodes.FIELD_REMOVED,
+          path.concat(fieldName),
+          value[fieldName],
+          undefined
+        ));
+      }
+    });
+    
+    return ret;
+  };
+  /* eslint-enable no-use-before-define */
+  
+  /**
+   *
+   * @param {*} value
+   * @param {BoobenTypeDefinition} oldTypedef
+   * @param {BoobenTypeDefinition} newTypedef
+   * @param {?Object<string, BoobenTypeDefinition>} oldUserTypedefs
+   * @param {?Object<string, BoobenTypeDefinition>} newUserTypedefs
+   * @param {(string|number)[]} path
+   * @param {MigrationIssue[]} issues
+   * @return {*}
+   */
+  const migrate = (
+    value,
+    oldTypedef,
+    newTypedef,
+    oldUserTypedefs,
+    newUserTypedefs,
+    path,
+    issues
+  ) => {
+    const resolvedOldTypedef = resolveOrThrow(oldTypedef, oldUserTypedefs);
+    const resolvedNewTypedef = resolveOrThrow(newTypedef, newUserTypedefs);
+    const nativeValue = valueAdapter.toNative(value);
+    const valueKind = getValueKind(nativeValue);
+    
+    // Containers of the same type are migrated item by item,
+    // so that a single bad item doesn't reset the whole container
+    if (resolvedOldTypedef.type === resolvedNewTypedef.type) {
+      const migrateItem = (item, key) => migrate(
+        item,
+        resolvedOldTypedef.ofType,
+        resolvedNewTypedef.ofType,
+        oldUserTypedefs,
+        newUserTypedefs,
+        path.concat(key),
+        issues
+      );
+      
+      switch (resolvedNewTypedef.type) {
+        case TypeNames.SHAPE: {
+          if (valueKind === 'object') {
+            return valueAdapter.fromNative(migrateShape(
+              nativeValue,
+              resolvedOldTypedef,
+              resolvedNewTypedef,
+              oldUserTypedefs,
+              newUserTypedefs,
+              path,
+              issues
+            ));
+          }
+          
+          break;
+        }
+        
+        case TypeNames.OBJECT_OF: {
+          if (valueKind === 'object') {
+            return valueAdapter.fromNative(
+              _mapValues(nativeValue, migrateItem)
+            );
+          }
+          
+          break;
+        }
+        
+        case TypeNames.ARRAY_OF: {
+          if (valueKind === 'array') {
+            return valueAdapter.fromNative(nativeValue.map(migrateItem));
+          }
+          
+          break;
+        }
+        
+        case TypeNames.TUPLE: {
+          const { items } = resolvedNewTypedef;
+          
+          if (
+            valueKind === 'array' &&
+            nativeValue.length === items.length &&
+            resolvedOldTypedef.items.length === items.length
+          ) {
+            const migratedItems = nativeValue.map((item, idx) => migrate(
+              item,
+              resolvedOldTypedef.items[idx],
+              items[idx],
+              oldUserTypedefs,
+              newUserTypedefs,
+              path.concat(idx),
+              issues
+            ));
+            
+            return valueAdapter.fromNative(migratedItems);
+          }
+          
+          break;
+        }
+        
+        default:
+          break;
+      }
+    }
+    
+    if (isValidValue(value, newTypedef, newUserTypedefs)) return value;
+    
+    if (value !== null && isValidValue(value, oldTypedef, oldUserTypedefs)) {
+      const result = tryCoerce(
+        value,
+        oldTypedef,
+        newTypedef,
+        oldUserTypedefs,
+        newUserTypedefs
+      );
+      
+      if (result.success) {
+        // The conversion is lossless if it can be undone
+        const backResult = tryCoerce(
+          result.value,
+          newTypedef,
+          oldTypedef,
+          newUserTypedefs,
+          oldUserTypedefs
+        );
+        
+        const isLossless = backResult.success && isEqualValue(
+          value,
+          backResult.value,
+          oldTypedef,
+          oldUserTypedefs
+        );
+        
+        if (!isLossless) {
+          issues.push(makeIssue(
+            MigrationIssueCodes.LOSSY_CONVERSION,
+            path,
+            value,
+            result.value
+          ));
+        }
+        
+        return result.value;
+      }
+    }
+    
+    const defaultValue = makeDefaultValue(newTypedef, newUserTypedefs);
+    
+    issues.push(makeIssue(
+      MigrationIssueCodes.IMPOSSIBLE_CONVERSION,
+      path,
+      value,
+      defaultValue
+    ));
+    
+    return defaultValue;
+  };
+  
+  /**
+   * Converts a value saved with the old version of a typedef
+   * to the new version. New shape fields get default values,
+   * removed fields are dropped, values of changed types are coerced
+   * where a coercion exists (numeric strings are parsed)
+   * and replaced with default values otherwise. Conversions are reported
+   * as lossy if converting the result back doesn't give the original value.
+   * Never throws on bad values: everything that was dropped, converted
+   * or replaced is listed in "issues".
+   *
+   * @param {*} value
+   * @param {BoobenTypeDefinition} oldTypedef
+   * @param {BoobenTypeDefinition} newTypedef
+   * @param {?Object<string, BoobenTypeDefinition>} [oldUserTypedefs=null]
+   * @param {?Object<string, BoobenTypeDefinition>} [newUserTypedefs=null]
+   * @return {MigrationResult}
+   */
+  const migrateValue = (
+    value,
+    oldTypedef,
+    newTypedef,
+    oldUserTypedefs = null,
+    newUserTypedefs = null
+  ) => {
+    const issues = [];
+    const migratedValue = migrate(
+      value,
+      oldTypedef,
+      newTypedef,
+      oldUserTypedefs,
+      newUserTypedefs,
+      [],
+      issues
+    );
+    
+    return { value: migratedValue, issues };
+  };
+  
+  return {
+    migrateValue,
+  };
+};
+
+exports.createMigrationMethods = createMigrationMethods;
@@ -0,0 +1,478 @@
+'use strict';
+
+const {
+  TypeNames,
+  TypeConstraints,
+  isBuiltinType,
+} = require('./builtin-types');
+
+const { hasOwnProperty } = require('./utils');
+
+/**
+ * Properties that registered (not built-in) types are not compared by
+ *
+ * @type {string[]}
+ */
+const IGNORED_PROPERTIES = ['nullable', 'notNull', 'required', 'defaultValue'];
+
+/**
+ * Recursive types in normalized typedefs are named
+ * with this prefix and a number
+ *
+ * @type {string}
+ */
+const RECURSIVE_TYPE_PREFIX = 'Recursive';
+
+/**
+ *
+ * @param {string} string1
+ * @param {string} string2
+ * @return {number}
+ */
+const compareStrings = (string1, string2) => {
+  if (string1 < string2) return -1;
+  if (string1 > string2) return 1;
+  return 0;
+};
+
+/**
+ *
+ * @param {BoobenTypeDefinition} typedef
+ * @return {BoobenTypeDefinition}
+ */
+const omitNullabilityFlags = typedef => {
+  const ret = Object.assign({}, typedef);
+  delete ret.nullable;
+  delete ret.notNull;
+  return ret;
+};
+
+/**
+ * Properties of the resolved typedef that type equality depends on,
+ * except nested typedefs. Containers of nested typedefs are empty.
+ *
+ * @param {BoobenTypeDefinition} resolvedTypedef
+ * @return {Object}
+ */
+const getOwnProperties = resolvedTypedef => {
+  const { type } = resolvedTypedef;
+  const ret = { type };
+  
+  if (!isBuiltinType(type)) {
+    Object.keys(resolvedTypedef)
+      .filter(key => key !== 'type' && IGNORED_PROPERTIES.indexOf(key) === -1)
+      .sort()
+      .forEach(key => {
+        ret[key] = resolvedTypedef[key];
+      });
+    
+    return ret;
+  }
+  
+  if (hasOwnProperty(TypeConstraints, type)) {
+    TypeConstraints[type].forEach(key => {
+      if (typeof resolvedTypedef[key] !== 'undefined') {
+        ret[key] = resolvedTypedef[key];
+      }
+    });
+  }
+  
+  switch (type) {
+    case TypeNames.SCALAR: {
+      if (typeof resolvedTypedef.name !== 'undefined') {
+        ret.name = resolvedTypedef.name;
+      }
+      
+      break;
+    }
+    
+    case TypeNames.ONE_OF: {
+      // Options are compared by values only
+      ret.options = resolvedTypedef.options
+        .map(option => ({ value: option.value }))
+        .sort((option1, option2) => compareStrings(
+          JSON.stringify(option1.value),
+          JSON.stringify(option2.value)
+        ));
+      
+      break;
+    }
+    
+    case TypeNames.SHAPE: {
+      ret.fields = {};
+      break;
+    }
+    
+    case TypeNames.TUPLE: {
+      ret.items = [];
+      break;
+    }
+    
+    case TypeNames.UNION: {
+      ret.types = [];
+      break;
+    }
+    
+    case TypeNames.COMPONENT: {
+      const { components } = resolvedTypedef;
+      
+      if (Array.isArray(components)) {
+        ret.components = components
+          .filter((name, idx) => components.indexOf(name) === idx)
+          .sort(compareStrings);
+      }
+      
+      if (resolvedTypedef.props) ret.props = {};
+      break;
+    }
+    
+    case TypeNames.FUNC: {
+      if (Array.isArray(resolvedTypedef.args)) ret.args = [];
+      break;
+    }
+    
+    default:
+      break;
+  }
+  
+  return ret;
+};
+
+/**
+ * Nested typedefs that type equality depends on, in canonical order.
+ * Typedefs with checkRequired are compared with their "required" flags.
+ *
+ * @param {BoobenTypeDefinition} resolvedTypedef
+ * @return {{path: (string|number)[], typedef: BoobenTypeDefinition, checkRequired: boolean}[]}
+ */
+const getNestedTypedefs = resolvedTypedef => {
+  const nested = (path, typedef, checkRequired = false) =>
+    ({ path, typedef, checkRequired });
+  
+  const fieldsOf = (key, fields) => Object.keys(fields)
+    .sort(compareStrings)
+    .map(name => nested([key, name], fields[name], true));
+  
+  switch (resolvedTypedef.type) {
+    case TypeNames.ARRAY_OF:
+    case TypeNames.OBJECT_OF: {
+      return [nested(['ofType'], resolvedTypedef.ofType)];
+    }
+    
+    case TypeNames.TUPLE: {
+      return resolvedTypedef.items.map((itemTypedef, idx) =>
+        nested(['items', idx], itemTypedef));
+    }
+    
+    case TypeNames.SHAPE: {
+      return fieldsOf('fields', resolvedTypedef.fields);
+    }
+    
+    case TypeNames.COMPONENT: {
+      return resolvedTypedef.props
+        ? fieldsOf('props', resolvedTypedef.props)
+        : [];
+    }
+    
+    case TypeNames.FUNC: {
+      const ret = Array.isArray(resolvedTypedef.args)
+        ? resolvedTypedef.args.map((argTypedef, idx) =>
+          nested(['args', idx], argTypedef))
+        : [];
+      
+      if (hasOwnProperty(resolvedTypedef, 'returns')) {
+        ret.push(nested(['returns'], resolvedTypedef.returns));
+      }
+      
+      return ret;
+    }
+    
+    case TypeNames.UNION: {
+      return resolvedTypedef.types.map(memberTypedef =>
+        nested(['types'], memberTypedef));
+    }
+    
+    default:
+      return [];
+  }
+};
+
+/**
+ * Returns a copy of the typedef with the nested typedef at the path.
+ * Path ['types'] appends a member to a union.
+ *
+ * @param {BoobenTypeDefinition} typedef
+ * @param {(string|number)[]} path
+ * @param {BoobenTypeDefinition} nestedTypedef
+ * @return {BoobenTypeDefinition}
+ */
+const setNestedTypedef = (typedef, path, nestedTypedef) => {
+  const [key, nestedKey] = path;
+  const container = typedef[key];
+  let newContainer;
+  
+  if (path.length === 1) {
+    newContainer = Array.isArray(container)
+      ? container.concat([nestedTypedef])
+      : nestedTypedef;
+  } else {
+    newContainer = Array.isArray(container)
+      ? container.slice()
+      : Object.assign({}, container);
+    
+    newContainer[nestedKey] = nestedTypedef;
+  }
+  
+  return Object.assign({}, typedef, { [key]: newContainer });
+};
+
+/**
+ * Assigns ranks to nodes so that nodes with equal signatures
+ * (and only them) get equal ranks. Ranks are positions
+ * of signatures in sorted order, so they don't depend
+ * on the order of nodes.
+ *
+ * @param {Object[]} nodes
+ * @param {string[]} signatures
+ * @return {number} - Number of distinct ranks.
+ */
+const assignRanks = (nodes, signatures) => {
+  const sorted = Array.from(new Set(signatures)).sort(compareStrings);
+  const ranks = new Map(sorted.map((signature, idx) => [signature, idx]));
+  
+  nodes.forEach((node, idx) => {
+    node.rank = ranks.get(signatures[idx]);
+  });
+  
+  return sorted.length;
+};
+
+/**
+ * Ranks of nested nodes. Members of unions are a set,
+ * since their order and repetitions don't matter.
+ *
+ * @param {Object} node
+ * @return {number[]}
+ */
+const getNestedRanks = node => {
+  const ranks = node.edges.map(edge => edge.node.rank);
+  
+  return node.isUnion
+    ? Array.from(new Set(ranks)).sort((rank1, rank2) => rank1 - rank2)
+    : ranks;
+};
+
+/**
+ * Splits nodes until nodes of the same rank have equal types
+ * (partition refinement). Nodes of different ranks then have
+ * different infinite expansions of user types.
+ *
+ * @param {Object[]} nodes
+ */
+const rankNodes = nodes => {
+  let count = assignRanks(nodes, nodes.map(node => JSON.stringify([
+    node.nullable,
+    node.ownProperties,
+    node.isUnion
+      ? []
+      : node.edges.map(edge => [edge.path, edge.required]),
+  ])));
+  
+  for (;;) {
+    const newCount = assignRanks(nodes, nodes.map(node =>
+      JSON.stringify([node.rank, getNestedRanks(node)])));
+    
+    if (newCount === count) return;
+    count = newCount;
+  }
+};
+
+/**
+ * Creates methods for canonical forms of typedefs
+ *
+ * @param {TypeSystem} typeSystem
+ * @return {{normalizeTypedef: Function, typeHash: Function}}
+ */
+const createNormalizationMethods = typeSystem => {
+  const { hasType, resolveOrThrow, isNullableTypedef } = typeSystem;
+  
+  /**
+   * Builds the graph of the typedef with user types resolved.
+   * References to the same user type share a node,
+   * so recursive types make cycles.
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefs
+   * @return {{root: Object, nodes: Object[]}}
+   */
+  const buildGraph = (typedef, userTypedefs) => {
+    const nodes = [];
+    const referenceNodes = {};
+    
+    const makeNode = currentTypedef => {
+      const isReference = !hasType(currentTypedef.type);
+      const key = isReference ? JSON.stringify(currentTypedef) : '';
+      
+      if (isReference && hasOwnProperty(referenceNodes, key)) {
+        return referenceNodes[key];
+      }
+      
+      const resolvedTypedef = resolveOrThrow(currentTypedef, userTypedefs);
+      
+      const node = {
+        nullable: isNullableTypedef(resolvedTypedef, userTypedefs),
+        nullableByDefault: isNullableTypedef(
+          omitNullabilityFlags(resolvedTypedef),
+          userTypedefs
+        ),
+        
+        ownProperties: getOwnProperties(resolvedTypedef),
+        isUnion: resolvedTypedef.type === TypeNames.UNION,
+        edges: [],
+        rank: 0,
+      };
+      
+      nodes.push(node);
+      if (isReference) referenceNodes[key] = node;
+      
+      node.edges = getNestedTypedefs(resolvedTypedef).map(nested => ({
+        path: nested.path,
+        node: makeNode(nested.typedef),
+        required: nested.checkRequired &&
+          !!resolveOrThrow(nested.typedef, userTypedefs).required,
+      }));
+      
+      return node;
+    };
+    
+    return { root: makeNode(typedef), nodes };
+  };
+  
+  /**
+   * Returns the canonical form of the typedef. User types
+   * are inlined, properties that don't affect type equality
+   * (e.g. "defaultValue" and "required" of the root typedef) are dropped,
+   * shape fields, oneOf options and union members are sorted.
+   * Recursive types can't be inlined, they are put in userTypedefs
+   * of the result and named by the order of appearance.
+   * Typedefs are equal (see isEqualType) if and only if
+   * their canonical forms are deeply equal.
+   * Registered types are compared by all their properties.
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} [userTypedefs=null]
+   * @return {{typedef: BoobenTypeDefinition, userTypedefs: Object<string, BoobenTypeDefinition>}}
+   */
+  const normalizeTypedef = (typedef, userTypedefs = null) => {
+    const { root, nodes } = buildGraph(typedef, userTypedefs);
+    rankNodes(nodes);
+    
+    // Nodes of the same rank are equal, any one of them will do
+    const nodesByRank = {};
+    nodes.forEach(node => {
+      if (!hasOwnProperty(nodesByRank, node.rank)) {
+        nodesByRank[node.rank] = node;
+      }
+    });
+    
+    const getEdges = rank => {
+      const node = nodesByRank[rank];
+      
+      return node.isUnion
+        ? getNestedRanks(node).map(nestedRank =>
+          ({ path: ['types'], required: false, rank: nestedRank }))
+        : node.edges.map(edge =>
+          ({ path: edge.path, required: edge.required, rank: edge.node.rank }));
+    };
+    
+    // Ranks that are reached again while expanding them
+    const recursiveRanks = new Set();
+    const expandedRanks = new Set();
+    const stack = new Set();
+    
+    const findRecursiveRanks = rank => {
+      if (stack.has(rank)) {
+        recursiveRanks.add(rank);
+        return;
+      }
+      
+      if (expandedRanks.has(rank)) return;
+      
+      stack.add(rank);
+      getEdges(rank).forEach(edge => findRecursiveRanks(edge.rank));
+      stack.delete(rank);
+      expandedRanks.add(rank);
+    };
+    
+    findRecursiveRanks(root.rank);
+    
+    const names = {};
+    const normalizedUserTypedefs = {};
+    
+    /* eslint-disable no-use-before-define */
+    const expand = rank => {
+      const node = nodesByRank[rank];
+      let ret = Object.assign({}, node.ownProperties);
+      
+      if (node.nullable !== node.nullableByDefault) {
+        ret[node.nullable ? 'nullable' : 'notNull'] = true;
+      }
+      
+      getEdges(rank).forEach(edge => {
+        const nestedTypedef = normalize(edge.rank);
+        
+        ret = setNestedTypedef(
+          ret,
+          edge.path,
+          edge.required
+            ? Object.assign({}, nestedTypedef, { required: true })
+            : nestedTypedef
+        );
+      });
+      
+      return ret;
+    };
+    /* eslint-enable no-use-before-define */
+    
+    const normalize = rank => {
+      if (!recursiveRanks.has(rank)) return expand(rank);
+      
+      if (!hasOwnProperty(names, rank)) {
+        const name =
+          `${RECURSIVE_TYPE_PREFIX}${Object.keys(names).length + 1}`;
+        
+        names[rank] = name;
+        normalizedUserTypedefs[name] = null;
+        normalizedUserTypedefs[name] = expand(rank);
+      }
+      
+      return { type: names[rank] };
+    };
+    
+    return {
+      typedef: normalize(root.rank),
+      userTypedefs: normalizedUserTypedefs,
+    };
+  };
+  
+  /**
+   * Returns a string that is the same for typedefs
+   * if and only if they are equal (see isEqualType),
+   * e.g. to use as a key of a cache of compatibility checks.
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} [userTypedefs=null]
+   * @return {string}
+   */
+  const typeHash = (typedef, userTypedefs = null) => {
+    const normalized = normalizeTypedef(typedef, userTypedefs);
+    return JSON.stringify([normalized.typedef, normalized.userTypedefs]);
+  };
+  
+  return {
+    normalizeTypedef,
+    typeHash,
+  };
+};
+
+exports.createNormalizationMethods = createNormalizationMethods;
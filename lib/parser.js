@@ -0,0 +1,559 @@
+'use strict';
+
+const {
+  TypeNames,
+  TypeConstraints,
+  TypedefFlags,
+} = require('./builtin-types');
+const { hasOwnProperty } = require('./utils');
+
+/**
+ *
+ * @type {Object<string, string>}
+ */
+const TokenTypes = {
+  IDENTIFIER: 'identifier',
+  STRING: 'string',
+  NUMBER: 'number',
+  PUNCTUATOR: 'punctuator',
+  EOF: 'eof',
+};
+
+/**
+ *
+ * @type {RegExp}
+ */
+const WHITESPACE_RE = /\s*/y;
+
+/**
+ *
+ * @type {RegExp}
+ */
+const IDENTIFIER_RE = /[A-Za-z_$][A-Za-z0-9_$-]*/y;
+
+/**
+ *
+ * @type {RegExp}
+ */
+const STRING_RE = /"(?:[^"\\\u0000-\u001f]|\\["\\/bfnrt]|\\u[0-9a-fA-F]{4})*"/y;
+
+/**
+ *
+ * @type {RegExp}
+ */
+const NUMBER_RE = /-?(?:0|[1-9][0-9]*)(?:\.[0-9]+)?(?:[eE][+-]?[0-9]+)?/y;
+
+/**
+ *
+ * @type {string}
+ */
+const PUNCTUATORS = '(),:';
+
+/**
+ * Arrow between arguments and the return type of functions
+ *
+ * @type {string}
+ */
+const ARROW = '=>';
+
+/**
+ * Literals allowed as oneOf options besides strings and numbers
+ *
+ * @type {Object<string, *>}
+ */
+const LITERALS = {
+  true: true,
+  false: false,
+  null: null,
+};
+
+/**
+ * @typedef {Object} Token
+ * @property {string} type - One of TokenTypes.
+ * @property {string} text
+ * @property {number} start
+ */
+
+/**
+ *
+ * @param {string} text
+ * @param {number} offset
+ * @return {{offset: number, line: number, column: number}}
+ */
+const getPosition = (text, offset) => {
+  const lines = text.slice(0, offset).split('\n');
+  
+  return {
+    offset,
+    line: lines.length,
+    column: lines[lines.length - 1].length + 1,
+  };
+};
+
+/**
+ *
+ * @param {Token} token
+ * @return {string}
+ */
+const describeToken = token =>
+  token.type === TokenTypes.EOF ? 'end of input' : `'${token.text}'`;
+
+/**
+ * Creates the type notation parser for a type system
+ *
+ * @param {TypeSystem} typeSystem
+ * @return {{parseType: Function}}
+ */
+const createParserMethods = typeSystem => {
+  const { hasType } = typeSystem;
+  
+  /**
+   * Parses type notation produced by printType, e.g.
+   * arrayOf(shape(title:string, tags:arrayOf(string))).
+   * Names that are not registered types are treated as references
+   * to user types and must be present in userTypedefs.
+   * Generic user types take arguments in parens, e.g. PagedList(int).
+   * Function signatures look like func(int, string) => bool.
+   * Flags are set with wrappers: nullable(int), notNull(shape())
+   * and required(string).
+   * Thrown errors have "position" property
+   * with offset, line and column of the problem.
+   *
+   * @param {string} text
+   * @param {?Object<string, BoobenTypeDefinition>} [userTypedefs=null]
+   * @return {BoobenTypeDefinition}
+   */
+  const parseType = (text, userTypedefs = null) => {
+    let offset = 0;
+    let token = null;
+    
+    const fail = (message, at) => {
+      const position = getPosition(text, at);
+      const error = new Error(
+        `parseType(): ${message} ` +
+        `at line ${position.line}, column ${position.column}`
+      );
+      
+      error.position = position;
+      throw error;
+    };
+    
+    const matchAt = re => {
+      re.lastIndex = offset;
+      const match = re.exec(text);
+      return match ? match[0] : '';
+    };
+    
+    const readToken = () => {
+      offset += matchAt(WHITESPACE_RE).length;
+      
+      const start = offset;
+      
+      if (offset >= text.length) {
+        return { type: TokenTypes.EOF, text: '', start };
+      }
+      
+      const char = text[offset];
+      
+      if (PUNCTUATORS.indexOf(char) !== -1) {
+        offset += 1;
+        return { type: TokenTypes.PUNCTUATOR, text: char, start };
+      }
+      
+      if (text.substr(offset, ARROW.length) === ARROW) {
+        offset += ARROW.length;
+        return { type: TokenTypes.PUNCTUATOR, text: ARROW, start };
+      }
+      
+      const candidates = [
+        [TokenTypes.IDENTIFIER, IDENTIFIER_RE],
+        [TokenTypes.STRING, STRING_RE],
+        [TokenTypes.NUMBER, NUMBER_RE],
+      ];
+      
+      for (let i = 0; i < candidates.length; i++) {
+        const tokenText = matchAt(candidates[i][1]);
+        
+        if (tokenText !== '') {
+          offset += tokenText.length;
+          return { type: candidates[i][0], text: tokenText, start };
+        }
+      }
+      
+      if (char === '"') return fail('Unterminated string', start);
+      return fail(`Unexpected character '${char}'`, start);
+    };
+    
+    const next = () => {
+      const ret = token;
+      token = readToken();
+      return ret;
+    };
+    
+    const isPunctuator = char =>
+      token.type === TokenTypes.PUNCTUATOR && token.text === char;
+    
+    const expectPunctuator = char => {
+      if (!isPunctuator(char)) {
+        fail(`Expected '${char}', got ${describeToken(token)}`, token.start);
+      }
+      
+      return next();
+    };
+    
+    const expectIdentifier = what => {
+      if (token.type !== TokenTypes.IDENTIFIER) {
+        fail(`Expected ${what}, got ${describeToken(token)}`, token.start);
+      }
+      
+      return next();
+    };
+    
+    /**
+     * Parses comma-separated items in parens
+     *
+     * @param {function(): *} parseItem
+     * @return {Array}
+     */
+    const parseList = parseItem => {
+      const ret = [];
+      
+      expectPunctuator('(');
+      if (isPunctuator(')')) {
+        next();
+        return ret;
+      }
+      
+      for (;;) {
+        ret.push(parseItem());
+        
+        if (isPunctuator(')')) {
+          next();
+          return ret;
+        }
+        
+        if (!isPunctuator(',')) {
+          fail(
+            `Expected ',' or ')', got ${describeToken(token)}`,
+            token.start
+          );
+        }
+        
+        next();
+      }
+    };
+    
+    const parseOneOfOption = () => {
+      const optionToken = next();
+      
+      const { start } = optionToken;
+      
+      switch (optionToken.type) {
+        case TokenTypes.STRING:
+        case TokenTypes.NUMBER:
+          return { value: JSON.parse(optionToken.text), start };
+        
+        case TokenTypes.IDENTIFIER: {
+          if (hasOwnProperty(LITERALS, optionToken.text)) {
+            return { value: LITERALS[optionToken.text], start };
+          }
+          
+          break;
+        }
+        
+        default:
+          break;
+      }
+      
+      return fail(
+        `Expected oneOf option value, got ${describeToken(optionToken)}`,
+        optionToken.start
+      );
+    };
+    
+    /**
+     * Parses a constraint like min:1 or pattern:"^a"
+     *
+     * @param {string} typeName
+     * @param {Object} constraints - Parsed constraints are added here.
+     */
+    const parseConstraint = (typeName, constraints) => {
+      const keyToken = expectIdentifier('constraint name');
+      const key = keyToken.text;
+      
+      if (TypeConstraints[typeName].indexOf(key) === -1) {
+        fail(`Unknown constraint '${key}' of '${typeName}'`, keyToken.start);
+      }
+      
+      if (hasOwnProperty(constraints, key)) {
+        fail(`Duplicate constraint '${key}'`, keyToken.start);
+      }
+      
+      expectPunctuator(':');
+      
+      const valueType = key === 'pattern'
+        ? TokenTypes.STRING
+        : TokenTypes.NUMBER;
+      
+      if (token.type !== valueType) {
+        fail(
+          `Expected ${valueType} value of '${key}', ` +
+          `got ${describeToken(token)}`,
+          token.start
+        );
+      }
+      
+      constraints[key] = JSON.parse(next().text);
+    };
+    
+    /* eslint-disable no-use-before-define */
+    const parseField = () => {
+      const keyToken = token;
+      let key;
+      
+      if (keyToken.type === TokenTypes.STRING) {
+        key = JSON.parse(next().text);
+      } else {
+        key = expectIdentifier('field name').text;
+      }
+      
+      expectPunctuator(':');
+      return { key, start: keyToken.start, typedef: parseTypedef() };
+    };
+    
+    const parseTypedef = () => {
+      const nameToken = expectIdentifier('type name');
+      const typeName = nameToken.text;
+      
+      // Flags are printed as wrappers, e.g. nullable(int)
+      if (TypedefFlags.indexOf(typeName) !== -1) {
+        const wrappedTypes = parseList(parseTypedef);
+        
+        if (wrappedTypes.length !== 1) {
+          fail(`${typeName}() takes exactly one type`, nameToken.start);
+        }
+        
+        return Object.assign({}, wrappedTypes[0], { [typeName]: true });
+      }
+      
+      if (!hasType(typeName)) {
+        if (!userTypedefs || !hasOwnProperty(userTypedefs, typeName)) {
+          fail(`Unknown type '${typeName}'`, nameToken.start);
+        }
+        
+        const { params } = userTypedefs[typeName];
+        
+        if (!Array.isArray(params)) {
+          if (isPunctuator('(')) {
+            fail(
+              `User type '${typeName}' does not take arguments`,
+              token.start
+            );
+          }
+          
+          return { type: typeName };
+        }
+        
+        const args = parseList(parseTypedef);
+        
+        if (args.length !== params.length) {
+          fail(
+            `User type '${typeName}' takes ${params.length} argument(s), ` +
+            `got ${args.length}`,
+            nameToken.start
+          );
+        }
+        
+        return { type: typeName, args };
+      }
+      
+      switch (typeName) {
+        case TypeNames.SCALAR: {
+          if (!isPunctuator('(')) return { type: typeName };
+          
+          const nameArgs = parseList(() => {
+            if (token.type === TokenTypes.STRING) {
+              return JSON.parse(next().text);
+            }
+            
+            return expectIdentifier('scalar name').text;
+          });
+          
+          if (nameArgs.length !== 1) {
+            fail('scalar() takes exactly one name', nameToken.start);
+          }
+          
+          return { type: typeName, name: nameArgs[0] };
+        }
+        
+        case TypeNames.ONE_OF: {
+          const options = [];
+          
+          parseList(parseOneOfOption).forEach(option => {
+            if (options.some(({ value }) => value === option.value)) {
+              fail(
+                `Duplicate oneOf option ${JSON.stringify(option.value)}`,
+                option.start
+              );
+            }
+            
+            options.push({ value: option.value });
+          });
+          
+          if (options.length === 0) {
+            fail('oneOf() requires at least one option', nameToken.start);
+          }
+          
+          return { type: typeName, options };
+        }
+        
+        case TypeNames.INT:
+        case TypeNames.FLOAT:
+        case TypeNames.STRING: {
+          const typedef = { type: typeName };
+          
+          if (isPunctuator('(')) {
+            parseList(() => parseConstraint(typeName, typedef));
+          }
+          
+          return typedef;
+        }
+        
+        case TypeNames.ARRAY_OF: {
+          const typedef = { type: typeName };
+          let itemsCount = 0;
+          
+          // The item type goes first, then constraints
+          parseList(() => {
+            if (itemsCount === 0) typedef.ofType = parseTypedef();
+            else parseConstraint(typeName, typedef);
+            itemsCount += 1;
+          });
+          
+          if (itemsCount === 0) {
+            fail(`${typeName}() requires a type`, nameToken.start);
+          }
+          
+          return typedef;
+        }
+        
+        case TypeNames.OBJECT_OF: {
+          const ofTypes = parseList(parseTypedef);
+          
+          if (ofTypes.length !== 1) {
+            fail(`${typeName}() takes exactly one type`, nameToken.start);
+          }
+          
+          return { type: typeName, ofType: ofTypes[0] };
+        }
+        
+        case TypeNames.FUNC: {
+          if (!isPunctuator('(')) return { type: typeName };
+          
+          const typedef = { type: typeName, args: parseList(parseTypedef) };
+          
+          if (isPunctuator(ARROW)) {
+            next();
+            typedef.returns = parseTypedef();
+          }
+          
+          return typedef;
+        }
+        
+        case TypeNames.COMPONENT: {
+          if (!isPunctuator('(')) return { type: typeName };
+          
+          const typedef = { type: typeName };
+          
+          // Names of allowed components are strings, props go after them
+          parseList(() => {
+            if (token.type === TokenTypes.STRING) {
+              if (!typedef.components) typedef.components = [];
+              typedef.components.push(JSON.parse(next().text));
+              return;
+            }
+            
+            const keyToken = expectIdentifier('component name or props');
+            
+            if (keyToken.text !== 'props') {
+              fail(`Unknown property '${keyToken.text}'`, keyToken.start);
+            }
+            
+            if (hasOwnProperty(typedef, 'props')) {
+              fail("Duplicate property 'props'", keyToken.start);
+            }
+            
+            expectPunctuator(':');
+            
+            const propsToken = token;
+            const propsTypedef = parseTypedef();
+            
+            if (propsTypedef.type !== TypeNames.SHAPE) {
+              fail("'props' must be a shape", propsToken.start);
+            }
+            
+            typedef.props = propsTypedef.fields;
+          });
+          
+          return typedef;
+        }
+        
+        case TypeNames.TUPLE: {
+          return { type: typeName, items: parseList(parseTypedef) };
+        }
+        
+        case TypeNames.UNION: {
+          const types = parseList(parseTypedef);
+          
+          if (types.length === 0) {
+            fail('union() requires at least one type', nameToken.start);
+          }
+          
+          return { type: typeName, types };
+        }
+        
+        case TypeNames.SHAPE: {
+          const fields = {};
+          
+          parseList(parseField).forEach(field => {
+            if (hasOwnProperty(fields, field.key)) {
+              fail(`Duplicate field '${field.key}'`, field.start);
+            }
+            
+            fields[field.key] = field.typedef;
+          });
+          
+          return { type: typeName, fields };
+        }
+        
+        default: {
+          if (isPunctuator('(')) {
+            fail(`Type '${typeName}' does not take arguments`, token.start);
+          }
+          
+          return { type: typeName };
+        }
+      }
+    };
+    /* eslint-enable no-use-before-define */
+    
+    if (typeof text !== 'string') {
+      throw new Error('parseType(): text must be a string');
+    }
+    
+    next();
+    const typedef = parseTypedef();
+    
+    if (token.type !== TokenTypes.EOF) {
+      fail(`Unexpected ${describeToken(token)} after type`, token.start);
+    }
+    
+    return typedef;
+  };
+  
+  return {
+    parseType,
+  };
+};
+
+exports.createParserMethods = createParserMethods;
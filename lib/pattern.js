@@ -0,0 +1,691 @@
+'use strict';
+
+const { hasOwnProperty } = require('./utils');
+
+/**
+ *
+ * @type {number}
+ */
+const MAX_CHAR_CODE = 0xffff;
+
+/**
+ * Compiled patterns by their sources, null for invalid ones
+ *
+ * @type {Map<string, ?RegExp>}
+ */
+const compiledPatterns = new Map();
+
+/**
+ * Context of generateMatchingString that always takes the first choice
+ *
+ * @type {Object}
+ */
+const FIRST_CHOICE_CONTEXT = {
+  randomInt: min => min,
+  pick: items => items[0],
+};
+
+/**
+ * How much longer than the shortest allowed string
+ * generated strings can be
+ *
+ * @type {number}
+ */
+const EXTRA_LENGTH = 16;
+
+/**
+ *
+ * @param {string} from
+ * @param {string} to
+ * @return {number[]}
+ */
+const charRange = (from, to) => [from.charCodeAt(0), to.charCodeAt(0)];
+
+/**
+ *
+ * @type {number[][]}
+ */
+const DIGIT_RANGES = [charRange('0', '9')];
+
+/**
+ *
+ * @type {number[][]}
+ */
+const WORD_RANGES = [
+  charRange('0', '9'),
+  charRange('A', 'Z'),
+  charRange('_', '_'),
+  charRange('a', 'z'),
+];
+
+/**
+ *
+ * @type {number[][]}
+ */
+const SPACE_RANGES = [
+  [0x09, 0x0d],
+  [0x20, 0x20],
+  [0xa0, 0xa0],
+  [0x1680, 0x1680],
+  [0x2000, 0x200a],
+  [0x2028, 0x2029],
+  [0x202f, 0x202f],
+  [0x205f, 0x205f],
+  [0x3000, 0x3000],
+  [0xfeff, 0xfeff],
+];
+
+/**
+ * Characters that "." doesn't match
+ *
+ * @type {number[][]}
+ */
+const LINE_TERMINATOR_RANGES = [
+  [0x0a, 0x0a],
+  [0x0d, 0x0d],
+  [0x2028, 0x2029],
+];
+
+/**
+ * Characters picked from classes that allow them, in order of preference,
+ * so that e.g. "." gives letters and digits rather than control characters
+ *
+ * @type {number[][][]}
+ */
+const PREFERRED_RANGES = [
+  [charRange('0', '9'), charRange('A', 'Z'), charRange('a', 'z')],
+  [[0x20, 0x7e]],
+];
+
+/**
+ *
+ * @type {Object<string, number>}
+ */
+const CONTROL_ESCAPES = {
+  f: 0x0c,
+  n: 0x0a,
+  r: 0x0d,
+  t: 0x09,
+  v: 0x0b,
+};
+
+/**
+ * Sorts ranges and merges overlapping and adjacent ones
+ *
+ * @param {number[][]} ranges
+ * @return {number[][]}
+ */
+const normalizeRanges = ranges => ranges
+  .slice()
+  .sort((range1, range2) => range1[0] - range2[0])
+  .reduce((acc, range) => {
+    const last = acc[acc.length - 1];
+    
+    if (last && range[0] <= last[1] + 1) {
+      acc[acc.length - 1] = [last[0], Math.max(last[1], range[1])];
+    } else {
+      acc.push(range);
+    }
+    
+    return acc;
+  }, []);
+
+/**
+ *
+ * @param {number[][]} ranges - Normalized ranges.
+ * @return {number[][]}
+ */
+const complementRanges = ranges => {
+  const ret = [];
+  let next = 0;
+  
+  ranges.forEach(([from, to]) => {
+    if (from > next) ret.push([next, from - 1]);
+    next = to + 1;
+  });
+  
+  if (next <= MAX_CHAR_CODE) ret.push([next, MAX_CHAR_CODE]);
+  return ret;
+};
+
+/**
+ *
+ * @param {number[][]} ranges1 - Normalized ranges.
+ * @param {number[][]} ranges2 - Normalized ranges.
+ * @return {number[][]}
+ */
+const intersectRanges = (ranges1, ranges2) => {
+  const ret = [];
+  
+  ranges1.forEach(([from1, to1]) => {
+    ranges2.forEach(([from2, to2]) => {
+      const from = Math.max(from1, from2);
+      const to = Math.min(to1, to2);
+      if (from <= to) ret.push([from, to]);
+    });
+  });
+  
+  return ret;
+};
+
+/**
+ *
+ * @param {number[][]} ranges
+ * @return {Object}
+ */
+const makeCharsNode = ranges => ({
+  kind: 'chars',
+  ranges: normalizeRanges(ranges),
+});
+
+/**
+ * Matches the empty string (anchors)
+ *
+ * @type {Object}
+ */
+const EMPTY_NODE = { kind: 'seq', items: [] };
+
+/**
+ *
+ * @param {string} feature
+ * @param {string} source
+ * @return {Error}
+ */
+const makeUnsupportedError = (feature, source) =>
+  new Error(`${feature} in /${source}/ are not supported`);
+
+/**
+ * Parses the source of a regular expression (without flags)
+ * into a tree of nodes: "chars" (a character from ranges),
+ * "seq" (items one after another), "alt" (one of options)
+ * and "repeat" (node repeated min to max times).
+ * Throws for features that can't be generated from the structure:
+ * lookarounds, word boundaries and backreferences.
+ *
+ * @param {string} source
+ * @return {Object}
+ */
+const parsePattern = source => {
+  const hasNamedGroups = /\(\?<[^=!]/.test(source);
+  let pos = 0;
+  
+  const eat = char => {
+    if (source[pos] !== char) return false;
+    pos++;
+    return true;
+  };
+  
+  const readHex = length => {
+    const hex = source.substr(pos, length);
+    if (!new RegExp(`^[0-9a-fA-F]{${length}}$`).test(hex)) return -1;
+    pos += length;
+    return parseInt(hex, 16);
+  };
+  
+  /**
+   * Reads an escape after a backslash.
+   * Returns ranges and whether it's a single character.
+   */
+  const readEscape = inClass => {
+    const char = source[pos++];
+    const single = code => ({ ranges: [[code, code]], isChar: true });
+    const set = ranges => ({ ranges: normalizeRanges(ranges), isChar: false });
+    
+    switch (char) {
+      case 'd': return set(DIGIT_RANGES);
+      case 'D': return set(complementRanges(DIGIT_RANGES));
+      case 'w': return set(WORD_RANGES);
+      case 'W': return set(complementRanges(normalizeRanges(WORD_RANGES)));
+      case 's': return set(SPACE_RANGES);
+      case 'S': return set(complementRanges(normalizeRanges(SPACE_RANGES)));
+      case 'b': {
+        if (inClass) return single(0x08);
+        throw makeUnsupportedError('Word boundaries', source);
+      }
+      
+      case 'B': {
+        if (inClass) return single(char.charCodeAt(0));
+        throw makeUnsupportedError('Word boundaries', source);
+      }
+      
+      case 'k': {
+        if (!hasNamedGroups) return single(char.charCodeAt(0));
+        throw makeUnsupportedError('Backreferences', source);
+      }
+      
+      case 'c': {
+        if (/[a-zA-Z]/.test(source[pos] || '')) {
+          return single(source.charCodeAt(pos++) % 32);
+        }
+        
+        // Backslash is matched literally
+        pos--;
+        return single(0x5c);
+      }
+      
+      case 'x':
+      case 'u': {
+        const code = readHex(char === 'x' ? 2 : 4);
+        return single(code === -1 ? char.charCodeAt(0) : code);
+      }
+      
+      case '0': {
+        if (!/[0-9]/.test(source[pos] || '')) return single(0);
+        throw makeUnsupportedError('Octal escapes', source);
+      }
+      
+      default: {
+        if (/[1-9]/.test(char)) {
+          throw makeUnsupportedError(
+            inClass ? 'Octal escapes' : 'Backreferences',
+            source
+          );
+        }
+        
+        return hasOwnProperty(CONTROL_ESCAPES, char)
+          ? single(CONTROL_ESCAPES[char])
+          : single(char.charCodeAt(0));
+      }
+    }
+  };
+  
+  const readClassAtom = () => {
+    if (eat('\\')) return readEscape(true);
+    const code = source.charCodeAt(pos++);
+    return { ranges: [[code, code]], isChar: true };
+  };
+  
+  const parseClass = () => {
+    const negated = eat('^');
+    const ranges = [];
+    
+    while (pos < source.length && source[pos] !== ']') {
+      const start = readClassAtom();
+      
+      if (
+        source[pos] === '-' &&
+        pos + 1 < source.length &&
+        source[pos + 1] !== ']'
+      ) {
+        pos++;
+        const end = readClassAtom();
+        
+        if (start.isChar && end.isChar) {
+          ranges.push([start.ranges[0][0], end.ranges[0][0]]);
+        } else {
+          // Like in [\d-z], the hyphen is matched literally
+          ranges.push(...start.ranges, [0x2d, 0x2d], ...end.ranges);
+        }
+      } else {
+        ranges.push(...start.ranges);
+      }
+    }
+    
+    pos++;
+    
+    const normalized = normalizeRanges(ranges);
+    return makeCharsNode(negated ? complementRanges(normalized) : normalized);
+  };
+  
+  /* eslint-disable no-use-before-define */
+  const parseGroup = () => {
+    if (eat('?')) {
+      if (source[pos] === '<' && !/[=!]/.test(source[pos + 1])) {
+        pos = source.indexOf('>', pos) + 1;
+      } else if (!eat(':')) {
+        throw makeUnsupportedError('Lookaround assertions', source);
+      }
+    }
+    
+    const node = parseAlternation();
+    pos++;
+    return node;
+  };
+  /* eslint-enable no-use-before-define */
+  
+  const parseAtom = () => {
+    const char = source[pos++];
+    
+    switch (char) {
+      case '^':
+      case '$': return EMPTY_NODE;
+      case '.': return makeCharsNode(complementRanges(LINE_TERMINATOR_RANGES));
+      case '[': return parseClass();
+      case '(': return parseGroup();
+      case '\\': return makeCharsNode(readEscape(false).ranges);
+      default: {
+        const code = char.charCodeAt(0);
+        return makeCharsNode([[code, code]]);
+      }
+    }
+  };
+  
+  const parseQuantifier = node => {
+    let min;
+    let max;
+    
+    if (eat('*')) {
+      min = 0;
+      max = Infinity;
+    } else if (eat('+')) {
+      min = 1;
+      max = Infinity;
+    } else if (eat('?')) {
+      min = 0;
+      max = 1;
+    } else {
+      // Braces that are not a quantifier are matched literally
+      const match = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(pos));
+      if (!match) return node;
+      
+      pos += match[0].length;
+      min = Number(match[1]);
+      
+      if (!match[2]) max = min;
+      else if (match[3]) max = Number(match[3]);
+      else max = Infinity;
+    }
+    
+    // Lazy quantifiers match the same strings
+    eat('?');
+    
+    return { kind: 'repeat', node, min, max };
+  };
+  
+  const parseSequence = () => {
+    const items = [];
+    
+    while (
+      pos < source.length &&
+      source[pos] !== '|' &&
+      source[pos] !== ')'
+    ) {
+      items.push(parseQuantifier(parseAtom()));
+    }
+    
+    return { kind: 'seq', items };
+  };
+  
+  const parseAlternation = () => {
+    const options = [parseSequence()];
+    while (eat('|')) options.push(parseSequence());
+    return options.length === 1 ? options[0] : { kind: 'alt', options };
+  };
+  
+  return parseAlternation();
+};
+
+/**
+ *
+ * @param {Object} node
+ * @return {number}
+ */
+const getMinLength = node => {
+  switch (node.kind) {
+    case 'chars': return 1;
+    case 'seq': {
+      return node.items.reduce((acc, item) => acc + getMinLength(item), 0);
+    }
+    
+    case 'alt': return Math.min(...node.options.map(getMinLength));
+    case 'repeat': return node.min * getMinLength(node.node);
+    default: return 0;
+  }
+};
+
+/**
+ * Generates a string that matches the pattern, built from the structure
+ * of the regular expression, with length within the bounds.
+ * Throws if the pattern uses unsupported features
+ * or can't match a string of allowed length.
+ *
+ * @param {string} pattern - Source of a regular expression.
+ * @param {Object} bounds
+ * @param {number} bounds.minLength
+ * @param {number} [bounds.maxLength]
+ * @param {Object} context - Context of generateValue.
+ * @return {string}
+ */
+const generateMatchingString = (pattern, { minLength, maxLength }, context) => {
+  const root = parsePattern(pattern);
+  const hasMaxLength = typeof maxLength === 'number';
+  
+  // Matches of every length are not needed, only of the realistic ones
+  const limit = Math.min(
+    hasMaxLength ? maxLength : Infinity,
+    Math.max(minLength, getMinLength(root)) + EXTRA_LENGTH
+  );
+  
+  // Lengths are sets of possible lengths of matches, up to the limit
+  const noLengths = () => new Array(limit + 1).fill(false);
+  
+  const addLengths = (lengths1, lengths2) => {
+    const ret = noLengths();
+    
+    lengths1.forEach((possible1, length1) => {
+      if (!possible1) return;
+      
+      lengths2.forEach((possible2, length2) => {
+        if (possible2 && length1 + length2 <= limit) {
+          ret[length1 + length2] = true;
+        }
+      });
+    });
+    
+    return ret;
+  };
+  
+  const EMPTY_LENGTHS = noLengths();
+  EMPTY_LENGTHS[0] = true;
+  
+  const infos = new Map();
+  
+  const getInfo = node => {
+    if (infos.has(node)) return infos.get(node);
+    
+    const info = {};
+    
+    switch (node.kind) {
+      case 'chars': {
+        // Empty classes like [] match nothing
+        info.lengths = noLengths();
+        if (limit >= 1 && node.ranges.length > 0) info.lengths[1] = true;
+        break;
+      }
+      
+      case 'seq': {
+        // Lengths of the rest of the sequence from each item
+        info.suffixes = [EMPTY_LENGTHS];
+        
+        for (let i = node.items.length - 1; i >= 0; i--) {
+          info.suffixes.unshift(
+            addLengths(getInfo(node.items[i]).lengths, info.suffixes[0])
+          );
+        }
+        
+        info.lengths = info.suffixes[0];
+        break;
+      }
+      
+      case 'alt': {
+        info.lengths = noLengths().map((possible, length) =>
+          node.options.some(option => getInfo(option).lengths[length]));
+        
+        break;
+      }
+      
+      case 'repeat': {
+        const itemLengths = getInfo(node.node).lengths;
+        
+        // Repetitions of non-empty items don't fit beyond the limit,
+        // and of possibly empty ones add nothing new
+        const maxCount = Math.min(
+          node.max,
+          itemLengths[0] ? Math.max(node.min, limit) : limit
+        );
+        
+        // Lengths of each number of repetitions
+        info.powers = [EMPTY_LENGTHS];
+        
+        for (let count = 1; count <= maxCount; count++) {
+          info.powers.push(addLengths(info.powers[count - 1], itemLengths));
+        }
+        
+        info.lengths = noLengths().map((possible, length) =>
+          info.powers.some((lengths, count) =>
+            count >= node.min && lengths[length]));
+        
+        break;
+      }
+      
+      default:
+        break;
+    }
+    
+    infos.set(node, info);
+    return info;
+  };
+  
+  const pickLength = (candidates, isPossible) =>
+    context.pick(candidates.filter(isPossible));
+  
+  const allLengths = noLengths().map((possible, length) => length);
+  
+  /**
+   * Picks the length of the head of a match of the given length
+   */
+  const splitLength = (length, headLengths, tailLengths) =>
+    pickLength(allLengths, headLength =>
+      headLength <= length &&
+      headLengths[headLength] &&
+      tailLengths[length - headLength]);
+  
+  const pickChar = ranges => {
+    const preferred = PREFERRED_RANGES
+      .map(preferredRanges => intersectRanges(ranges, preferredRanges))
+      .find(intersection => intersection.length > 0) || ranges;
+    
+    const total = preferred.reduce((acc, [from, to]) => acc + to - from + 1, 0);
+    let idx = context.randomInt(0, total - 1);
+    
+    const range = preferred.find(([from, to]) => {
+      if (idx <= to - from) return true;
+      idx -= to - from + 1;
+      return false;
+    });
+    
+    return String.fromCharCode(range[0] + idx);
+  };
+  
+  /**
+   * Generates a match of the node of exactly the given length
+   */
+  const generate = (node, length) => {
+    const info = getInfo(node);
+    
+    switch (node.kind) {
+      case 'chars': return pickChar(node.ranges);
+      case 'seq': {
+        let rest = length;
+        
+        return node.items
+          .map((item, idx) => {
+            const itemLength = splitLength(
+              rest,
+              getInfo(item).lengths,
+              info.suffixes[idx + 1]
+            );
+            
+            rest -= itemLength;
+            return generate(item, itemLength);
+          })
+          .join('');
+      }
+      
+      case 'alt': {
+        const options = node.options
+          .filter(option => getInfo(option).lengths[length]);
+        
+        return generate(context.pick(options), length);
+      }
+      
+      case 'repeat': {
+        const count = pickLength(
+          info.powers.map((lengths, powerCount) => powerCount),
+          powerCount =>
+            powerCount >= node.min && info.powers[powerCount][length]
+        );
+        
+        const itemLengths = getInfo(node.node).lengths;
+        const items = [];
+        let rest = length;
+        
+        for (let i = count - 1; i >= 0; i--) {
+          const itemLength = splitLength(rest, itemLengths, info.powers[i]);
+          
+          rest -= itemLength;
+          items.push(generate(node.node, itemLength));
+        }
+        
+        return items.join('');
+      }
+      
+      default: return '';
+    }
+  };
+  
+  const rootLengths = getInfo(root).lengths;
+  const lengths = allLengths.filter(length =>
+    length >= minLength && rootLengths[length]);
+  
+  if (lengths.length === 0) {
+    const bounds = hasMaxLength
+      ? `${minLength} to ${maxLength}`
+      : `at least ${minLength}`;
+    
+    throw new Error(`/${pattern}/ matches no strings of length ${bounds}`);
+  }
+  
+  return generate(root, context.pick(lengths));
+};
+
+/**
+ * Makes the shortest string that matches the pattern, with length
+ * within the bounds, from the first characters and alternatives allowed.
+ * Throws like generateMatchingString.
+ *
+ * @param {string} pattern - Source of a regular expression.
+ * @param {Object} bounds
+ * @param {number} bounds.minLength
+ * @param {number} [bounds.maxLength]
+ * @return {string}
+ */
+const makeSimplestMatchingString = (pattern, bounds) =>
+  generateMatchingString(pattern, bounds, FIRST_CHOICE_CONTEXT);
+
+/**
+ * Compiles the pattern once and returns the same RegExp
+ * on subsequent calls. Returns null if the pattern is invalid.
+ *
+ * @param {string} pattern - Source of a regular expression.
+ * @return {?RegExp}
+ */
+const compilePattern = pattern => {
+  if (!compiledPatterns.has(pattern)) {
+    let regExp = null;
+    
+    try {
+      regExp = new RegExp(pattern);
+    } catch (err) {
+      // Reported by validateTypedef
+    }
+    
+    compiledPatterns.set(pattern, regExp);
+  }
+  
+  return compiledPatterns.get(pattern);
+};
+
+exports.generateMatchingString = generateMatchingString;
+exports.makeSimplestMatchingString = makeSimplestMatchingString;
+exports.compilePattern = compilePattern;
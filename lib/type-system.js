@@ -0,0 +1,2131 @@
+'use strict';
+
+const _mapValues = require('lodash.mapvalues');
+const { TypeNames, createBuiltinTypes } = require('./builtin-types');
+const {
+  ValueErrorCodes,
+  TypedefErrorCodes,
+  IncompatibilityCodes,
+} = require('./error-codes');
+const { createJSONSchemaMethods } = require('./json-schema');
+const { createTypeScriptMethods } = require('./typescript');
+const { createParserMethods } = require('./parser');
+const { createMigrationMethods } = require('./migration');
+const { createGeneratorMethods } = require('./generator');
+const { createEqualityMethods } = require('./equality');
+const { createValuePathMethods } = require('./value-path');
+const { createNormalizationMethods } = require('./normalization');
+const { plainValueAdapter } = require('./value-adapters');
+
+const {
+  isString,
+  isBoolean,
+  returnArg,
+  hasOwnProperty,
+  getValueKind,
+  flatten,
+  cloneValue,
+} = require('./utils');
+
+/**
+ * Methods every type definition must have.
+ * Also one of explainCompatibility and isCompatibleType is required.
+ *
+ * @type {string[]}
+ */
+const REQUIRED_TYPE_METHODS = [
+  'validate',
+  'print',
+  'isEqualType',
+  'makeDefaultValue',
+];
+
+/**
+ * Types whose values are containers created by the value adapter
+ *
+ * @type {string[]}
+ */
+const CONTAINER_TYPES = [
+  TypeNames.ARRAY,
+  TypeNames.ARRAY_OF,
+  TypeNames.TUPLE,
+  TypeNames.OBJECT,
+  TypeNames.OBJECT_OF,
+  TypeNames.SHAPE,
+];
+
+/**
+ * Creates a type system with all built-in types registered.
+ * Each type system has its own registry, so types registered
+ * in one of them don't affect the others.
+ * Value adapter lets the type system work with other containers
+ * than plain arrays and objects (see createImmutableAdapter).
+ * Type definitions always get plain arrays and objects:
+ * containers are converted one level at a time.
+ *
+ * @param {Object} [options]
+ * @param {ValueAdapter} [options.valueAdapter]
+ * @return {TypeSystem}
+ */
+const createTypeSystem = ({ valueAdapter = plainValueAdapter } = {}) => {
+  /**
+   *
+   * @type {Object<string, TypeDefinition>}
+   */
+  const types = {};
+  
+  /**
+   *
+   * @param {string} typeName
+   * @return {boolean}
+   */
+  const hasType = typeName =>
+    isString(typeName) && hasOwnProperty(types, typeName);
+  
+  /**
+   * Copy of the typedef with nested typedefs (including arguments
+   * of generic user type references) replaced with results of fn.
+   * User types are not followed.
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {function(typedef: BoobenTypeDefinition, path: (string|number)[]): BoobenTypeDefinition} fn
+   * @return {BoobenTypeDefinition}
+   */
+  const mapChildTypedefs = (typedef, fn) => {
+    if (!hasType(typedef.type)) {
+      return Array.isArray(typedef.args)
+        ? Object.assign({}, typedef, {
+          args: typedef.args.map((arg, idx) => fn(arg, ['args', idx])),
+        })
+        : typedef;
+    }
+    
+    const { mapNestedTypedefs } = types[typedef.type];
+    return mapNestedTypedefs ? mapNestedTypedefs(typedef, fn) : typedef;
+  };
+  
+  /**
+   * Replaces references to type parameters with typedefs bound to them.
+   * Flags of the reference (like "required") are kept
+   * unless the bound typedef overrides them.
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {Object<string, BoobenTypeDefinition>} bindings
+   * @return {BoobenTypeDefinition}
+   */
+  const substituteParams = (typedef, bindings) => {
+    if (hasOwnProperty(bindings, typedef.type)) {
+      return Object.assign({}, typedef, bindings[typedef.type]);
+    }
+    
+    return mapChildTypedefs(
+      typedef,
+      nestedTypedef => substituteParams(nestedTypedef, bindings)
+    );
+  };
+  
+  /**
+   * Replaces the reference to a user type with the user typedef.
+   * Arguments of the reference are substituted
+   * for parameters of generic user types.
+   * Returns null if the number of arguments doesn't match.
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {Object<string, BoobenTypeDefinition>} userTypedefs
+   * @return {?BoobenTypeDefinition}
+   */
+  const expandUserType = (typedef, userTypedefs) => {
+    const userTypedef = userTypedefs[typedef.type];
+    const params = userTypedef.params || [];
+    const args = typedef.args || [];
+    
+    if (!Array.isArray(params) || !Array.isArray(args)) return null;
+    if (params.length !== args.length) return null;
+    
+    const bindings = {};
+    params.forEach((param, idx) => {
+      bindings[param] = args[idx];
+    });
+    
+    const body = params.length > 0
+      ? substituteParams(userTypedef, bindings)
+      : userTypedef;
+    
+    const ret = Object.assign({}, typedef, body);
+    
+    // Arguments of the reference are already substituted,
+    // but an alias of a generic type has its own arguments
+    if (!hasOwnProperty(body, 'args')) delete ret.args;
+    delete ret.params;
+    
+    return ret;
+  };
+  
+  /**
+   * Returns the key that identifies the user type the typedef refers to
+   * (the name and arguments of generic types)
+   * or null for registered types
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @return {?string}
+   */
+  const getUserTypeKey = typedef => {
+    if (hasType(typedef.type)) return null;
+    
+    return Array.isArray(typedef.args)
+      ? `${typedef.type}${JSON.stringify(typedef.args)}`
+      : typedef.type;
+  };
+  
+  /**
+   * Follows user types (including aliases of other user types)
+   * down to a registered type.
+   * Returns null if a type is unknown or an alias chain is circular.
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} [userTypedefs=null]
+   * @returns {?BoobenTypeDefinition}
+   */
+  const resolveTypedef = (typedef, userTypedefs = null) => {
+    const seenUserTypes = [];
+    let resolvedTypedef = typedef;
+    
+    while (!hasType(resolvedTypedef.type)) {
+      const userTypeKey = getUserTypeKey(resolvedTypedef);
+      
+      if (
+        !userTypedefs ||
+        !userTypedefs[resolvedTypedef.type] ||
+        seenUserTypes.indexOf(userTypeKey) !== -1
+      ) {
+        return null;
+      }
+      
+      seenUserTypes.push(userTypeKey);
+      resolvedTypedef = expandUserType(resolvedTypedef, userTypedefs);
+      if (!resolvedTypedef) return null;
+    }
+    
+    return resolvedTypedef;
+  };
+  
+  /**
+   * Like resolveTypedef, but throws if the typedef cannot be resolved
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} [userTypedefs=null]
+   * @returns {BoobenTypeDefinition}
+   */
+  const resolveOrThrow = (typedef, userTypedefs = null) => {
+    const resolvedTypedef = resolveTypedef(typedef, userTypedefs);
+    
+    if (!resolvedTypedef) {
+      throw new Error(`Cannot resolve type '${typedef.type}'`);
+    }
+    
+    return resolvedTypedef;
+  };
+  
+  /**
+   * Returns keys of all user types passed while resolving the typedef
+   * (more than one for aliases)
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefs
+   * @return {string[]}
+   */
+  const getUserTypeKeys = (typedef, userTypedefs) => {
+    const ret = [];
+    let currentTypedef = typedef;
+    
+    while (
+      currentTypedef &&
+      !hasType(currentTypedef.type) &&
+      ret.indexOf(getUserTypeKey(currentTypedef)) === -1
+    ) {
+      ret.push(getUserTypeKey(currentTypedef));
+      currentTypedef = expandUserType(currentTypedef, userTypedefs);
+    }
+    
+    return ret;
+  };
+  
+  /**
+   *
+   * @param {BoobenTypeDefinition} resolvedTypedef
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefs
+   * @return {boolean}
+   */
+  const _isNullableTypedef = (resolvedTypedef, userTypedefs) => {
+    if (resolvedTypedef.nullable === true) return true;
+    if (resolvedTypedef.notNull === true) return false;
+    
+    const { nullable } = types[resolvedTypedef.type];
+    
+    return typeof nullable === 'function'
+      ? nullable(resolvedTypedef, userTypedefs)
+      : !!nullable;
+  };
+  
+  /**
+   * Checks if values of the type are nullable unless "notNull" flag is set.
+   * Nullability is taken from the "nullable" property of the registered
+   * type definition. Types whose nullability depends on the typedef
+   * (e.g. union, which is nullable if any of its members is) are not
+   * nullable by default.
+   *
+   * Note: besides shape, object and objectOf, the built-in func, component,
+   * element, renderer and any types are nullable by default.
+   *
+   * @param {string} typeName
+   * @return {boolean}
+   */
+  const isNullableType = typeName =>
+    hasType(typeName) && types[typeName].nullable === true;
+  
+  /**
+   * Checks if null is a valid value of the typedef.
+   * Any typedef can be made nullable with "nullable" flag.
+   * Values of types that are nullable by default (e.g. shape, func, any)
+   * are nullable unless "notNull" flag is set.
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} [userTypedefs=null]
+   * @return {boolean}
+   */
+  const isNullableTypedef = (typedef, userTypedefs = null) => {
+    const resolvedTypedef = resolveTypedef(typedef, userTypedefs);
+    
+    if (!resolvedTypedef) {
+      throw new Error(`Cannot resolve type '${typedef.type}'`);
+    }
+    
+    return _isNullableTypedef(resolvedTypedef, userTypedefs);
+  };
+  
+  /**
+   *
+   * @param {*} value
+   * @param {BoobenTypeDefinition} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} [userTypedefs=null]
+   * @return {boolean}
+   */
+  const isValidValue = (value, typedef, userTypedefs = null) => {
+    const resolvedTypedef = resolveTypedef(typedef, userTypedefs);
+    
+    if (!resolvedTypedef) {
+      throw new Error(`Cannot resolve type '${typedef.type}'`);
+    }
+    
+    if (value === null) {
+      return _isNullableTypedef(resolvedTypedef, userTypedefs);
+    }
+    
+    return types[resolvedTypedef.type].validate(
+      valueAdapter.toNative(value),
+      resolvedTypedef,
+      userTypedefs
+    );
+  };
+  
+  /* eslint-disable no-use-before-define */
+  /**
+   * Returns a function that checks values like isValidValue does.
+   * User types are resolved and nested validators are built once,
+   * so the function is faster when many values are checked.
+   * Typedefs must not be changed after compiling.
+   * Throws if a type cannot be resolved.
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} [userTypedefs=null]
+   * @return {function(value: *): boolean}
+   */
+  const compileValidator = (typedef, userTypedefs = null) => {
+    const compiledReferences = {};
+    
+    const compileResolved = resolvedTypedef => {
+      const type = types[resolvedTypedef.type];
+      const nullable = _isNullableTypedef(resolvedTypedef, userTypedefs);
+      const validateNonNull = type.compileValidator
+        ? type.compileValidator(resolvedTypedef, compile)
+        : value => type.validate(value, resolvedTypedef, userTypedefs);
+      
+      if (valueAdapter === plainValueAdapter) {
+        return value => value === null ? nullable : validateNonNull(value);
+      }
+      
+      return value => value === null
+        ? nullable
+        : validateNonNull(valueAdapter.toNative(value));
+    };
+    
+    const compile = currentTypedef => {
+      const resolvedTypedef = resolveOrThrow(currentTypedef, userTypedefs);
+      
+      if (hasType(currentTypedef.type)) return compileResolved(resolvedTypedef);
+      
+      // Equal references share the validator. It's registered
+      // before compiling, so recursive types refer to it.
+      const key = JSON.stringify(currentTypedef);
+      
+      if (!hasOwnProperty(compiledReferences, key)) {
+        let validate = null;
+        compiledReferences[key] = value => validate(value);
+        validate = compileResolved(resolvedTypedef);
+      }
+      
+      return compiledReferences[key];
+    };
+    
+    return compile(typedef);
+  };
+  /* eslint-enable no-use-before-define */
+  
+  /**
+   * Converts plain containers made by type definitions
+   * to containers of the value adapter
+   *
+   * @param {*} value
+   * @param {BoobenTypeDefinition} resolvedTypedef
+   * @return {*}
+   */
+  const fromNative = (value, resolvedTypedef) =>
+    CONTAINER_TYPES.indexOf(resolvedTypedef.type) !== -1
+      ? valueAdapter.fromNative(value)
+      : value;
+  
+  /**
+   * Like fromNative, but also converts nested containers
+   * (e.g. of declared default values)
+   *
+   * @param {*} value
+   * @param {BoobenTypeDefinition} resolvedTypedef
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefs
+   * @return {*}
+   */
+  const fromNativeDeep = (value, resolvedTypedef, userTypedefs) => {
+    const kind = getValueKind(value);
+    
+    if (
+      (kind !== 'array' && kind !== 'object') ||
+      CONTAINER_TYPES.indexOf(resolvedTypedef.type) === -1
+    ) {
+      return value;
+    }
+    
+    const { getNestedTypedef: getNested } = types[resolvedTypedef.type];
+    const convertItem = (item, key) => {
+      const nestedTypedef = getNested
+        ? getNested(resolvedTypedef, key)
+        : null;
+      
+      const resolvedNestedTypedef = nestedTypedef
+        ? resolveTypedef(nestedTypedef, userTypedefs)
+        : null;
+      
+      return resolvedNestedTypedef
+        ? fromNativeDeep(item, resolvedNestedTypedef, userTypedefs)
+        : item;
+    };
+    
+    return valueAdapter.fromNative(
+      kind === 'array'
+        ? value.map(convertItem)
+        : _mapValues(value, convertItem)
+    );
+  };
+  
+  /**
+   * Wraps the printed type in nullable() or notNull()
+   * if the typedef has the flag
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {string} printed
+   * @return {string}
+   */
+  const printFlags = (typedef, printed) => {
+    if (typedef.nullable === true) return `nullable(${printed})`;
+    if (typedef.notNull === true) return `notNull(${printed})`;
+    return printed;
+  };
+  
+  /**
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefs
+   * @param {string[]} visited - User types that are being printed.
+   * @return {string}
+   */
+  const _printType = (typedef, userTypedefs, visited) => {
+    const resolvedTypedef = resolveTypedef(typedef, userTypedefs);
+    
+    if (!resolvedTypedef) {
+      throw new Error(`Cannot resolve type '${typedef.type}'`);
+    }
+    
+    const userTypeKeys = getUserTypeKeys(typedef, userTypedefs);
+    
+    // Recursive reference - print just the name and arguments
+    if (userTypeKeys.some(key => visited.indexOf(key) !== -1)) {
+      const reference = Array.isArray(typedef.args)
+        ? `${typedef.type}(${typedef.args
+          .map(arg => _printType(arg, userTypedefs, visited))
+          .join(', ')})`
+        : typedef.type;
+      
+      return printFlags(typedef, reference);
+    }
+    
+    visited = visited.concat(userTypeKeys);
+    
+    const printed = types[resolvedTypedef.type].print(
+      resolvedTypedef,
+      userTypedefs,
+      visited
+    );
+    
+    return printFlags(resolvedTypedef, printed);
+  };
+  
+  /**
+   * Prints the typedef in the notation understood by parseType.
+   * References to user types are expanded, except for recursive ones.
+   * Flags are printed as wrappers, e.g. nullable(int) or notNull(shape()),
+   * "required" only for shape fields, e.g. shape(id:required(int)).
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} [userTypedefs=null]
+   * @return {string}
+   */
+  const printType = (typedef, userTypedefs = null) =>
+    _printType(typedef, userTypedefs, []);
+  
+  /**
+   *
+   * @param {string} reason
+   * @param {*} value
+   * @param {BoobenTypeDefinition} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefs
+   * @param {(string|number)[]} path
+   * @return {ValueValidationError}
+   */
+  const makeValueError = (reason, value, typedef, userTypedefs, path) => ({
+    path,
+    expected: printType(typedef, userTypedefs),
+    actual: getValueKind(value),
+    reason,
+  });
+  
+  /**
+   *
+   * @param {*} value
+   * @param {BoobenTypeDefinition} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefs
+   * @param {(string|number)[]} path
+   * @return {ValueValidationError[]}
+   */
+  const _validateValue = (value, typedef, userTypedefs, path) => {
+    const resolvedTypedef = resolveTypedef(typedef, userTypedefs);
+    
+    if (!resolvedTypedef) {
+      throw new Error(`Cannot resolve type '${typedef.type}'`);
+    }
+    
+    if (value === null) {
+      if (_isNullableTypedef(resolvedTypedef, userTypedefs)) return [];
+      
+      return [makeValueError(
+        resolvedTypedef.notNull
+          ? ValueErrorCodes.NULL_ON_NOT_NULL
+          : ValueErrorCodes.TYPE_MISMATCH,
+        value,
+        resolvedTypedef,
+        userTypedefs,
+        path
+      )];
+    }
+    
+    const type = types[resolvedTypedef.type];
+    const nativeValue = valueAdapter.toNative(value);
+    
+    if (type.getErrors) {
+      return type.getErrors(nativeValue, resolvedTypedef, userTypedefs, path);
+    }
+    
+    return type.validate(nativeValue, resolvedTypedef, userTypedefs)
+      ? []
+      : [makeValueError(
+        ValueErrorCodes.TYPE_MISMATCH,
+        nativeValue,
+        resolvedTypedef,
+        userTypedefs,
+        path
+      )];
+  };
+  
+  /**
+   * Like isValidValue, but returns the list of all errors found in the value
+   * instead of a boolean. The value is valid if the list is empty.
+   *
+   * @param {*} value
+   * @param {BoobenTypeDefinition} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} [userTypedefs=null]
+   * @return {ValueValidationError[]}
+   */
+  const validateValue = (value, typedef, userTypedefs = null) =>
+    _validateValue(value, typedef, userTypedefs, []);
+  
+  /**
+   *
+   * @param {string} reason
+   * @param {(string|number)[]} path
+   * @param {string} message
+   * @return {TypedefValidationError}
+   */
+  const makeTypedefError = (reason, path, message) => ({
+    path,
+    reason,
+    message,
+  });
+  
+  /* eslint-disable no-use-before-define */
+  /**
+   * Checks that a reference to a user type passes as many arguments
+   * as the user type has parameters
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {Object<string, BoobenTypeDefinition>} userTypedefs
+   * @param {(string|number)[]} path
+   * @return {TypedefValidationError[]}
+   */
+  const getTypeArgsErrors = (typedef, userTypedefs, path) => {
+    const { params } = userTypedefs[typedef.type];
+    const paramsCount = Array.isArray(params) ? params.length : 0;
+    
+    if (!hasOwnProperty(typedef, 'args')) {
+      return paramsCount > 0
+        ? [makeTypedefError(
+          TypedefErrorCodes.MISSING_PROPERTY,
+          path.concat('args'),
+          `Generic type '${typedef.type}' requires 'args'`
+        )]
+        : [];
+    }
+    
+    if (!Array.isArray(typedef.args)) {
+      return [makeTypedefError(
+        TypedefErrorCodes.INVALID_PROPERTY,
+        path.concat('args'),
+        "'args' must be an array"
+      )];
+    }
+    
+    if (typedef.args.length !== paramsCount) {
+      return [makeTypedefError(
+        TypedefErrorCodes.TYPE_ARGS_MISMATCH,
+        path.concat('args'),
+        `Type '${typedef.type}' takes ${paramsCount} argument(s), ` +
+        `got ${typedef.args.length}`
+      )];
+    }
+    
+    return flatten(typedef.args.map((arg, idx) =>
+      _validateTypedef(arg, userTypedefs, path.concat('args', idx))));
+  };
+  /* eslint-enable no-use-before-define */
+  
+  /**
+   * Checks the typedef itself and nested typedefs,
+   * but not the declared default value
+   *
+   * @param {*} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefs
+   * @param {(string|number)[]} path
+   * @return {TypedefValidationError[]}
+   */
+  const getStructureErrors = (typedef, userTypedefs, path) => {
+    if (getValueKind(typedef) !== 'object') {
+      return [makeTypedefError(
+        TypedefErrorCodes.INVALID_TYPEDEF,
+        path,
+        `Type definition must be an object, got ${getValueKind(typedef)}`
+      )];
+    }
+    
+    if (!hasOwnProperty(typedef, 'type')) {
+      return [makeTypedefError(
+        TypedefErrorCodes.MISSING_PROPERTY,
+        path.concat('type'),
+        "Type definition requires 'type'"
+      )];
+    }
+    
+    if (!isString(typedef.type)) {
+      return [makeTypedefError(
+        TypedefErrorCodes.INVALID_PROPERTY,
+        path.concat('type'),
+        "'type' must be a string"
+      )];
+    }
+    
+    const errors = [];
+    
+    ['required', 'notNull', 'nullable'].forEach(key => {
+      if (hasOwnProperty(typedef, key) && !isBoolean(typedef[key])) {
+        errors.push(makeTypedefError(
+          TypedefErrorCodes.INVALID_PROPERTY,
+          path.concat(key),
+          `'${key}' must be a boolean`
+        ));
+      }
+    });
+    
+    if (!hasType(typedef.type)) {
+      if (!userTypedefs || !hasOwnProperty(userTypedefs, typedef.type)) {
+        errors.push(makeTypedefError(
+          TypedefErrorCodes.UNKNOWN_TYPE,
+          path.concat('type'),
+          `Unknown type '${typedef.type}'`
+        ));
+        
+        return errors;
+      }
+      
+      return errors.concat(getTypeArgsErrors(typedef, userTypedefs, path));
+    }
+    
+    const type = types[typedef.type];
+    
+    if (hasOwnProperty(typedef, 'notNull') && !type.nullable) {
+      errors.push(makeTypedefError(
+        TypedefErrorCodes.UNEXPECTED_PROPERTY,
+        path.concat('notNull'),
+        `'notNull' is not allowed for '${typedef.type}' type`
+      ));
+    }
+    
+    if (typedef.notNull === true && typedef.nullable === true) {
+      errors.push(makeTypedefError(
+        TypedefErrorCodes.INVALID_PROPERTY,
+        path.concat('nullable'),
+        "'nullable' and 'notNull' cannot be set at the same time"
+      ));
+    }
+    
+    return type.getTypedefErrors
+      ? errors.concat(type.getTypedefErrors(typedef, userTypedefs, path))
+      : errors;
+  };
+  
+  /**
+   * Checks that the declared default value is a valid value of the typedef
+   *
+   * @param {BoobenTypeDefinition} typedef - Well-formed typedef.
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefs
+   * @param {(string|number)[]} path
+   * @return {TypedefValidationError[]}
+   */
+  const getDefaultValueErrors = (typedef, userTypedefs, path) => {
+    if (!hasOwnProperty(typedef, 'defaultValue')) return [];
+    
+    // Circular aliases are reported by validateUserTypedefs
+    if (!resolveTypedef(typedef, userTypedefs)) return [];
+    
+    if (isValidValue(typedef.defaultValue, typedef, userTypedefs)) return [];
+    
+    return [makeTypedefError(
+      TypedefErrorCodes.DEFAULT_VALUE_MISMATCH,
+      path.concat('defaultValue'),
+      "'defaultValue' is not a valid value of " +
+      `${_printType(typedef, userTypedefs, [])}`
+    )];
+  };
+  
+  /**
+   *
+   * @param {*} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefs
+   * @param {(string|number)[]} path
+   * @return {TypedefValidationError[]}
+   */
+  const _validateTypedef = (typedef, userTypedefs, path) => {
+    const errors = getStructureErrors(typedef, userTypedefs, path);
+    
+    // Values can be checked against well-formed typedefs only
+    return errors.length > 0
+      ? errors
+      : getDefaultValueErrors(typedef, userTypedefs, path);
+  };
+  
+  /**
+   * Checks that the typedef is well-formed and all user types it refers to
+   * are defined. Referred user typedefs themselves are not checked here,
+   * use validateUserTypedefs for that.
+   *
+   * @param {*} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} [userTypedefs=null]
+   * @return {TypedefValidationError[]}
+   */
+  const validateTypedef = (typedef, userTypedefs = null) =>
+    _validateTypedef(typedef, userTypedefs, []);
+  
+  /**
+   *
+   * @param {string} userTypeName
+   * @param {Object<string, BoobenTypeDefinition>} userTypedefs
+   * @return {boolean}
+   */
+  const isCircularAlias = (userTypeName, userTypedefs) => {
+    const seenUserTypes = [];
+    let currentTypeName = userTypeName;
+    
+    while (
+      !hasType(currentTypeName) &&
+      hasOwnProperty(userTypedefs, currentTypeName)
+    ) {
+      if (seenUserTypes.indexOf(currentTypeName) !== -1) return true;
+      seenUserTypes.push(currentTypeName);
+      
+      const { type, params } = userTypedefs[currentTypeName];
+      
+      // Alias of its own parameter (e.g. Identity<T> = T) ends the chain
+      if (Array.isArray(params) && params.indexOf(type) !== -1) return false;
+      currentTypeName = type;
+    }
+    
+    return false;
+  };
+  
+  /**
+   * Calls fn for the typedef and all nested typedefs
+   * (including arguments of generic user type references)
+   * with paths relative to the typedef.
+   * User types are not followed.
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {function(typedef: BoobenTypeDefinition, path: (string|number)[])} fn
+   * @param {(string|number)[]} [path=[]]
+   */
+  const forEachTypedef = (typedef, fn, path = []) => {
+    fn(typedef, path);
+    
+    mapChildTypedefs(typedef, (childTypedef, childPath) => {
+      forEachTypedef(childTypedef, fn, path.concat(childPath));
+      return childTypedef;
+    });
+  };
+  
+  /**
+   * Finds references in generic user typedefs that pass
+   * their own parameter nested in a bigger typedef
+   * (e.g. Grow<T> referring to Grow<arrayOf(T)>) and lead back
+   * to the same parameter. Expanding such types never ends.
+   *
+   * @param {Object<string, BoobenTypeDefinition>} userTypedefs - Valid user typedefs.
+   * @return {TypedefValidationError[]}
+   */
+  const getExpansiveRecursionErrors = userTypedefs => {
+    const getParams = userTypeName => {
+      const { params } = userTypedefs[userTypeName];
+      return Array.isArray(params) ? params : [];
+    };
+    
+    // Edges between parameters of user types: parameter "from"
+    // is passed (maybe nested) as argument for parameter "to"
+    const edges = [];
+    
+    Object.keys(userTypedefs).forEach(userTypeName => {
+      const params = getParams(userTypeName);
+      if (params.length === 0) return;
+      
+      forEachTypedef(userTypedefs[userTypeName], (typedef, path) => {
+        if (hasType(typedef.type) || !Array.isArray(typedef.args)) return;
+        if (!hasOwnProperty(userTypedefs, typedef.type)) return;
+        
+        typedef.args.forEach((arg, argIdx) => {
+          const argTypeNames = [];
+          forEachTypedef(arg, nestedTypedef => {
+            argTypeNames.push(nestedTypedef.type);
+          });
+          
+          params.forEach(param => {
+            if (argTypeNames.indexOf(param) === -1) return;
+            
+            edges.push({
+              from: `${userTypeName}:${param}`,
+              to: `${typedef.type}:${getParams(typedef.type)[argIdx]}`,
+              expanding: arg.type !== param,
+              path: [userTypeName].concat(path, 'args', argIdx),
+              userTypeName,
+            });
+          });
+        });
+      });
+    });
+    
+    const isReachable = (from, to) => {
+      const seen = [from];
+      const queue = [from];
+      
+      while (queue.length > 0) {
+        const current = queue.shift();
+        if (current === to) return true;
+        
+        edges.forEach(edge => {
+          if (edge.from === current && seen.indexOf(edge.to) === -1) {
+            seen.push(edge.to);
+            queue.push(edge.to);
+          }
+        });
+      }
+      
+      return false;
+    };
+    
+    return edges
+      .filter(edge => edge.expanding && isReachable(edge.to, edge.from))
+      .map(edge => makeTypedefError(
+        TypedefErrorCodes.EXPANSIVE_RECURSION,
+        edge.path,
+        `Type '${edge.userTypeName}' refers to itself ` +
+        'with growing type arguments'
+      ));
+  };
+  
+  /**
+   * Checks "params" of a generic user typedef
+   *
+   * @param {BoobenTypeDefinition} userTypedef
+   * @param {(string|number)[]} path
+   * @return {TypedefValidationError[]}
+   */
+  const getTypeParamsErrors = (userTypedef, path) => {
+    const { params } = userTypedef;
+    
+    if (!Array.isArray(params)) {
+      return [makeTypedefError(
+        TypedefErrorCodes.INVALID_PROPERTY,
+        path.concat('params'),
+        "'params' must be an array"
+      )];
+    }
+    
+    const errors = [];
+    
+    params.forEach((param, idx) => {
+      let message = '';
+      
+      if (!isString(param)) {
+        message = 'Type parameter must be a string';
+      } else if (hasType(param)) {
+        message = `'${param}' is a registered type`;
+      } else if (params.indexOf(param) !== idx) {
+        message = `Duplicate type parameter '${param}'`;
+      }
+      
+      if (message) {
+        errors.push(makeTypedefError(
+          TypedefErrorCodes.INVALID_TYPE_PARAMS,
+          path.concat('params', idx),
+          message
+        ));
+      }
+    });
+    
+    return errors;
+  };
+  
+  /**
+   * Checks every typedef in the user typedefs dictionary.
+   * Parameters of generic user typedefs are in scope
+   * of their own typedefs only. Generic types that refer to themselves
+   * with growing arguments (e.g. Grow<T> containing Grow<arrayOf(T)>)
+   * are rejected, since they expand infinitely.
+   * Paths in returned errors start with the user type name.
+   *
+   * @param {*} userTypedefs
+   * @return {TypedefValidationError[]}
+   */
+  const validateUserTypedefs = userTypedefs => {
+    if (getValueKind(userTypedefs) !== 'object') {
+      return [makeTypedefError(
+        TypedefErrorCodes.INVALID_TYPEDEF,
+        [],
+        'User typedefs must be an object, ' +
+        `got ${getValueKind(userTypedefs)}`
+      )];
+    }
+    
+    const userTypeNames = Object.keys(userTypedefs);
+    const typedefErrors = flatten(userTypeNames.map(userTypeName => {
+      const path = [userTypeName];
+      
+      if (hasType(userTypeName)) {
+        return [makeTypedefError(
+          TypedefErrorCodes.BUILTIN_TYPE_REDEFINED,
+          path,
+          `Cannot redefine registered type '${userTypeName}'`
+        )];
+      }
+      
+      const userTypedef = userTypedefs[userTypeName];
+      let scope = userTypedefs;
+      
+      if (
+        getValueKind(userTypedef) === 'object' &&
+        hasOwnProperty(userTypedef, 'params')
+      ) {
+        const paramsErrors = getTypeParamsErrors(userTypedef, path);
+        if (paramsErrors.length > 0) return paramsErrors;
+        
+        // Parameters accept any type argument
+        scope = Object.assign({}, userTypedefs);
+        userTypedef.params.forEach(param => {
+          scope[param] = { type: TypeNames.ANY };
+        });
+      }
+      
+      const errors = _validateTypedef(userTypedef, scope, path);
+      
+      if (errors.length === 0 && isCircularAlias(userTypeName, userTypedefs)) {
+        errors.push(makeTypedefError(
+          TypedefErrorCodes.CIRCULAR_ALIAS,
+          path,
+          `Type '${userTypeName}' is a circular alias`
+        ));
+      }
+      
+      return errors;
+    }));
+    
+    // Recursion is checked across all user types, so they must be valid
+    return typedefErrors.length > 0
+      ? typedefErrors
+      : getExpansiveRecursionErrors(userTypedefs);
+  };
+  
+  /**
+   * Returns a pair of user type keys if at least one of typedefs
+   * refers to a user type. The other typedef is then identified
+   * by the typedef object itself (a union may be compared
+   * with a user type on the same level of nesting).
+   * Pairs of user types under comparison are used to stop
+   * the recursion over recursive types.
+   *
+   * @param {BoobenTypeDefinition} typedef1
+   * @param {BoobenTypeDefinition} typedef2
+   * @return {?Array<(string|BoobenTypeDefinition)>}
+   */
+  const getUserTypesPair = (typedef1, typedef2) => {
+    const userTypeKey1 = getUserTypeKey(typedef1);
+    const userTypeKey2 = getUserTypeKey(typedef2);
+    
+    if (userTypeKey1 === null && userTypeKey2 === null) return null;
+    
+    return [
+      userTypeKey1 === null ? typedef1 : userTypeKey1,
+      userTypeKey2 === null ? typedef2 : userTypeKey2,
+    ];
+  };
+  
+  /**
+   *
+   * @param {string[][]} pairs
+   * @param {string[]} pair
+   * @return {boolean}
+   */
+  const hasUserTypesPair = (pairs, pair) =>
+    pairs.some(([name1, name2]) => name1 === pair[0] && name2 === pair[1]);
+  
+  /**
+   *
+   * @param {BoobenTypeDefinition} typedef1
+   * @param {BoobenTypeDefinition} typedef2
+   * @param {?Object<string, BoobenTypeDefinition>} [userTypedefs1=null]
+   * @param {?Object<string, BoobenTypeDefinition>} [userTypedefs2=null]
+   * @param {boolean} [checkRequired=false]
+   * @param {string[][]} [visited=[]] - Pairs of user types under comparison.
+   * @return {boolean}
+   */
+  const _isEqualType = (
+    typedef1,
+    typedef2,
+    userTypedefs1 = null,
+    userTypedefs2 = null,
+    checkRequired = false,
+    visited = []
+  ) => {
+    const resolvedTypedef1 = resolveTypedef(typedef1, userTypedefs1);
+    
+    if (!resolvedTypedef1) {
+      throw new Error(`Cannot resolve type '${typedef1.type}'`);
+    }
+    
+    const resolvedTypedef2 = resolveTypedef(typedef2, userTypedefs2);
+    
+    if (!resolvedTypedef2) {
+      throw new Error(`Cannot resolve type '${typedef2.type}'`);
+    }
+    
+    if (resolvedTypedef1.type !== resolvedTypedef2.type) {
+      return false;
+    }
+    
+    if (
+      _isNullableTypedef(resolvedTypedef1, userTypedefs1) !==
+      _isNullableTypedef(resolvedTypedef2, userTypedefs2)
+    ) {
+      return false;
+    }
+    
+    if (
+      checkRequired &&
+      (!!resolvedTypedef1.required !== !!resolvedTypedef2.required)
+    ) {
+      return false;
+    }
+    
+    const userTypesPair = getUserTypesPair(typedef1, typedef2);
+    
+    if (userTypesPair !== null) {
+      // Already comparing these types higher up the stack - assume equality
+      if (hasUserTypesPair(visited, userTypesPair)) return true;
+      visited = visited.concat([userTypesPair]);
+    }
+    
+    return types[resolvedTypedef1.type].isEqualType(
+      resolvedTypedef1,
+      resolvedTypedef2,
+      userTypedefs1,
+      userTypedefs2,
+      visited
+    );
+  };
+  
+  /**
+   *
+   * @param {BoobenTypeDefinition} typedef1
+   * @param {BoobenTypeDefinition} typedef2
+   * @param {?Object<string, BoobenTypeDefinition>} [userTypedefs1=null]
+   * @param {?Object<string, BoobenTypeDefinition>} [userTypedefs2=null]
+   * @return {boolean}
+   */
+  const isEqualType = (
+    typedef1,
+    typedef2,
+    userTypedefs1 = null,
+    userTypedefs2 = null
+  ) => _isEqualType(
+    typedef1,
+    typedef2,
+    userTypedefs1,
+    userTypedefs2
+  );
+  
+  /**
+   *
+   * @param {string} reason
+   * @param {BoobenTypeDefinition} typedef1
+   * @param {BoobenTypeDefinition} typedef2
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefs1
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefs2
+   * @param {(string|number)[]} path
+   * @param {IncompatibilityReason[]} [causes=[]]
+   * @return {IncompatibilityReason}
+   */
+  const makeIncompatibility = (
+    reason,
+    typedef1,
+    typedef2,
+    userTypedefs1,
+    userTypedefs2,
+    path,
+    causes = []
+  ) => ({
+    path,
+    reason,
+    expected: _printType(typedef1, userTypedefs1, []),
+    actual: _printType(typedef2, userTypedefs2, []),
+    causes,
+  });
+  
+  /**
+   *
+   * @param {BoobenTypeDefinition} typedef1
+   * @param {BoobenTypeDefinition} typedef2
+   * @param {?Object<string, BoobenTypeDefinition>} [userTypedefs1=null]
+   * @param {?Object<string, BoobenTypeDefinition>} [userTypedefs2=null]
+   * @param {boolean} [checkRequired=false]
+   * @param {string[][]} [visited=[]] - Pairs of user types under comparison.
+   * @param {(string|number)[]} [path=[]]
+   * @return {IncompatibilityReason[]}
+   */
+  const _explainCompatibility = (
+    typedef1,
+    typedef2,
+    userTypedefs1 = null,
+    userTypedefs2 = null,
+    checkRequired = false,
+    visited = [],
+    path = []
+  ) => {
+    const resolvedTypedef1 = resolveTypedef(typedef1, userTypedefs1);
+    
+    if (!resolvedTypedef1) {
+      throw new Error(`Cannot resolve type '${typedef1.type}'`);
+    }
+    
+    const resolvedTypedef2 = resolveTypedef(typedef2, userTypedefs2);
+    
+    if (!resolvedTypedef2) {
+      throw new Error(`Cannot resolve type '${typedef2.type}'`);
+    }
+    
+    if (
+      checkRequired &&
+      resolvedTypedef1.required &&
+      !resolvedTypedef2.required
+    ) {
+      return [makeIncompatibility(
+        IncompatibilityCodes.REQUIRED_MISMATCH,
+        typedef1,
+        typedef2,
+        userTypedefs1,
+        userTypedefs2,
+        path
+      )];
+    }
+    
+    const userTypesPair = getUserTypesPair(typedef1, typedef2);
+    
+    if (userTypesPair !== null) {
+      // Already comparing these types higher up the stack - assume compatibility
+      if (hasUserTypesPair(visited, userTypesPair)) return [];
+      visited = visited.concat([userTypesPair]);
+    }
+    
+    const nullabilityReasons = (
+      !_isNullableTypedef(resolvedTypedef1, userTypedefs1) &&
+      _isNullableTypedef(resolvedTypedef2, userTypedefs2)
+    )
+      ? [makeIncompatibility(
+        IncompatibilityCodes.NOT_NULL_MISMATCH,
+        typedef1,
+        typedef2,
+        userTypedefs1,
+        userTypedefs2,
+        path
+      )]
+      : [];
+    
+    // Values of a union can be used only if values of each member can
+    if (resolvedTypedef2.type === TypeNames.UNION) {
+      const memberReasons = flatten(resolvedTypedef2.types.map(
+        memberTypedef => {
+          const causes = _explainCompatibility(
+            typedef1,
+            memberTypedef,
+            userTypedefs1,
+            userTypedefs2,
+            false,
+            visited,
+            path
+          );
+          
+          return causes.length > 0
+            ? [makeIncompatibility(
+              IncompatibilityCodes.UNION_MEMBER_MISMATCH,
+              typedef1,
+              memberTypedef,
+              userTypedefs1,
+              userTypedefs2,
+              path,
+              causes
+            )]
+            : [];
+        }
+      ));
+      
+      // Nullable members are already reported
+      return memberReasons.length > 0 ? memberReasons : nullabilityReasons;
+    }
+    
+    return nullabilityReasons.concat(
+      types[resolvedTypedef1.type].explainCompatibility(
+        resolvedTypedef1,
+        resolvedTypedef2,
+        userTypedefs1,
+        userTypedefs2,
+        visited,
+        path
+      )
+    );
+  };
+  
+  /**
+   *
+   * @param {BoobenTypeDefinition} typedef1
+   * @param {BoobenTypeDefinition} typedef2
+   * @param {?Object<string, BoobenTypeDefinition>} [userTypedefs1=null]
+   * @param {?Object<string, BoobenTypeDefinition>} [userTypedefs2=null]
+   * @param {boolean} [checkRequired=false]
+   * @param {string[][]} [visited=[]] - Pairs of user types under comparison.
+   * @return {boolean}
+   */
+  const _isCompatibleType = (
+    typedef1,
+    typedef2,
+    userTypedefs1 = null,
+    userTypedefs2 = null,
+    checkRequired = false,
+    visited = []
+  ) => _explainCompatibility(
+    typedef1,
+    typedef2,
+    userTypedefs1,
+    userTypedefs2,
+    checkRequired,
+    visited
+  ).length === 0;
+  
+  /**
+   *
+   * @param {BoobenTypeDefinition} typedef1
+   * @param {BoobenTypeDefinition} typedef2
+   * @param {?Object<string, BoobenTypeDefinition>} [userTypedefs1=null]
+   * @param {?Object<string, BoobenTypeDefinition>} [userTypedefs2=null]
+   * @return {boolean}
+   */
+  const isCompatibleType = (
+    typedef1,
+    typedef2,
+    userTypedefs1 = null,
+    userTypedefs2 = null
+  ) => _isCompatibleType(
+    typedef1,
+    typedef2,
+    userTypedefs1,
+    userTypedefs2
+  );
+  
+  /**
+   * Explains why values of typedef2 cannot be used where typedef1
+   * is expected. Returns an empty list if the types are compatible
+   * (exactly when isCompatibleType returns true), otherwise a tree
+   * of reasons: nested incompatibilities are listed in "causes"
+   * and their paths point into typedef1.
+   *
+   * @param {BoobenTypeDefinition} typedef1
+   * @param {BoobenTypeDefinition} typedef2
+   * @param {?Object<string, BoobenTypeDefinition>} [userTypedefs1=null]
+   * @param {?Object<string, BoobenTypeDefinition>} [userTypedefs2=null]
+   * @return {IncompatibilityReason[]}
+   */
+  const explainCompatibility = (
+    typedef1,
+    typedef2,
+    userTypedefs1 = null,
+    userTypedefs2 = null
+  ) => _explainCompatibility(
+    typedef1,
+    typedef2,
+    userTypedefs1,
+    userTypedefs2
+  );
+  
+  /**
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {(string|number)[]} valuePath
+   * @param {?Object<string, BoobenTypeDefinition>} [userTypedefs=null]
+   * @return {BoobenTypeDefinition}
+   */
+  const getNestedTypedef = (
+    typedef,
+    valuePath,
+    userTypedefs = null
+  ) => valuePath.reduce(
+    (acc, cur) => {
+      const resolvedTypedef = resolveTypedef(acc, userTypedefs);
+      
+      if (!resolvedTypedef) {
+        throw new Error(
+          `getNestedTypedef(): Cannot resolve type '${acc.type}'`
+        );
+      }
+      
+      if (typeof cur !== 'string' && typeof cur !== 'number') {
+        throw new Error(
+          'getNestedTypedef(): valuePath can contain ' +
+          `only numbers and strings, got ${cur}`
+        );
+      }
+      
+      const type = types[resolvedTypedef.type];
+      const nestedTypedef = type.getNestedTypedef
+        ? type.getNestedTypedef(resolvedTypedef, cur)
+        : null;
+      
+      if (!nestedTypedef) {
+        throw new Error(
+          `getNestedTypedef(): incompatible type: ${resolvedTypedef.type}`
+        );
+      }
+      
+      return nestedTypedef;
+    },
+    
+    typedef
+  );
+  
+  /**
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {?BoobenTypeDefinition} resolvedTypedef
+   * @param {(string|number)[]} path
+   * @param {?TypedefTraversalNode} parent
+   * @return {TypedefTraversalNode}
+   */
+  const makeTraversalNode = (typedef, resolvedTypedef, path, parent) => ({
+    typedef,
+    resolvedTypedef,
+    path,
+    parent,
+    userTypeName: hasType(typedef.type) ? null : typedef.type,
+    isRecursive: false,
+  });
+  
+  /**
+   * Visits the typedef and all nested typedefs depth-first,
+   * following references to user types. Recursive references
+   * are visited (with "isRecursive" flag), but not entered again.
+   * Visitor is either the enter function or an object
+   * with enter and leave functions. Children of a typedef
+   * are skipped if enter returns false.
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefs
+   * @param {(function(node: TypedefTraversalNode): (boolean|undefined)|{enter: Function, leave: Function})} visitor
+   */
+  const traverseTypedef = (typedef, userTypedefs, visitor) => {
+    const { enter, leave } = typeof visitor === 'function'
+      ? { enter: visitor, leave: null }
+      : visitor;
+    
+    const visit = (currentTypedef, path, parent, enteredUserTypeKeys) => {
+      const resolvedTypedef = resolveTypedef(currentTypedef, userTypedefs);
+      
+      if (!resolvedTypedef) {
+        throw new Error(
+          `traverseTypedef(): Cannot resolve type '${currentTypedef.type}'`
+        );
+      }
+      
+      const node =
+        makeTraversalNode(currentTypedef, resolvedTypedef, path, parent);
+      
+      const userTypeKeys = getUserTypeKeys(currentTypedef, userTypedefs);
+      
+      node.isRecursive = userTypeKeys
+        .some(key => enteredUserTypeKeys.indexOf(key) !== -1);
+      
+      const skip = enter ? enter(node) === false : false;
+      
+      if (!skip && !node.isRecursive) {
+        mapChildTypedefs(resolvedTypedef, (nestedTypedef, nestedPath) => {
+          visit(
+            nestedTypedef,
+            path.concat(nestedPath),
+            node,
+            enteredUserTypeKeys.concat(userTypeKeys)
+          );
+          
+          return nestedTypedef;
+        });
+      }
+      
+      if (leave) leave(node);
+    };
+    
+    visit(typedef, [], null, []);
+  };
+  
+  /**
+   * Rebuilds the typedef bottom-up: fn gets every nested typedef
+   * (with nested typedefs already replaced) and returns its replacement,
+   * or undefined to keep it. References to user types are not followed,
+   * but arguments of generic references are mapped.
+   * "resolvedTypedef" of nodes is null for unresolvable typedefs
+   * (e.g. type parameters).
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefs
+   * @param {function(typedef: BoobenTypeDefinition, node: TypedefTraversalNode): (BoobenTypeDefinition|undefined)} fn
+   * @return {BoobenTypeDefinition}
+   */
+  const mapTypedef = (typedef, userTypedefs, fn) => {
+    const map = (currentTypedef, path, parent) => {
+      const node = makeTraversalNode(
+        currentTypedef,
+        resolveTypedef(currentTypedef, userTypedefs),
+        path,
+        parent
+      );
+      
+      const mappedTypedef = mapChildTypedefs(
+        currentTypedef,
+        (nestedTypedef, nestedPath) =>
+          map(nestedTypedef, path.concat(nestedPath), node)
+      );
+      
+      const ret = fn(mappedTypedef, node);
+      return typeof ret === 'undefined' ? mappedTypedef : ret;
+    };
+    
+    return map(typedef, [], null);
+  };
+  
+  /**
+   * Returns the declared default value of the typedef, if any.
+   * Own value of the reference takes precedence
+   * over the one of the user typedef it refers to.
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {BoobenTypeDefinition} resolvedTypedef
+   * @return {{value: *}|null}
+   */
+  const getDeclaredDefaultValue = (typedef, resolvedTypedef) => {
+    if (hasOwnProperty(typedef, 'defaultValue')) {
+      return { value: typedef.defaultValue };
+    }
+    
+    if (hasOwnProperty(resolvedTypedef, 'defaultValue')) {
+      return { value: resolvedTypedef.defaultValue };
+    }
+    
+    return null;
+  };
+  
+  /**
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {Object<string, BoobenTypeDefinition>} userTypedefs
+   * @param {Object} options
+   * @param {boolean} options.nonNull
+   * @param {boolean} options.deepNonNull
+   * @param {string[]} [visited=[]] - User types whose default values
+   *   are being constructed.
+   * @return {*}
+   */
+  const _makeDefaultValue = (typedef, userTypedefs, options, visited = []) => {
+    const resolvedTypedef = resolveTypedef(typedef, userTypedefs);
+    
+    if (!resolvedTypedef) {
+      throw new Error(`Cannot resolve type '${typedef.type}'`);
+    }
+    
+    const declared = getDeclaredDefaultValue(typedef, resolvedTypedef);
+    
+    // Declared null is ignored when a non-null value is requested
+    if (declared && !(options.nonNull && declared.value === null)) {
+      return fromNativeDeep(
+        cloneValue(declared.value),
+        resolvedTypedef,
+        userTypedefs
+      );
+    }
+    
+    const userTypeKeys = getUserTypeKeys(typedef, userTypedefs);
+    
+    // A non-null value of a type that contains itself
+    // would be infinite, so we stop here
+    if (userTypeKeys.some(key => visited.indexOf(key) !== -1)) return null;
+    visited = visited.concat(userTypeKeys);
+    
+    if (
+      !options.nonNull &&
+      _isNullableTypedef(resolvedTypedef, userTypedefs)
+    ) {
+      return null;
+    }
+    
+    return fromNative(
+      types[resolvedTypedef.type].makeDefaultValue(
+        resolvedTypedef,
+        userTypedefs,
+        options,
+        visited
+      ),
+      resolvedTypedef
+    );
+  };
+  
+  /**
+   * Makes the default value of the typedef. Declared "defaultValue"
+   * is used where present (also in nested typedefs, e.g. shape fields).
+   * Otherwise default value of nullable types is null,
+   * unless nonNull option is set. With deepNonNull option
+   * nested values (e.g. shape fields) are non-null too, except for
+   * recursive references. Strings with "pattern" get the shortest
+   * matching string; throws if the pattern uses unsupported features.
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} [userTypedefs=null]
+   * @param {Object} [options]
+   * @param {boolean} [options.nonNull=false]
+   * @param {boolean} [options.deepNonNull=false]
+   * @return {*}
+   */
+  const makeDefaultValue = (
+    typedef,
+    userTypedefs = null,
+    { nonNull = false, deepNonNull = false } = {}
+  ) => _makeDefaultValue(typedef, userTypedefs, {
+    nonNull: nonNull || deepNonNull,
+    deepNonNull,
+  });
+  
+  /**
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} [userTypedefs=null]
+   * @return {*}
+   */
+  const makeDefaultNonNullValue = (typedef, userTypedefs = null) =>
+    _makeDefaultValue(typedef, userTypedefs, {
+      nonNull: true,
+      deepNonNull: false,
+    });
+  
+  /**
+   * Errors with "path" property are coercion failures
+   * reported by coerceValue in lenient mode
+   *
+   * @param {string} message
+   * @param {(string|number)[]} path
+   * @return {Error}
+   */
+  const makeCoercionError = (message, path) => {
+    const error = new Error(message);
+    error.path = path;
+    return error;
+  };
+  
+  /**
+   *
+   * @param {BoobenTypeDefinition} resolvedTypedefTo
+   * @param {(string|number)[]} path
+   * @return {Error}
+   */
+  const makeNullCoercionError = (resolvedTypedefTo, path) =>
+    makeCoercionError(
+      `Cannot coerce null to non-nullable '${resolvedTypedefTo.type}'`,
+      path
+    );
+  
+  /**
+   *
+   * @param {(string|number)[]} path
+   * @return {Error}
+   */
+  const makeUnionCoercionError = path =>
+    makeCoercionError('Value does not match any of union types', path);
+  
+  /**
+   *
+   * @param {BoobenTypeDefinition} resolvedTypedefFrom
+   * @param {BoobenTypeDefinition} resolvedTypedefTo
+   * @param {(string|number)[]} path
+   * @return {Error}
+   */
+  const makeMissingCoercionError = (
+    resolvedTypedefFrom,
+    resolvedTypedefTo,
+    path
+  ) => makeCoercionError(
+    `Cannot coerce '${resolvedTypedefFrom.type}' ` +
+    `to '${resolvedTypedefTo.type}'`,
+    path
+  );
+  
+  /**
+   * Returns the coercion function of the target type for the source type,
+   * or null if there is none
+   *
+   * @param {BoobenTypeDefinition} resolvedTypedefFrom
+   * @param {BoobenTypeDefinition} resolvedTypedefTo
+   * @param {Object} options
+   * @param {boolean} options.lenient
+   * @return {?Function}
+   */
+  const findCoerceFn = (resolvedTypedefFrom, resolvedTypedefTo, options) => {
+    const typeTo = types[resolvedTypedefTo.type];
+    let coerceFn = typeTo.coerce[resolvedTypedefFrom.type];
+    
+    if (
+      options.lenient &&
+      hasOwnProperty(typeTo.lenientCoerce, resolvedTypedefFrom.type)
+    ) {
+      coerceFn = typeTo.lenientCoerce[resolvedTypedefFrom.type];
+    }
+    
+    return coerceFn || typeTo.coerceFallback || null;
+  };
+  
+  /**
+   *
+   * @param {*} value
+   * @param {BoobenTypeDefinition} typedefFrom
+   * @param {BoobenTypeDefinition} typedefTo
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefsFrom
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefsTo
+   * @param {Object} options
+   * @param {boolean} options.lenient
+   * @param {Function} [options.getCompiledCoercion] - Set by compileCoercer.
+   * @param {(string|number)[]} path
+   * @return {*}
+   */
+  const _coerceValue = (
+    value,
+    typedefFrom,
+    typedefTo,
+    userTypedefsFrom,
+    userTypedefsTo,
+    options,
+    path
+  ) => {
+    // Nested values of compiled coercers are coerced by compiled functions
+    if (options.getCompiledCoercion) {
+      return options.getCompiledCoercion(typedefFrom, typedefTo)(value, path);
+    }
+    
+    const resolvedTypedefFrom = resolveOrThrow(typedefFrom, userTypedefsFrom);
+    const resolvedTypedefTo = resolveOrThrow(typedefTo, userTypedefsTo);
+    
+    if (value === null) {
+      if (_isNullableTypedef(resolvedTypedefTo, userTypedefsTo)) return null;
+      throw makeNullCoercionError(resolvedTypedefTo, path);
+    }
+    
+    // Values of a union are coerced from the member they belong to
+    if (resolvedTypedefFrom.type === TypeNames.UNION) {
+      const memberTypedef = resolvedTypedefFrom.types.find(typedef =>
+        isValidValue(value, typedef, userTypedefsFrom));
+      
+      if (!memberTypedef) throw makeUnionCoercionError(path);
+      
+      return _coerceValue(
+        value,
+        memberTypedef,
+        typedefTo,
+        userTypedefsFrom,
+        userTypedefsTo,
+        options,
+        path
+      );
+    }
+    
+    const coerceFn =
+      findCoerceFn(resolvedTypedefFrom, resolvedTypedefTo, options);
+    
+    if (!coerceFn) {
+      throw makeMissingCoercionError(
+        resolvedTypedefFrom,
+        resolvedTypedefTo,
+        path
+      );
+    }
+    
+    return fromNative(
+      coerceFn(
+        valueAdapter.toNative(value),
+        resolvedTypedefFrom,
+        resolvedTypedefTo,
+        userTypedefsFrom,
+        userTypedefsTo,
+        options,
+        path
+      ),
+      resolvedTypedefTo
+    );
+  };
+  
+  /**
+   * Runs the coercion and returns its result as CoercionResult
+   * instead of throwing coercion errors
+   *
+   * @param {function(): *} coerce
+   * @return {CoercionResult}
+   */
+  const makeCoercionResult = coerce => {
+    try {
+      return {
+        success: true,
+        value: coerce(),
+        path: null,
+        message: '',
+      };
+    } catch (err) {
+      if (!Array.isArray(err.path)) throw err;
+      
+      return {
+        success: false,
+        value: undefined,
+        path: err.path,
+        message: err.message,
+      };
+    }
+  };
+  
+  /**
+   * Converts a value of typedefFrom to typedefTo.
+   * By default throws if there's no coercion between the types.
+   * In lenient mode also parses numeric strings, puts scalars
+   * into oneOf if the value is one of the options and converts
+   * between shape and objectOf; instead of throwing it returns
+   * a result object with the path to the value that couldn't be coerced.
+   *
+   * @param {*} value
+   * @param {BoobenTypeDefinition} typedefFrom
+   * @param {BoobenTypeDefinition} typedefTo
+   * @param {?Object<string, BoobenTypeDefinition>} [userTypedefsFrom=null]
+   * @param {?Object<string, BoobenTypeDefinition>} [userTypedefsTo=null]
+   * @param {Object} [options]
+   * @param {boolean} [options.lenient=false]
+   * @return {*|CoercionResult} - CoercionResult in lenient mode.
+   */
+  const coerceValue = (
+    value,
+    typedefFrom,
+    typedefTo,
+    userTypedefsFrom = null,
+    userTypedefsTo = null,
+    { lenient = false } = {}
+  ) => {
+    const coerce = () => _coerceValue(
+      value,
+      typedefFrom,
+      typedefTo,
+      userTypedefsFrom,
+      userTypedefsTo,
+      { lenient },
+      []
+    );
+    
+    return lenient ? makeCoercionResult(coerce) : coerce();
+  };
+  
+  /* eslint-disable no-use-before-define */
+  /**
+   * Returns a function that coerces values like coerceValue does.
+   * Every pair of nested typedefs gets its own function with typedefs
+   * resolved and the coercion function picked in advance.
+   * They are made when the pair is reached for the first time
+   * and reused by all subsequent calls.
+   * Typedefs and coercions must not be changed after compiling.
+   * Throws if a type cannot be resolved.
+   *
+   * @param {BoobenTypeDefinition} typedefFrom
+   * @param {BoobenTypeDefinition} typedefTo
+   * @param {?Object<string, BoobenTypeDefinition>} [userTypedefsFrom=null]
+   * @param {?Object<string, BoobenTypeDefinition>} [userTypedefsTo=null]
+   * @param {Object} [options]
+   * @param {boolean} [options.lenient=false]
+   * @return {function(value: *): (*|CoercionResult)}
+   */
+  const compileCoercer = (
+    typedefFrom,
+    typedefTo,
+    userTypedefsFrom = null,
+    userTypedefsTo = null,
+    { lenient = false } = {}
+  ) => {
+    const compiledByTypedefFrom = new Map();
+    const compiledByKey = {};
+    
+    const compileNonNull = (
+      currentTypedefTo,
+      resolvedTypedefFrom,
+      resolvedTypedefTo
+    ) => {
+      if (resolvedTypedefFrom.type === TypeNames.UNION) {
+        const members = resolvedTypedefFrom.types.map(memberTypedef => ({
+          isValid: compileValidator(memberTypedef, userTypedefsFrom),
+          coerce: getCompiledCoercion(memberTypedef, currentTypedefTo),
+        }));
+        
+        return (value, path) => {
+          const member = members.find(({ isValid }) => isValid(value));
+          if (!member) throw makeUnionCoercionError(path);
+          return member.coerce(value, path);
+        };
+      }
+      
+      const coerceFn =
+        findCoerceFn(resolvedTypedefFrom, resolvedTypedefTo, options);
+      
+      if (!coerceFn) {
+        return (value, path) => {
+          throw makeMissingCoercionError(
+            resolvedTypedefFrom,
+            resolvedTypedefTo,
+            path
+          );
+        };
+      }
+      
+      const coerceNative = (value, path) => coerceFn(
+        value,
+        resolvedTypedefFrom,
+        resolvedTypedefTo,
+        userTypedefsFrom,
+        userTypedefsTo,
+        options,
+        path
+      );
+      
+      if (valueAdapter === plainValueAdapter) return coerceNative;
+      
+      return (value, path) => fromNative(
+        coerceNative(valueAdapter.toNative(value), path),
+        resolvedTypedefTo
+      );
+    };
+    
+    const compile = (currentTypedefFrom, currentTypedefTo) => {
+      const resolvedTypedefFrom =
+        resolveOrThrow(currentTypedefFrom, userTypedefsFrom);
+      
+      const resolvedTypedefTo =
+        resolveOrThrow(currentTypedefTo, userTypedefsTo);
+      
+      const nullable = _isNullableTypedef(resolvedTypedefTo, userTypedefsTo);
+      const coerceNonNull = compileNonNull(
+        currentTypedefTo,
+        resolvedTypedefFrom,
+        resolvedTypedefTo
+      );
+      
+      return (value, path) => {
+        if (value !== null) return coerceNonNull(value, path);
+        if (nullable) return null;
+        throw makeNullCoercionError(resolvedTypedefTo, path);
+      };
+    };
+    
+    const getCompiledCoercion = (currentTypedefFrom, currentTypedefTo) => {
+      if (!compiledByTypedefFrom.has(currentTypedefFrom)) {
+        compiledByTypedefFrom.set(currentTypedefFrom, new Map());
+      }
+      
+      const compiledByTypedefTo = compiledByTypedefFrom.get(currentTypedefFrom);
+      
+      if (!compiledByTypedefTo.has(currentTypedefTo)) {
+        // Equal pairs share the function (e.g. pairs of generic types
+        // that are expanded again on every level). It's registered
+        // before compiling, so recursive types refer to it.
+        const key = JSON.stringify([currentTypedefFrom, currentTypedefTo]);
+        
+        if (!hasOwnProperty(compiledByKey, key)) {
+          let coerce = null;
+          compiledByKey[key] = (value, path) => coerce(value, path);
+          coerce = compile(currentTypedefFrom, currentTypedefTo);
+        }
+        
+        compiledByTypedefTo.set(currentTypedefTo, compiledByKey[key]);
+      }
+      
+      return compiledByTypedefTo.get(currentTypedefTo);
+    };
+    
+    // Passed to coercion functions, which pass it back to _coerceValue
+    // for nested values
+    const options = { lenient, getCompiledCoercion };
+    const coerce = getCompiledCoercion(typedefFrom, typedefTo);
+    
+    if (!lenient) return value => coerce(value, []);
+    return value => makeCoercionResult(() => coerce(value, []));
+  };
+  /* eslint-enable no-use-before-define */
+  
+  /**
+   * Registers a function that coerces values of typeFrom to typeTo.
+   * Replaces the existing coercion if there is one.
+   *
+   * @param {string} typeFrom
+   * @param {string} typeTo
+   * @param {Function} coerceFn - Called with the same arguments
+   *   as coercion functions in type definitions.
+   */
+  const registerCoercion = (typeFrom, typeTo, coerceFn) => {
+    [typeFrom, typeTo].forEach(typeName => {
+      if (!hasType(typeName)) {
+        throw new Error(`registerCoercion(): Unknown type '${typeName}'`);
+      }
+    });
+    
+    if (typeof coerceFn !== 'function') {
+      throw new Error('registerCoercion(): coerceFn must be a function');
+    }
+    
+    types[typeTo].coerce[typeFrom] = coerceFn;
+  };
+  
+  /**
+   * Checks if there is a coercion from typeFrom to typeTo
+   *
+   * @param {string} typeFrom
+   * @param {string} typeTo
+   * @return {boolean}
+   */
+  const hasCoercion = (typeFrom, typeTo) =>
+    hasType(typeFrom) &&
+    hasType(typeTo) && (
+      hasOwnProperty(types[typeTo].coerce, typeFrom) ||
+      !!types[typeTo].coerceFallback
+    );
+  
+  /**
+   * Adds a new type to the type system. Type definitions of registered types
+   * can be referred to from typedefs just like the built-in ones.
+   *
+   * @param {string} typeName
+   * @param {TypeDefinition} definition
+   */
+  const registerType = (typeName, definition) => {
+    if (!isString(typeName) || typeName === '') {
+      throw new Error('registerType(): typeName must be a non-empty string');
+    }
+    
+    if (hasType(typeName)) {
+      throw new Error(`registerType(): Type '${typeName}' already registered`);
+    }
+    
+    REQUIRED_TYPE_METHODS.forEach(method => {
+      if (typeof definition[method] !== 'function') {
+        throw new Error(
+          `registerType(): Definition of '${typeName}' ` +
+          `has no '${method}' method`
+        );
+      }
+    });
+    
+    const { explainCompatibility, isCompatibleType } = definition;
+    
+    if (
+      typeof explainCompatibility !== 'function' &&
+      typeof isCompatibleType !== 'function'
+    ) {
+      throw new Error(
+        `registerType(): Definition of '${typeName}' has neither ` +
+        '\'explainCompatibility\' nor \'isCompatibleType\' method'
+      );
+    }
+    
+    types[typeName] = Object.assign({}, definition, {
+      coerce: Object.assign({}, definition.coerce),
+      lenientCoerce: Object.assign({}, definition.lenientCoerce),
+    });
+    
+    // Types that only tell whether they are compatible
+    // get a generic explanation
+    if (typeof explainCompatibility !== 'function') {
+      types[typeName].explainCompatibility = (
+        typedef1,
+        typedef2,
+        userTypedefs1,
+        userTypedefs2,
+        visited,
+        path
+      ) => (
+        isCompatibleType(
+          typedef1,
+          typedef2,
+          userTypedefs1,
+          userTypedefs2,
+          visited
+        )
+          ? []
+          : [makeIncompatibility(
+            IncompatibilityCodes.INCOMPATIBLE,
+            typedef1,
+            typedef2,
+            userTypedefs1,
+            userTypedefs2,
+            path
+          )]
+      );
+    }
+    
+    // Values of any type can be put in 'any'
+    if (typeName !== TypeNames.ANY && hasType(TypeNames.ANY)) {
+      registerCoercion(typeName, TypeNames.ANY, returnArg);
+    }
+  };
+  
+  const builtinTypes = createBuiltinTypes({
+    isValidValue,
+    _validateValue,
+    _printType,
+    _isEqualType,
+    _explainCompatibility,
+    _makeDefaultValue,
+    _coerceValue,
+    _validateTypedef,
+    makeValueError,
+    makeTypedefError,
+    makeIncompatibility,
+    makeCoercionError,
+    isNullableTypedef,
+  });
+  
+  Object.keys(builtinTypes).forEach(typeName => {
+    registerType(typeName, builtinTypes[typeName]);
+  });
+  
+  const typeSystem = {
+    valueAdapter,
+    registerType,
+    registerCoercion,
+    hasCoercion,
+    hasType,
+    resolveTypedef,
+    resolveOrThrow,
+    getNestedTypedef,
+    traverseTypedef,
+    mapTypedef,
+    isNullableType,
+    isNullableTypedef,
+    isValidValue,
+    compileValidator,
+    validateValue,
+    validateTypedef,
+    validateUserTypedefs,
+    printType,
+    isEqualType,
+    isCompatibleType,
+    explainCompatibility,
+    makeDefaultValue,
+    makeDefaultNonNullValue,
+    coerceValue,
+    compileCoercer,
+  };
+  
+  // Methods are added one group at a time,
+  // so that later groups can use earlier ones
+  return [
+    createJSONSchemaMethods,
+    createTypeScriptMethods,
+    createParserMethods,
+    createEqualityMethods,
+    createMigrationMethods,
+    createGeneratorMethods,
+    createValuePathMethods,
+    createNormalizationMethods,
+  ].reduce(
+    (acc, createMethods) => Object.assign(acc, createMethods(acc)),
+    typeSystem
+  );
+};
+
+exports.createTypeSystem = createTypeSystem;
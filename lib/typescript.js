@@ -0,0 +1,421 @@
+'use strict';
+
+const { TypeNames } = require('./builtin-types');
+
+/**
+ *
+ * @type {string}
+ */
+const INDENT = '  ';
+
+/**
+ *
+ * @type {RegExp}
+ */
+const IDENTIFIER_RE = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+/**
+ * Words that cannot be names of type aliases or type parameters:
+ * reserved words of JavaScript and TypeScript
+ * and names of predefined TypeScript types
+ *
+ * @type {Set<string>}
+ */
+const RESERVED_TYPE_NAMES = new Set([
+  'break',
+  'case',
+  'catch',
+  'class',
+  'const',
+  'continue',
+  'debugger',
+  'default',
+  'delete',
+  'do',
+  'else',
+  'enum',
+  'export',
+  'extends',
+  'false',
+  'finally',
+  'for',
+  'function',
+  'if',
+  'import',
+  'in',
+  'instanceof',
+  'new',
+  'null',
+  'return',
+  'super',
+  'switch',
+  'this',
+  'throw',
+  'true',
+  'try',
+  'typeof',
+  'var',
+  'void',
+  'while',
+  'with',
+  'implements',
+  'interface',
+  'let',
+  'package',
+  'private',
+  'protected',
+  'public',
+  'static',
+  'yield',
+  'any',
+  'bigint',
+  'boolean',
+  'never',
+  'number',
+  'object',
+  'string',
+  'symbol',
+  'undefined',
+  'unknown',
+]);
+
+/**
+ *
+ * @type {string}
+ */
+const REACT_IMPORT = "import * as React from 'react';";
+
+/**
+ *
+ * @param {string} name
+ * @return {string}
+ */
+const printPropertyName = name =>
+  IDENTIFIER_RE.test(name) ? name : JSON.stringify(name);
+
+/**
+ * User types and type parameters are printed by name,
+ * so their names must be valid identifiers and not reserved words
+ *
+ * @param {string} name
+ * @param {string} kind - "type" or "type parameter".
+ */
+const checkTypeName = (name, kind) => {
+  if (!IDENTIFIER_RE.test(name)) {
+    throw new Error(
+      `Cannot print ${kind} '${name}' in TypeScript: ` +
+      'name is not a valid identifier'
+    );
+  }
+  
+  if (RESERVED_TYPE_NAMES.has(name)) {
+    throw new Error(
+      `Cannot print ${kind} '${name}' in TypeScript: ` +
+      'name is a reserved word'
+    );
+  }
+};
+
+/**
+ * Whether the typedef is printed as a function type
+ * that must be wrapped in parens to be a union member
+ *
+ * @param {BoobenTypeDefinition} typedef
+ * @return {boolean}
+ */
+const isFunctionTypedef = typedef =>
+  typedef.type === TypeNames.FUNC || typedef.type === TypeNames.RENDERER;
+
+/**
+ * Creates TypeScript generation methods for a type system
+ *
+ * @param {TypeSystem} typeSystem
+ * @return {{printTypeScript: Function, generateDeclarations: Function}}
+ */
+const createTypeScriptMethods = typeSystem => {
+  const { hasType, resolveOrThrow, isNullableTypedef } = typeSystem;
+  
+  /**
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {Object} context
+   * @return {boolean}
+   */
+  const isTypeParam = (typedef, context) =>
+    context.params.indexOf(typedef.type) !== -1;
+  
+  /**
+   * Whether the printed type must be wrapped in parens to be an array item
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefs
+   * @param {Object} context
+   * @return {boolean}
+   */
+  const needsParens = (typedef, userTypedefs, context) => {
+    if (isTypeParam(typedef, context)) return false;
+    if (isNullableTypedef(typedef, userTypedefs)) return true;
+    if (!hasType(typedef.type)) return false;
+    
+    switch (typedef.type) {
+      case TypeNames.SCALAR:
+      case TypeNames.FUNC:
+      case TypeNames.RENDERER:
+      case TypeNames.UNION:
+        return true;
+      
+      case TypeNames.ONE_OF: return typedef.options.length > 1;
+      default: return false;
+    }
+  };
+  
+  /* eslint-disable no-use-before-define */
+  /**
+   *
+   * @param {Object<string, BoobenTypeDefinition>} fields
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefs
+   * @param {Object} context
+   * @param {string} indent
+   * @return {string}
+   */
+  const printFields = (fields, userTypedefs, context, indent) => {
+    const fieldIndent = `${indent}${INDENT}`;
+    const lines = Object.keys(fields).map(fieldName => {
+      const fieldTypedef = fields[fieldName];
+      const optional = fieldTypedef.required ? '' : '?';
+      const fieldType = printTS(
+        fieldTypedef,
+        userTypedefs,
+        context,
+        fieldIndent,
+        false
+      );
+      
+      return `${fieldIndent}${printPropertyName(fieldName)}${optional}: ` +
+        `${fieldType};`;
+    });
+    
+    return lines.length > 0 ? `{\n${lines.join('\n')}\n${indent}}` : '{}';
+  };
+  
+  /**
+   * Prints the typedef without "| null"
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefs
+   * @param {Object} context
+   * @param {boolean} context.usesReact - Set if React types were printed.
+   * @param {string[]} context.params - Type parameters in scope.
+   * @param {string} indent
+   * @return {string}
+   */
+  const printNonNullTS = (typedef, userTypedefs, context, indent) => {
+    if (isTypeParam(typedef, context)) return typedef.type;
+    
+    if (!hasType(typedef.type)) {
+      resolveOrThrow(typedef, userTypedefs);
+      checkTypeName(typedef.type, 'type');
+      
+      if (!Array.isArray(typedef.args)) return typedef.type;
+      
+      const args = typedef.args
+        .map(arg => printTS(arg, userTypedefs, context, indent, false))
+        .join(', ');
+      
+      return `${typedef.type}<${args}>`;
+    }
+    
+    switch (typedef.type) {
+      case TypeNames.STRING: return 'string';
+      case TypeNames.BOOL: return 'boolean';
+      case TypeNames.INT: return 'number';
+      case TypeNames.FLOAT: return 'number';
+      case TypeNames.SCALAR: return 'string | number | boolean';
+      case TypeNames.ONE_OF: {
+        return typedef.options
+          .map(option => JSON.stringify(option.value))
+          .join(' | ');
+      }
+      
+      case TypeNames.ARRAY: return 'any[]';
+      case TypeNames.ARRAY_OF: {
+        const itemType =
+          printTS(typedef.ofType, userTypedefs, context, indent, false);
+        
+        return needsParens(typedef.ofType, userTypedefs, context)
+          ? `(${itemType})[]`
+          : `${itemType}[]`;
+      }
+      
+      case TypeNames.TUPLE: {
+        const items = typedef.items
+          .map(itemTypedef =>
+            printTS(itemTypedef, userTypedefs, context, indent, false))
+          .join(', ');
+        
+        return `[${items}]`;
+      }
+      
+      case TypeNames.OBJECT: return 'Record<string, any>';
+      case TypeNames.OBJECT_OF: {
+        const itemType =
+          printTS(typedef.ofType, userTypedefs, context, indent, false);
+        
+        return `Record<string, ${itemType}>`;
+      }
+      
+      case TypeNames.SHAPE: {
+        return printFields(typedef.fields, userTypedefs, context, indent);
+      }
+      
+      case TypeNames.FUNC: {
+        const args = Array.isArray(typedef.args)
+          ? typedef.args
+            .map((argTypedef, idx) => {
+              const argType =
+                printTS(argTypedef, userTypedefs, context, indent, false);
+              
+              return `arg${idx}: ${argType}`;
+            })
+            .join(', ')
+          : '...args: any[]';
+        
+        const returns = typeof typedef.returns !== 'undefined'
+          ? printTS(typedef.returns, userTypedefs, context, indent, false)
+          : 'any';
+        
+        return `(${args}) => ${returns}`;
+      }
+      
+      case TypeNames.COMPONENT: {
+        context.usesReact = true;
+        
+        if (!typedef.props) return 'React.ComponentType<any>';
+        
+        const props = printFields(typedef.props, userTypedefs, context, indent);
+        return `React.ComponentType<${props}>`;
+      }
+      
+      case TypeNames.ELEMENT: {
+        context.usesReact = true;
+        return 'React.ReactElement<any>';
+      }
+      
+      case TypeNames.RENDERER: {
+        context.usesReact = true;
+        return '(...args: any[]) => React.ReactNode';
+      }
+      
+      case TypeNames.UNION: {
+        // Null is added once for the whole union
+        return typedef.types
+          .map(memberTypedef => {
+            const memberType =
+              printTS(memberTypedef, userTypedefs, context, indent, true);
+            
+            return isFunctionTypedef(memberTypedef)
+              ? `(${memberType})`
+              : memberType;
+          })
+          .join(' | ');
+      }
+      
+      default: return 'any';
+    }
+  };
+  /* eslint-enable no-use-before-define */
+  
+  /**
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} userTypedefs
+   * @param {Object} context
+   * @param {boolean} context.usesReact - Set if React types were printed.
+   * @param {string[]} context.params - Type parameters in scope.
+   * @param {string} indent
+   * @param {boolean} omitNull - Print nullable types without "| null".
+   * @return {string}
+   */
+  const printTS = (typedef, userTypedefs, context, indent, omitNull) => {
+    const text = printNonNullTS(typedef, userTypedefs, context, indent);
+    
+    // Nullability of type parameters is up to their arguments
+    if (omitNull || isTypeParam(typedef, context)) return text;
+    if (!isNullableTypedef(typedef, userTypedefs)) return text;
+    
+    return isFunctionTypedef(typedef) ? `(${text}) | null` : `${text} | null`;
+  };
+  
+  /**
+   * Prints the typedef as a TypeScript type. User types are printed
+   * as references by name, see generateDeclarations.
+   * Component, element and renderer types refer to React namespace.
+   *
+   * @param {BoobenTypeDefinition} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} [userTypedefs=null]
+   * @return {string}
+   */
+  const printTypeScript = (typedef, userTypedefs = null) =>
+    printTS(
+      typedef,
+      userTypedefs,
+      { usesReact: false, params: [] },
+      '',
+      false
+    );
+  
+  /**
+   * Generates .d.ts text with declarations of all user types.
+   * Shapes become interfaces, other types become type aliases.
+   * Generic user types become generic declarations.
+   * Throws if a name of a user type or a type parameter
+   * is not a valid identifier or is a reserved word
+   * (e.g. "class" or "number").
+   *
+   * @param {Object<string, BoobenTypeDefinition>} userTypedefs
+   * @return {string}
+   */
+  const generateDeclarations = userTypedefs => {
+    const context = { usesReact: false, params: [] };
+    const declarations = Object.keys(userTypedefs).map(userTypeName => {
+      const typedef = userTypedefs[userTypeName];
+      
+      const scope = Object.assign({}, userTypedefs);
+      
+      context.params = typedef.params || [];
+      checkTypeName(userTypeName, 'type');
+      context.params.forEach(param => checkTypeName(param, 'type parameter'));
+      
+      // Parameters are printed by name, so what they are bound to
+      // matters only for resolving references to other generic types
+      context.params.forEach(param => {
+        scope[param] = { type: TypeNames.ANY, notNull: true };
+      });
+      
+      const name = context.params.length > 0
+        ? `${userTypeName}<${context.params.join(', ')}>`
+        : userTypeName;
+      
+      if (typedef.type === TypeNames.SHAPE) {
+        const body = printFields(typedef.fields, scope, context, '');
+        return `export interface ${name} ${body}`;
+      }
+      
+      const type = printTS(typedef, scope, context, '', true);
+      return `export type ${name} = ${type};`;
+    });
+    
+    const lines = context.usesReact
+      ? [REACT_IMPORT].concat(declarations)
+      : declarations;
+    
+    return `${lines.join('\n\n')}\n`;
+  };
+  
+  return {
+    printTypeScript,
+    generateDeclarations,
+  };
+};
+
+exports.createTypeScriptMethods = createTypeScriptMethods;
@@ -28,6 +28,18 @@ exports.isBoolean = value => typeof value === 'boolean';
  */
 exports.isString = value => typeof value === 'string';
 
+/**
+ * Returns "null", "array" or the result of typeof for other values
+ *
+ * @param {*} value
+ * @return {string}
+ */
+exports.getValueKind = value => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
 /**
  *
  * @return {boolean}
@@ -78,3 +90,43 @@ exports.objectToObject = (object, keyFn, valueFn) => {
   
   return ret;
 };
+
+/**
+ *
+ * @param {Object} object
+ * @return {boolean}
+ */
+exports.isPlainObject = object => {
+  const proto = Object.getPrototypeOf(object);
+  return proto === Object.prototype || proto === null;
+};
+
+/**
+ * Copies arrays and plain objects recursively,
+ * other values (including functions) are kept as is
+ *
+ * @param {*} value
+ * @return {*}
+ */
+exports.cloneValue = value => {
+  const kind = exports.getValueKind(value);
+  
+  if (kind === 'array') return value.map(exports.cloneValue);
+  
+  if (kind === 'object' && exports.isPlainObject(value)) {
+    return exports.objectToObject(
+      value,
+      (_, key) => key,
+      exports.cloneValue
+    );
+  }
+  
+  return value;
+};
+
+/**
+ *
+ * @param {Array[]} arrays
+ * @return {Array}
+ */
+exports.flatten = arrays => [].concat(...arrays);
@@ -0,0 +1,70 @@
+'use strict';
+
+const { getValueKind, isPlainObject } = require('./utils');
+
+/**
+ * Adapter for plain arrays and objects, used by default
+ *
+ * @type {ValueAdapter}
+ */
+const plainValueAdapter = {
+  toNative: value => value,
+  fromNative: value => value,
+  get: (container, key) => container[key],
+  set: (container, key, value) => {
+    const ret = Array.isArray(container)
+      ? container.slice()
+      : Object.assign({}, container);
+    
+    ret[key] = value;
+    return ret;
+  },
+};
+
+/**
+ * Creates an adapter for Immutable.js collections: Lists are used
+ * as arrays, Maps and Records as objects. New containers are Lists
+ * and Maps. Plain arrays and objects are still accepted.
+ * Immutable itself is passed in, so that this package doesn't depend on it.
+ *
+ * @param {Object} Immutable - Immutable.js module.
+ * @return {ValueAdapter}
+ */
+const createImmutableAdapter = Immutable => {
+  const { List, Map, Record } = Immutable;
+  
+  // Immutable 3 has no Record.isRecord
+  const isRecord = value => typeof Record.isRecord === 'function'
+    ? Record.isRecord(value)
+    : value instanceof Record;
+  
+  const isCollection = value =>
+    List.isList(value) || Map.isMap(value) || isRecord(value);
+  
+  return {
+    toNative: value => {
+      if (List.isList(value)) return value.toArray();
+      if (Map.isMap(value) || isRecord(value)) return value.toObject();
+      return value;
+    },
+    
+    fromNative: value => {
+      const kind = getValueKind(value);
+      
+      if (kind === 'array') return List(value);
+      if (kind === 'object' && isPlainObject(value)) return Map(value);
+      return value;
+    },
+    
+    get: (container, key) => isCollection(container)
+      ? container.get(key)
+      : plainValueAdapter.get(container, key),
+    
+    set: (container, key, value) => isCollection(container)
+      ? container.set(key, value)
+      : plainValueAdapter.set(container, key, value),
+  };
+};
+
+exports.plainValueAdapter = plainValueAdapter;
+exports.createImmutableAdapter = createImmutableAdapter;
@@ -0,0 +1,178 @@
+'use strict';
+
+const { getValueKind, isInteger } = require('./utils');
+
+/**
+ *
+ * @param {(string|number)[]} path
+ * @return {string}
+ */
+const formatPath = path => path.length > 0 ? path.join('.') : '<root>';
+
+/**
+ *
+ * @param {string} message
+ * @param {(string|number)[]} path
+ * @return {Error}
+ */
+const makePathError = (message, path) => {
+  const error = new Error(message);
+  error.path = path;
+  return error;
+};
+
+/**
+ * Creates methods for reading and updating nested values.
+ * Containers are accessed with the value adapter of the type system.
+ *
+ * @param {TypeSystem} typeSystem
+ * @return {{getValueAtPath: Function, setValueAtPath: Function}}
+ */
+const createValuePathMethods = typeSystem => {
+  const {
+    valueAdapter,
+    getNestedTypedef,
+    isValidValue,
+    validateValue,
+    makeDefaultNonNullValue,
+    printType,
+  } = typeSystem;
+  
+  /**
+   * Returns the value at the path. Missing values and values
+   * inside null containers are undefined.
+   * Throws if the path doesn't exist in the typedef.
+   *
+   * @param {*} value
+   * @param {(string|number)[]} path
+   * @param {BoobenTypeDefinition} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} [userTypedefs=null]
+   * @return {*}
+   */
+  const getValueAtPath = (value, path, typedef, userTypedefs = null) => {
+    getNestedTypedef(typedef, path, userTypedefs);
+    
+    return path.reduce(
+      (acc, key) =>
+        acc !== null && typeof acc === 'object'
+          ? valueAdapter.get(acc, key)
+          : undefined,
+      value
+    );
+  };
+  
+  /**
+   * Returns a copy of the value with newValue at the path.
+   * Containers along the path are copied, other values are shared
+   * with the original value, which is not changed.
+   * Null and missing containers are created with makeDefaultNonNullValue.
+   * Throws an error with "path" property if newValue is not valid
+   * for the nested typedef or a container along the path
+   * is invalid with newValue in it.
+   *
+   * @param {*} value
+   * @param {(string|number)[]} path
+   * @param {*} newValue
+   * @param {BoobenTypeDefinition} typedef
+   * @param {?Object<string, BoobenTypeDefinition>} [userTypedefs=null]
+   * @return {*}
+   */
+  const setValueAtPath = (
+    value,
+    path,
+    newValue,
+    typedef,
+    userTypedefs = null
+  ) => {
+    const nestedTypedef = getNestedTypedef(typedef, path, userTypedefs);
+    
+    if (!isValidValue(newValue, nestedTypedef, userTypedefs)) {
+      throw makePathError(
+        `setValueAtPath(): value at ${formatPath(path)} must be ` +
+        `a valid value of ${printType(nestedTypedef, userTypedefs)}`,
+        path
+      );
+    }
+    
+    const makeContainer = (containerTypedef, key) => {
+      const ret = makeDefaultNonNullValue(containerTypedef, userTypedefs);
+      const kind = getValueKind(valueAdapter.toNative(ret));
+      
+      // Default values of "any" are null
+      if (kind === 'array' || kind === 'object') return ret;
+      return valueAdapter.fromNative(typeof key === 'number' ? [] : {});
+    };
+    
+    const setAt = (currentValue, currentTypedef, depth) => {
+      if (depth === path.length) return newValue;
+      
+      const key = path[depth];
+      const currentPath = path.slice(0, depth);
+      const container =
+        currentValue === null || typeof currentValue === 'undefined'
+          ? makeContainer(currentTypedef, key)
+          : currentValue;
+      
+      const nativeContainer = valueAdapter.toNative(container);
+      const kind = getValueKind(nativeContainer);
+      
+      if (typeof key === 'number') {
+        if (kind !== 'array') {
+          throw makePathError(
+            `setValueAtPath(): value at ${formatPath(currentPath)} ` +
+            `must be an array, got ${kind}`,
+            currentPath
+          );
+        }
+        
+        // Items can be replaced or appended, but arrays can't have holes
+        if (!isInteger(key) || key < 0 || key > nativeContainer.length) {
+          throw makePathError(
+            `setValueAtPath(): index ${key} is out of bounds ` +
+            `of array at ${formatPath(currentPath)}`,
+            currentPath
+          );
+        }
+      } else if (kind !== 'object') {
+        throw makePathError(
+          `setValueAtPath(): value at ${formatPath(currentPath)} ` +
+          `must be an object, got ${kind}`,
+          currentPath
+        );
+      }
+      
+      const nestedValue = setAt(
+        nativeContainer[key],
+        getNestedTypedef(currentTypedef, [key], userTypedefs),
+        depth + 1
+      );
+      
+      const ret = valueAdapter.set(container, key, nestedValue);
+      
+      // Constraints of the container itself (e.g. maxItems)
+      // may be broken by the new item
+      const errors = validateValue(ret, currentTypedef, userTypedefs);
+      
+      if (errors.length > 0) {
+        const errorPath = currentPath.concat(errors[0].path);
+        
+        throw makePathError(
+          `setValueAtPath(): value at ${formatPath(errorPath)} would not be ` +
+          `a valid value of ${errors[0].expected}`,
+          errorPath
+        );
+      }
+      
+      return ret;
+    };
+    
+    return setAt(value, typedef, 0);
+  };
+  
+  return {
+    getValueAtPath,
+    setValueAtPath,
+  };
+};
+
+exports.createValuePathMethods = createValuePathMethods;
@@ -0,0 +1,116 @@
+'use strict';
+
+const assert = require('assert');
+const { coerceValue, isValidValue } = require('../lib');
+
+describe('coerceValue', () => {
+  const strings = { type: 'arrayOf', ofType: { type: 'string' } };
+  const ints = { type: 'arrayOf', ofType: { type: 'int' } };
+  
+  it('coerces values with strict coercions', () => {
+    assert.strictEqual(
+      coerceValue(5, { type: 'int' }, { type: 'string' }),
+      '5'
+    );
+    
+    assert.deepStrictEqual(coerceValue([1, 2], ints, strings), ['1', '2']);
+  });
+  
+  it('throws in strict mode if there is no coercion', () => {
+    assert.throws(
+      () => coerceValue('12', { type: 'string' }, { type: 'int' }),
+      /Cannot coerce 'string' to 'int'/
+    );
+  });
+  
+  describe('in lenient mode', () => {
+    const lenient = { lenient: true };
+    
+    it('parses numeric strings', () => {
+      assert.deepStrictEqual(
+        coerceValue(
+          '12',
+          { type: 'string' },
+          { type: 'int' },
+          null,
+          null,
+          lenient
+        ),
+        { success: true, value: 12, path: null, message: '' }
+      );
+    });
+    
+    it('reports the path to the value that cannot be coerced', () => {
+      assert.deepStrictEqual(
+        coerceValue(['1', 'x'], strings, ints, null, null, lenient),
+        {
+          success: false,
+          value: undefined,
+          path: [1],
+          message: "Cannot parse 'x' as 'int'",
+        }
+      );
+    });
+    
+    it('converts objectOf to shape, dropping unknown fields', () => {
+      const result = coerceValue(
+        { a: 1, b: 2 },
+        { type: 'objectOf', ofType: { type: 'int' } },
+        { type: 'shape', fields: { a: { type: 'string' } } },
+        null,
+        null,
+        lenient
+      );
+      
+      assert.deepStrictEqual(result.value, { a: '1' });
+    });
+  });
+  
+  describe('between shapes', () => {
+    const from = { type: 'shape', fields: { a: { type: 'int' } } };
+    
+    it('drops fields the target does not declare', () => {
+      const to = { type: 'shape', fields: {} };
+      assert.deepStrictEqual(coerceValue({ a: 1 }, from, to), {});
+    });
+    
+    it('skips missing optional fields', () => {
+      const to = { type: 'shape', fields: { b: { type: 'string' } } };
+      assert.deepStrictEqual(coerceValue({ a: 1 }, from, to), {});
+    });
+    
+    it('throws if a required field cannot be filled', () => {
+      const to = {
+        type: 'shape',
+        fields: {
+          a: { type: 'int' },
+          b: { type: 'string', required: true },
+        },
+      };
+      
+      assert.throws(
+        () => coerceValue({ a: 1 }, from, to),
+        err => /Missing required field 'b'/.test(err.message) &&
+          err.path.length === 1 &&
+          err.path[0] === 'b'
+      );
+      
+      assert.deepStrictEqual(
+        coerceValue({ a: 1 }, from, to, null, null, { lenient: true }).path,
+        ['b']
+      );
+    });
+    
+    it('returns valid values of the target', () => {
+      const to = {
+        type: 'shape',
+        fields: { a: { type: 'string', required: true } },
+      };
+      
+      const value = coerceValue({ a: 1 }, from, to);
+      
+      assert.deepStrictEqual(value, { a: '1' });
+      assert(isValidValue(value, to));
+    });
+  });
+});
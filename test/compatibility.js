@@ -0,0 +1,85 @@
+'use strict';
+
+const assert = require('assert');
+
+const {
+  explainCompatibility,
+  isCompatibleType,
+  IncompatibilityCodes,
+} = require('../lib');
+
+describe('explainCompatibility', () => {
+  it('returns an empty list for compatible types', () => {
+    const typedef = { type: 'arrayOf', ofType: { type: 'int' } };
+    
+    assert.deepStrictEqual(explainCompatibility(typedef, typedef), []);
+  });
+  
+  it('explains mismatches of nested types', () => {
+    assert.deepStrictEqual(
+      explainCompatibility(
+        { type: 'arrayOf', ofType: { type: 'int' } },
+        { type: 'arrayOf', ofType: { type: 'string' } }
+      ),
+      [{
+        path: [],
+        reason: IncompatibilityCodes.OF_TYPE_MISMATCH,
+        expected: 'arrayOf(int)',
+        actual: 'arrayOf(string)',
+        causes: [{
+          path: ['ofType'],
+          reason: IncompatibilityCodes.TYPE_MISMATCH,
+          expected: 'int',
+          actual: 'string',
+          causes: [],
+        }],
+      }]
+    );
+  });
+  
+  it('lists every mismatching field', () => {
+    const reasons = explainCompatibility(
+      {
+        type: 'shape',
+        fields: {
+          id: { type: 'int', required: true },
+          name: { type: 'string' },
+        },
+      },
+      {
+        type: 'shape',
+        fields: {
+          id: { type: 'int' },
+          name: { type: 'string', nullable: true },
+        },
+      }
+    );
+    
+    assert.deepStrictEqual(
+      reasons.map(reason => [reason.path, reason.causes[0].reason]),
+      [
+        [['fields', 'id'], IncompatibilityCodes.REQUIRED_MISMATCH],
+        [['fields', 'name'], IncompatibilityCodes.NOT_NULL_MISMATCH],
+      ]
+    );
+  });
+  
+  it('agrees with isCompatibleType', () => {
+    const typedef1 = {
+      type: 'shape',
+      fields: { a: { type: 'int' }, b: { type: 'int' } },
+    };
+    
+    const typedef2 = { type: 'shape', fields: { a: { type: 'int' } } };
+    
+    assert.strictEqual(isCompatibleType(typedef1, typedef2), false);
+    
+    assert.deepStrictEqual(
+      explainCompatibility(typedef1, typedef2).map(reason => reason.reason),
+      [
+        IncompatibilityCodes.SHAPE_FIELD_COUNT_MISMATCH,
+        IncompatibilityCodes.SHAPE_FIELD_MISSING,
+      ]
+    );
+  });
+});
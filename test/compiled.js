@@ -0,0 +1,115 @@
+'use strict';
+
+const assert = require('assert');
+
+const {
+  compileValidator,
+  compileCoercer,
+  isValidValue,
+  coerceValue,
+  generateValue,
+  generateInvalidValue,
+} = require('../lib');
+
+const userTypedefs = {
+  Node: {
+    type: 'shape',
+    fields: {
+      id: { type: 'int', min: 0, required: true },
+      label: { type: 'union', types: [{ type: 'string' }, { type: 'int' }] },
+      point: { type: 'tuple', items: [{ type: 'float' }, { type: 'float' }] },
+      children: {
+        type: 'arrayOf',
+        ofType: { type: 'Node', notNull: true },
+        maxItems: 2,
+      },
+    },
+  },
+};
+
+const seeds = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+describe('compileValidator', () => {
+  const typedef = { type: 'Node', notNull: true };
+  const validate = compileValidator(typedef, userTypedefs);
+  
+  it('agrees with isValidValue', () => {
+    seeds.forEach(seed => {
+      const validValue = generateValue(typedef, userTypedefs, { seed });
+      const invalidValue =
+        generateInvalidValue(typedef, userTypedefs, { seed });
+      
+      assert.strictEqual(validate(validValue), true);
+      assert.strictEqual(validate(invalidValue), false);
+      
+      assert.strictEqual(
+        isValidValue(invalidValue, typedef, userTypedefs),
+        false
+      );
+    });
+  });
+  
+  it('throws if a type cannot be resolved', () => {
+    assert.throws(
+      () => compileValidator({ type: 'Unknown' }),
+      /Cannot resolve type 'Unknown'/
+    );
+  });
+});
+
+describe('compileCoercer', () => {
+  const strings = { type: 'arrayOf', ofType: { type: 'string' } };
+  const ints = { type: 'arrayOf', ofType: { type: 'int' } };
+  
+  it('agrees with coerceValue', () => {
+    const typedefTo = {
+      type: 'shape',
+      fields: {
+        id: { type: 'string' },
+        children: {
+          type: 'arrayOf',
+          ofType: { type: 'Node', notNull: true },
+        },
+      },
+    };
+    
+    const coerce = compileCoercer(
+      { type: 'Node' },
+      typedefTo,
+      userTypedefs,
+      userTypedefs
+    );
+    
+    seeds.forEach(seed => {
+      const value = generateValue({ type: 'Node' }, userTypedefs, { seed });
+      
+      assert.deepStrictEqual(
+        coerce(value),
+        coerceValue(
+          value,
+          { type: 'Node' },
+          typedefTo,
+          userTypedefs,
+          userTypedefs
+        )
+      );
+    });
+  });
+  
+  it('reports failures in lenient mode', () => {
+    const lenient = { lenient: true };
+    const coerce = compileCoercer(strings, ints, null, null, lenient);
+    
+    assert.deepStrictEqual(coerce(['1', '2']), {
+      success: true,
+      value: [1, 2],
+      path: null,
+      message: '',
+    });
+    
+    assert.deepStrictEqual(
+      coerce(['1', 'x']),
+      coerceValue(['1', 'x'], strings, ints, null, null, lenient)
+    );
+  });
+});
@@ -0,0 +1,128 @@
+'use strict';
+
+const assert = require('assert');
+
+const {
+  isValidValue,
+  validateValue,
+  validateTypedef,
+  makeDefaultValue,
+  ValueErrorCodes,
+  TypedefErrorCodes,
+} = require('../lib');
+
+describe('Value constraints', () => {
+  it('checks bounds of numbers, strings and arrays', () => {
+    assert(isValidValue(5, { type: 'int', min: 0, max: 5 }));
+    assert(!isValidValue(6, { type: 'int', min: 0, max: 5 }));
+    assert(!isValidValue(0.4, { type: 'float', min: 0.5 }));
+    assert(isValidValue('ab', { type: 'string', minLength: 2 }));
+    assert(!isValidValue('abc', { type: 'string', maxLength: 2 }));
+    assert(!isValidValue(
+      [],
+      { type: 'arrayOf', ofType: { type: 'int' }, minItems: 1 }
+    ));
+  });
+  
+  it('checks string patterns', () => {
+    const typedef = { type: 'string', pattern: '^[a-z]+\\d{2}$' };
+    
+    assert(isValidValue('abc12', typedef));
+    assert(!isValidValue('abc', typedef));
+    assert.deepStrictEqual(
+      validateValue('abc', typedef).map(error => error.reason),
+      [ValueErrorCodes.CONSTRAINT_VIOLATION]
+    );
+  });
+  
+  it('treats invalid patterns as matching nothing', () => {
+    assert.strictEqual(
+      isValidValue('(', { type: 'string', pattern: '(' }),
+      false
+    );
+  });
+  
+  it('reports invalid patterns in typedefs', () => {
+    const errors = validateTypedef({ type: 'string', pattern: '(' });
+    
+    assert.deepStrictEqual(
+      errors.map(({ reason, path }) => ({ reason, path })),
+      [{ reason: TypedefErrorCodes.INVALID_PROPERTY, path: ['pattern'] }]
+    );
+  });
+  
+  it('reports bounds in the wrong order', () => {
+    assert.deepStrictEqual(
+      validateTypedef({ type: 'string', minLength: 3, maxLength: 2 })
+        .map(({ path }) => path),
+      [['maxLength']]
+    );
+  });
+  
+  it('reports int bounds with no integers between them', () => {
+    assert.deepStrictEqual(
+      validateTypedef({ type: 'int', min: 0.5, max: 0.7 })
+        .map(({ reason, path }) => ({ reason, path })),
+      [{ reason: TypedefErrorCodes.INVALID_PROPERTY, path: ['max'] }]
+    );
+    
+    assert.deepStrictEqual(
+      validateTypedef({ type: 'int', min: 0.5, max: 1 }),
+      []
+    );
+    
+    assert.deepStrictEqual(
+      validateTypedef({ type: 'float', min: 0.5, max: 0.7 }),
+      []
+    );
+  });
+  
+  it('makes default values within bounds', () => {
+    assert.strictEqual(makeDefaultValue({ type: 'int', min: 0.5, max: 3 }), 1);
+    assert.strictEqual(makeDefaultValue({ type: 'float', max: -2 }), -2);
+    assert.strictEqual(
+      makeDefaultValue({ type: 'string', minLength: 2 }),
+      '  '
+    );
+  });
+  
+  it('makes default strings that match the pattern', () => {
+    const typedefs = [
+      { type: 'string', pattern: '^a+$' },
+      { type: 'string', pattern: '^#[0-9a-f]{6}$' },
+      { type: 'string', pattern: '^[a-z]+\\d{2}$', minLength: 5 },
+    ];
+    
+    assert.deepStrictEqual(
+      typedefs.map(typedef => makeDefaultValue(typedef)),
+      ['a', '#000000', 'aaa00']
+    );
+    
+    typedefs.forEach(typedef => {
+      assert(isValidValue(makeDefaultValue(typedef), typedef));
+    });
+  });
+  
+  it('throws if no default string matches the pattern', () => {
+    assert.throws(
+      () => makeDefaultValue({ type: 'string', pattern: '^ab$', minLength: 3 }),
+      /matches no strings of length at least 3/
+    );
+    
+    assert.throws(
+      () => makeDefaultValue({ type: 'string', pattern: '(?=a)a' }),
+      /Lookaround assertions .* are not supported/
+    );
+  });
+  
+  it('prefers declared default values', () => {
+    assert.strictEqual(
+      makeDefaultValue({
+        type: 'string',
+        pattern: '(?=a)a',
+        defaultValue: 'a',
+      }),
+      'a'
+    );
+  });
+});
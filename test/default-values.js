@@ -0,0 +1,56 @@
+'use strict';
+
+const assert = require('assert');
+
+const {
+  makeDefaultValue,
+  validateTypedef,
+  TypedefErrorCodes,
+} = require('../lib');
+
+describe('declared default values', () => {
+  const typedef = {
+    type: 'shape',
+    fields: {
+      size: { type: 'int', defaultValue: 12 },
+      title: { type: 'string' },
+      tags: {
+        type: 'arrayOf',
+        ofType: { type: 'string' },
+        defaultValue: ['new'],
+      },
+    },
+  };
+  
+  it('are used instead of zero values', () => {
+    assert.deepStrictEqual(
+      makeDefaultValue(typedef, null, { nonNull: true }),
+      { size: 12, title: '', tags: ['new'] }
+    );
+    
+    assert.deepStrictEqual(
+      makeDefaultValue({ type: 'shape', fields: {}, defaultValue: {} }),
+      {}
+    );
+  });
+  
+  it('are copied', () => {
+    const value1 = makeDefaultValue(typedef, null, { nonNull: true });
+    const value2 = makeDefaultValue(typedef, null, { nonNull: true });
+    
+    value1.tags.push('changed');
+    assert.deepStrictEqual(value2.tags, ['new']);
+    assert.deepStrictEqual(typedef.fields.tags.defaultValue, ['new']);
+  });
+  
+  it('must be valid values of the typedef', () => {
+    assert.deepStrictEqual(
+      validateTypedef({ type: 'int', defaultValue: 'none' }),
+      [{
+        path: ['defaultValue'],
+        reason: TypedefErrorCodes.DEFAULT_VALUE_MISMATCH,
+        message: "'defaultValue' is not a valid value of int",
+      }]
+    );
+  });
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+const assert = require('assert');
+const { isEqualValue, hashValue } = require('../lib');
+
+describe('isEqualValue', () => {
+  const handler = () => {};
+  
+  const typedef = {
+    type: 'shape',
+    fields: {
+      id: { type: 'int' },
+      scores: { type: 'objectOf', ofType: { type: 'float' } },
+      onClick: { type: 'func' },
+    },
+  };
+  
+  const value1 = { id: 1, scores: { a: 1, b: 2 }, onClick: handler };
+  const value2 = { scores: { b: 2, a: 1 }, onClick: handler, id: 1 };
+  
+  it('compares values deeply regardless of key order', () => {
+    assert.strictEqual(isEqualValue(value1, value2, typedef), true);
+    
+    assert.strictEqual(
+      isEqualValue(value1, Object.assign({}, value2, { id: 2 }), typedef),
+      false
+    );
+  });
+  
+  it('ignores undeclared fields of shapes', () => {
+    assert.strictEqual(
+      isEqualValue(value1, Object.assign({ extra: true }, value2), typedef),
+      true
+    );
+  });
+  
+  it('compares functions by reference', () => {
+    assert.strictEqual(
+      isEqualValue(
+        value1,
+        Object.assign({}, value2, { onClick: () => {} }),
+        typedef
+      ),
+      false
+    );
+  });
+  
+  it('handles null', () => {
+    assert.strictEqual(isEqualValue(null, null, typedef), true);
+    assert.strictEqual(isEqualValue(null, value1, typedef), false);
+  });
+});
+
+describe('hashValue', () => {
+  const typedef = { type: 'arrayOf', ofType: { type: 'any' } };
+  
+  it('returns equal hashes for equal values', () => {
+    assert.strictEqual(
+      hashValue([{ a: 1, b: [2] }], typedef),
+      hashValue([{ b: [2], a: 1 }], typedef)
+    );
+  });
+  
+  it('returns unsigned 32-bit integers depending on item order', () => {
+    const hash = hashValue([1, 2], typedef);
+    
+    assert.strictEqual(hash, hash >>> 0);
+    assert.notStrictEqual(hash, hashValue([2, 1], typedef));
+  });
+});
@@ -0,0 +1,98 @@
+'use strict';
+
+const assert = require('assert');
+
+const {
+  isValidValue,
+  isCompatibleType,
+  explainCompatibility,
+  validateTypedef,
+  printType,
+  IncompatibilityCodes,
+  TypedefErrorCodes,
+} = require('../lib');
+
+describe('func signatures', () => {
+  const typedef = {
+    type: 'func',
+    args: [{ type: 'int' }, { type: 'string' }],
+    returns: { type: 'int' },
+  };
+  
+  const reasonsOf = (typedef1, typedef2) =>
+    explainCompatibility(typedef1, typedef2).map(reason => reason.reason);
+  
+  it('are printed as arrows', () => {
+    assert.strictEqual(printType(typedef), 'func(int, string) => int');
+  });
+  
+  it('are not checked on values', () => {
+    assert.strictEqual(isValidValue(() => {}, typedef), true);
+    assert.strictEqual(isValidValue(null, typedef), true);
+    assert.strictEqual(isValidValue(1, typedef), false);
+  });
+  
+  it('accept functions that take fewer arguments', () => {
+    assert.strictEqual(
+      isCompatibleType(typedef, {
+        type: 'func',
+        args: [{ type: 'int' }],
+        returns: { type: 'int' },
+      }),
+      true
+    );
+    
+    assert.deepStrictEqual(
+      reasonsOf(
+        { type: 'func', args: [{ type: 'int' }] },
+        typedef
+      ),
+      [IncompatibilityCodes.FUNC_ARGS_COUNT_MISMATCH]
+    );
+  });
+  
+  it('check arguments contravariantly and return types covariantly', () => {
+    const nullableInt = { type: 'int', nullable: true };
+    
+    assert.strictEqual(
+      isCompatibleType(
+        { type: 'func', args: [{ type: 'int' }] },
+        { type: 'func', args: [nullableInt] }
+      ),
+      true
+    );
+    
+    assert.deepStrictEqual(
+      reasonsOf(
+        { type: 'func', args: [nullableInt] },
+        { type: 'func', args: [{ type: 'int' }] }
+      ),
+      [IncompatibilityCodes.FUNC_ARG_MISMATCH]
+    );
+    
+    assert.deepStrictEqual(
+      reasonsOf(typedef, {
+        type: 'func',
+        args: [{ type: 'int' }, { type: 'string' }],
+        returns: { type: 'string' },
+      }),
+      [IncompatibilityCodes.FUNC_RETURNS_MISMATCH]
+    );
+  });
+  
+  it('are compatible with funcs without signatures', () => {
+    assert.strictEqual(isCompatibleType(typedef, { type: 'func' }), true);
+    assert.strictEqual(isCompatibleType({ type: 'func' }, typedef), true);
+  });
+  
+  it('require args if the return type is set', () => {
+    assert.deepStrictEqual(
+      validateTypedef({ type: 'func', returns: { type: 'int' } }),
+      [{
+        path: ['args'],
+        reason: TypedefErrorCodes.MISSING_PROPERTY,
+        message: "'returns' requires 'args'",
+      }]
+    );
+  });
+});
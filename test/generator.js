@@ -0,0 +1,88 @@
+'use strict';
+
+const assert = require('assert');
+
+const {
+  generateValue,
+  generateInvalidValue,
+  isValidValue,
+} = require('../lib');
+
+describe('generateValue', () => {
+  const userTypedefs = {
+    Tree: {
+      type: 'shape',
+      fields: {
+        id: { type: 'int', min: 1, max: 9, required: true },
+        code: { type: 'string', pattern: '^[A-Z]{2}-[0-9]{3}$' },
+        kind: { type: 'oneOf', options: [{ value: 'a' }, { value: 'b' }] },
+        pair: { type: 'tuple', items: [{ type: 'bool' }, { type: 'float' }] },
+        children: {
+          type: 'arrayOf',
+          ofType: { type: 'Tree', notNull: true },
+          maxItems: 2,
+        },
+      },
+    },
+  };
+  
+  const seeds = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+  
+  it('generates valid values', () => {
+    seeds.forEach(seed => {
+      const value = generateValue({ type: 'Tree' }, userTypedefs, { seed });
+      
+      assert.ok(
+        isValidValue(value, { type: 'Tree' }, userTypedefs),
+        `seed ${seed}: ${JSON.stringify(value)}`
+      );
+    });
+  });
+  
+  it('generates the same value for the same seed', () => {
+    seeds.forEach(seed => {
+      assert.deepStrictEqual(
+        generateValue({ type: 'Tree' }, userTypedefs, { seed }),
+        generateValue({ type: 'Tree' }, userTypedefs, { seed })
+      );
+    });
+  });
+  
+  it('limits nesting with maxDepth', () => {
+    const depth = value => value === null
+      ? 0
+      : 1 + Math.max(0, ...(value.children || []).map(depth));
+    
+    seeds.forEach(seed => {
+      const value = generateValue(
+        { type: 'Tree', notNull: true },
+        userTypedefs,
+        { seed, maxDepth: 2 }
+      );
+      
+      assert.ok(depth(value) <= 2);
+    });
+  });
+});
+
+describe('generateInvalidValue', () => {
+  it('generates invalid values', () => {
+    const typedef = {
+      type: 'shape',
+      notNull: true,
+      fields: {
+        name: { type: 'string', minLength: 1, required: true },
+        scores: { type: 'arrayOf', ofType: { type: 'int' } },
+      },
+    };
+    
+    [1, 2, 3, 4, 5].forEach(seed => {
+      const value = generateInvalidValue(typedef, null, { seed });
+      assert.strictEqual(isValidValue(value, typedef), false);
+    });
+  });
+  
+  it('throws if every value is valid', () => {
+    assert.throws(() => generateInvalidValue({ type: 'any' }));
+  });
+});
@@ -0,0 +1,143 @@
+'use strict';
+
+const assert = require('assert');
+
+const {
+  isValidValue,
+  isEqualType,
+  printType,
+  validateUserTypedefs,
+  TypedefErrorCodes,
+} = require('../lib');
+
+describe('Generic user types', () => {
+  const userTypedefs = {
+    List: {
+      type: 'shape',
+      params: ['T'],
+      fields: {
+        head: { type: 'T' },
+        tail: { type: 'List', args: [{ type: 'T' }] },
+      },
+    },
+    
+    Ints: { type: 'List', args: [{ type: 'int' }] },
+  };
+  
+  it('substitutes arguments for parameters', () => {
+    assert.strictEqual(
+      printType({ type: 'List', args: [{ type: 'string' }] }, userTypedefs),
+      'shape(head:string, tail:List(string))'
+    );
+    
+    assert(isValidValue(
+      { head: 1, tail: { head: 2, tail: null } },
+      { type: 'Ints' },
+      userTypedefs
+    ));
+    
+    assert(!isValidValue(
+      { head: 1, tail: { head: 'x' } },
+      { type: 'Ints' },
+      userTypedefs
+    ));
+  });
+  
+  it('compares aliases of generic types with their expansions', () => {
+    assert(isEqualType(
+      { type: 'Ints' },
+      { type: 'List', args: [{ type: 'int' }] },
+      userTypedefs,
+      userTypedefs
+    ));
+  });
+  
+  it('accepts valid generic user typedefs', () => {
+    assert.deepStrictEqual(validateUserTypedefs(userTypedefs), []);
+  });
+  
+  it('reports references with wrong number of arguments', () => {
+    const errors = validateUserTypedefs({
+      List: userTypedefs.List,
+      Bad: { type: 'List', args: [{ type: 'int' }, { type: 'int' }] },
+    });
+    
+    assert.deepStrictEqual(
+      errors.map(({ reason, path }) => ({ reason, path })),
+      [{ reason: TypedefErrorCodes.TYPE_ARGS_MISMATCH, path: ['Bad', 'args'] }]
+    );
+  });
+  
+  it('rejects recursion with growing type arguments', () => {
+    const errors = validateUserTypedefs({
+      Grow: {
+        type: 'shape',
+        params: ['T'],
+        fields: {
+          inner: {
+            type: 'Grow',
+            args: [{ type: 'arrayOf', ofType: { type: 'T' } }],
+          },
+        },
+      },
+    });
+    
+    assert.deepStrictEqual(
+      errors.map(({ reason, path }) => ({ reason, path })),
+      [{
+        reason: TypedefErrorCodes.EXPANSIVE_RECURSION,
+        path: ['Grow', 'fields', 'inner', 'args', 0],
+      }]
+    );
+  });
+  
+  it('rejects growing arguments in mutual recursion', () => {
+    const errors = validateUserTypedefs({
+      A: {
+        type: 'shape',
+        params: ['T'],
+        fields: {
+          b: { type: 'B', args: [{ type: 'arrayOf', ofType: { type: 'T' } }] },
+        },
+      },
+      
+      B: {
+        type: 'shape',
+        params: ['U'],
+        fields: {
+          a: { type: 'A', args: [{ type: 'U' }] },
+        },
+      },
+    });
+    
+    assert.deepStrictEqual(
+      errors.map(({ reason }) => reason),
+      [TypedefErrorCodes.EXPANSIVE_RECURSION]
+    );
+  });
+  
+  it('accepts growing arguments outside of recursion', () => {
+    assert.deepStrictEqual(validateUserTypedefs({
+      Box: { type: 'shape', params: ['T'], fields: { value: { type: 'T' } } },
+      Wrapper: {
+        type: 'shape',
+        params: ['T'],
+        fields: {
+          box: {
+            type: 'Box',
+            args: [{ type: 'arrayOf', ofType: { type: 'T' } }],
+          },
+        },
+      },
+      
+      Pair: {
+        type: 'shape',
+        params: ['A', 'B'],
+        fields: {
+          first: { type: 'A' },
+          swapped: { type: 'Pair', args: [{ type: 'B' }, { type: 'A' }] },
+        },
+      },
+    }), []);
+  });
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+const assert = require('assert');
+const Immutable = require('immutable');
+const { createTypeSystem, createImmutableAdapter } = require('../lib');
+
+describe('Immutable adapter', () => {
+  const typeSystem = createTypeSystem({
+    valueAdapter: createImmutableAdapter(Immutable),
+  });
+  
+  const typedef = {
+    type: 'shape',
+    fields: {
+      name: { type: 'string' },
+      tags: { type: 'arrayOf', ofType: { type: 'string' } },
+      meta: { type: 'objectOf', ofType: { type: 'int' } },
+    },
+  };
+  
+  const value = Immutable.fromJS({ name: 'a', tags: ['x'], meta: { k: 1 } });
+  
+  it('validates Lists, Maps and Records', () => {
+    const Item = Immutable.Record({
+      name: 'b',
+      tags: Immutable.List(),
+      meta: Immutable.Map(),
+    });
+    
+    assert.strictEqual(typeSystem.isValidValue(value, typedef), true);
+    assert.strictEqual(typeSystem.isValidValue(new Item(), typedef), true);
+    assert.strictEqual(typeSystem.compileValidator(typedef)(value), true);
+    
+    assert.deepStrictEqual(
+      typeSystem.validateValue(value.setIn(['tags', 0], 1), typedef),
+      [{
+        path: ['tags', 0],
+        expected: 'string',
+        actual: 'number',
+        reason: 'type-mismatch',
+      }]
+    );
+  });
+  
+  it('makes new containers with Immutable', () => {
+    const defaultValue =
+      typeSystem.makeDefaultValue(typedef, null, { nonNull: true });
+    
+    assert.ok(Immutable.Map.isMap(defaultValue));
+    assert.ok(Immutable.List.isList(defaultValue.get('tags')));
+    assert.ok(Immutable.Map.isMap(typeSystem.generateValue(typedef)));
+  });
+  
+  it('gets and sets values at paths', () => {
+    const newValue =
+      typeSystem.setValueAtPath(value, ['tags', 1], 'y', typedef);
+    
+    assert.ok(Immutable.List.isList(newValue.get('tags')));
+    assert.strictEqual(newValue.getIn(['tags', 1]), 'y');
+    assert.strictEqual(value.get('tags').size, 1);
+    
+    assert.strictEqual(
+      typeSystem.getValueAtPath(value, ['meta', 'k'], typedef),
+      1
+    );
+  });
+  
+  it('compares and coerces collections', () => {
+    const sameValue =
+      Immutable.fromJS({ tags: ['x'], meta: { k: 1 }, name: 'a' });
+    
+    assert.strictEqual(
+      typeSystem.isEqualValue(value, sameValue, typedef),
+      true
+    );
+    
+    const coerced = typeSystem.coerceValue(value, typedef, {
+      type: 'shape',
+      fields: {
+        tags: { type: 'arrayOf', ofType: { type: 'string' } },
+      },
+    });
+    
+    assert.ok(Immutable.Map.isMap(coerced));
+    assert.deepStrictEqual(coerced.toJS(), { tags: ['x'] });
+  });
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+const assert = require('assert');
+const { toJSONSchema, fromJSONSchema, isEqualType } = require('../lib');
+
+describe('toJSONSchema', () => {
+  it('converts user types to $defs', () => {
+    const userTypedefs = {
+      Item: {
+        type: 'shape',
+        fields: {
+          id: { type: 'int', required: true, min: 0 },
+          tags: { type: 'arrayOf', ofType: { type: 'string' } },
+        },
+      },
+    };
+    
+    assert.deepStrictEqual(toJSONSchema({ type: 'Item' }, userTypedefs), {
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      $ref: '#/$defs/Item',
+      $defs: {
+        Item: {
+          type: ['object', 'null'],
+          properties: {
+            id: { type: 'integer', minimum: 0 },
+            tags: { type: 'array', items: { type: 'string' } },
+          },
+          required: ['id'],
+        },
+      },
+    });
+  });
+  
+  it('converts oneOf to enum', () => {
+    const schema = toJSONSchema({
+      type: 'oneOf',
+      options: [{ value: 'a' }, { value: 1 }],
+    });
+    
+    assert.deepStrictEqual(schema.enum, ['a', 1]);
+  });
+});
+
+describe('fromJSONSchema', () => {
+  it('converts a schema back to equal typedefs', () => {
+    const userTypedefs = {
+      Node: {
+        type: 'shape',
+        fields: {
+          name: { type: 'string', required: true, minLength: 1 },
+          next: { type: 'Node' },
+        },
+      },
+    };
+    
+    const result =
+      fromJSONSchema(toJSONSchema({ type: 'Node' }, userTypedefs));
+    
+    assert.deepStrictEqual(result.typedef, { type: 'Node' });
+    assert.deepStrictEqual(result.unsupported, []);
+    
+    assert.strictEqual(
+      isEqualType(
+        result.typedef,
+        { type: 'Node' },
+        result.userTypedefs,
+        userTypedefs
+      ),
+      true
+    );
+  });
+  
+  it('reports unsupported keywords', () => {
+    const result = fromJSONSchema({
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' },
+      },
+      required: ['email'],
+    });
+    
+    assert.deepStrictEqual(result.typedef, {
+      type: 'shape',
+      notNull: true,
+      fields: {
+        email: { type: 'string', required: true },
+      },
+    });
+    
+    assert.deepStrictEqual(result.unsupported, [{
+      path: ['properties', 'email'],
+      keyword: 'format',
+      message: "Keyword 'format' is not supported",
+    }]);
+  });
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+const assert = require('assert');
+const { migrateValue, MigrationIssueCodes } = require('../lib');
+
+describe('migrateValue', () => {
+  const oldTypedef = {
+    type: 'shape',
+    fields: {
+      title: { type: 'string' },
+      count: { type: 'string' },
+      price: { type: 'float' },
+      legacy: { type: 'int' },
+    },
+  };
+  
+  const newTypedef = {
+    type: 'shape',
+    fields: {
+      title: { type: 'string' },
+      count: { type: 'int' },
+      price: { type: 'int' },
+      tags: { type: 'arrayOf', ofType: { type: 'string' } },
+    },
+  };
+  
+  it('converts values and fills new fields with defaults', () => {
+    const value = { title: 'a', count: '12', price: 2, legacy: 3 };
+    
+    assert.deepStrictEqual(migrateValue(value, oldTypedef, newTypedef), {
+      value: { title: 'a', count: 12, price: 2, tags: [] },
+      issues: [{
+        path: ['legacy'],
+        reason: MigrationIssueCodes.FIELD_REMOVED,
+        oldValue: 3,
+        newValue: undefined,
+      }],
+    });
+  });
+  
+  it('replaces values that cannot be converted with defaults', () => {
+    const value = { title: 'a', count: 'many', price: 1.5, legacy: 3 };
+    const result = migrateValue(value, oldTypedef, newTypedef);
+    
+    assert.deepStrictEqual(result.value.count, 0);
+    assert.deepStrictEqual(result.value.price, 0);
+    
+    assert.deepStrictEqual(
+      result.issues.map(issue => [issue.path, issue.reason]),
+      [
+        [['count'], MigrationIssueCodes.IMPOSSIBLE_CONVERSION],
+        [['price'], MigrationIssueCodes.IMPOSSIBLE_CONVERSION],
+        [['legacy'], MigrationIssueCodes.FIELD_REMOVED],
+      ]
+    );
+  });
+  
+  it('reports lossy conversions', () => {
+    const result = migrateValue(
+      ['007', '8'],
+      { type: 'arrayOf', ofType: { type: 'string' } },
+      { type: 'arrayOf', ofType: { type: 'int' } }
+    );
+    
+    assert.deepStrictEqual(result, {
+      value: [7, 8],
+      issues: [{
+        path: [0],
+        reason: MigrationIssueCodes.LOSSY_CONVERSION,
+        oldValue: '007',
+        newValue: 7,
+      }],
+    });
+  });
+  
+  it('migrates values of user types', () => {
+    const oldUserTypedefs = { Id: { type: 'int' } };
+    const newUserTypedefs = { Id: { type: 'string' } };
+    
+    assert.deepStrictEqual(
+      migrateValue(
+        42,
+        { type: 'Id' },
+        { type: 'Id' },
+        oldUserTypedefs,
+        newUserTypedefs
+      ),
+      { value: '42', issues: [] }
+    );
+  });
+});
@@ -0,0 +1,102 @@
+'use strict';
+
+const assert = require('assert');
+const { normalizeTypedef, typeHash } = require('../lib');
+
+describe('normalizeTypedef', () => {
+  it('inlines user types and sorts fields', () => {
+    const userTypedefs = {
+      Item: {
+        type: 'shape',
+        fields: {
+          title: { type: 'string' },
+          id: { type: 'int' },
+        },
+      },
+      
+      Alias: { type: 'Item' },
+    };
+    
+    assert.deepStrictEqual(normalizeTypedef({ type: 'Alias' }, userTypedefs), {
+      typedef: {
+        type: 'shape',
+        fields: {
+          id: { type: 'int' },
+          title: { type: 'string' },
+        },
+      },
+      userTypedefs: {},
+    });
+  });
+  
+  it('drops properties of the root typedef that do not affect equality', () => {
+    assert.deepStrictEqual(
+      normalizeTypedef({ type: 'int', required: true, defaultValue: 1 }),
+      { typedef: { type: 'int' }, userTypedefs: {} }
+    );
+  });
+  
+  it('names recursive types by the order of appearance', () => {
+    const userTypedefs = {
+      List: {
+        type: 'shape',
+        fields: {
+          next: { type: 'List' },
+        },
+      },
+    };
+    
+    assert.deepStrictEqual(normalizeTypedef({ type: 'List' }, userTypedefs), {
+      typedef: { type: 'Recursive1' },
+      userTypedefs: {
+        Recursive1: {
+          type: 'shape',
+          fields: {
+            next: { type: 'Recursive1' },
+          },
+        },
+      },
+    });
+  });
+});
+
+describe('typeHash', () => {
+  it('is the same for equal typedefs', () => {
+    const userTypedefs1 = {
+      List: {
+        type: 'shape',
+        fields: {
+          value: { type: 'int' },
+          next: { type: 'List' },
+        },
+      },
+    };
+    
+    const userTypedefs2 = {
+      Chain: {
+        type: 'shape',
+        fields: {
+          next: { type: 'Chain' },
+          value: { type: 'int' },
+        },
+      },
+    };
+    
+    assert.strictEqual(
+      typeHash({ type: 'List' }, userTypedefs1),
+      typeHash({ type: 'Chain' }, userTypedefs2)
+    );
+    
+    assert.strictEqual(
+      typeHash({ type: 'union', types: [{ type: 'int' }, { type: 'bool' }] }),
+      typeHash({ type: 'union', types: [{ type: 'bool' }, { type: 'int' }] })
+    );
+  });
+  
+  it('differs for different typedefs', () => {
+    assert.notStrictEqual(
+      typeHash({ type: 'int' }),
+      typeHash({ type: 'int', nullable: true })
+    );
+  });
+});
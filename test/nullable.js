@@ -0,0 +1,115 @@
+'use strict';
+
+const assert = require('assert');
+
+const {
+  createTypeSystem,
+  isNullableType,
+  isNullableTypedef,
+  isValidValue,
+  isCompatibleType,
+  makeDefaultValue,
+} = require('../lib');
+
+describe('isNullableType', () => {
+  it('returns true for types nullable by default', () => {
+    [
+      'shape',
+      'object',
+      'objectOf',
+      'func',
+      'component',
+      'element',
+      'renderer',
+      'any',
+    ].forEach(typeName => {
+      assert.strictEqual(isNullableType(typeName), true, typeName);
+    });
+  });
+  
+  it('returns false for other and unknown types', () => {
+    ['int', 'string', 'arrayOf', 'union', 'Unknown'].forEach(typeName => {
+      assert.strictEqual(isNullableType(typeName), false, typeName);
+    });
+  });
+  
+  it('follows definitions of registered types', () => {
+    const typeSystem = createTypeSystem();
+    
+    typeSystem.registerType('date', {
+      validate: value => value instanceof Date,
+      print: () => 'date',
+      isEqualType: () => true,
+      isCompatibleType: () => true,
+      makeDefaultValue: () => new Date(0),
+      nullable: true,
+    });
+    
+    assert.strictEqual(typeSystem.isNullableType('date'), true);
+  });
+});
+
+describe('isNullableTypedef', () => {
+  it('respects nullable and notNull flags', () => {
+    assert.strictEqual(isNullableTypedef({ type: 'int' }), false);
+    assert.strictEqual(
+      isNullableTypedef({ type: 'int', nullable: true }),
+      true
+    );
+    
+    assert.strictEqual(
+      isNullableTypedef({ type: 'func', notNull: true }),
+      false
+    );
+  });
+  
+  it('makes unions nullable if any of the members is', () => {
+    const union = types => ({ type: 'union', types });
+    const shape = { type: 'shape', fields: {} };
+    
+    assert.strictEqual(
+      isNullableTypedef(union([{ type: 'int' }, shape])),
+      true
+    );
+    
+    assert.strictEqual(
+      isNullableTypedef(union([{ type: 'int' }, { type: 'string' }])),
+      false
+    );
+  });
+});
+
+describe('nullable typedefs', () => {
+  const nullableInt = { type: 'int', nullable: true };
+  
+  it('accept null values', () => {
+    assert.strictEqual(isValidValue(null, nullableInt), true);
+    assert.strictEqual(isValidValue(null, { type: 'int' }), false);
+  });
+  
+  it('are not compatible with non-nullable ones', () => {
+    assert.strictEqual(isCompatibleType(nullableInt, { type: 'int' }), true);
+    assert.strictEqual(isCompatibleType({ type: 'int' }, nullableInt), false);
+  });
+  
+  it('have null default value unless nonNull is set', () => {
+    const typedef = {
+      type: 'shape',
+      fields: {
+        count: nullableInt,
+      },
+    };
+    
+    assert.strictEqual(makeDefaultValue(typedef), null);
+    
+    assert.deepStrictEqual(
+      makeDefaultValue(typedef, null, { nonNull: true }),
+      { count: null }
+    );
+    
+    assert.deepStrictEqual(
+      makeDefaultValue(typedef, null, { deepNonNull: true }),
+      { count: 0 }
+    );
+  });
+});
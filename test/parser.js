@@ -0,0 +1,146 @@
+'use strict';
+
+const assert = require('assert');
+const { parseType, printType } = require('../lib');
+
+describe('parseType', () => {
+  it('parses the printType notation', () => {
+    assert.deepStrictEqual(
+      parseType('arrayOf(shape(title:string, tags:arrayOf(string)))'),
+      {
+        type: 'arrayOf',
+        ofType: {
+          type: 'shape',
+          fields: {
+            title: { type: 'string' },
+            tags: { type: 'arrayOf', ofType: { type: 'string' } },
+          },
+        },
+      }
+    );
+    
+    assert.deepStrictEqual(parseType('oneOf("a", 1)'), {
+      type: 'oneOf',
+      options: [{ value: 'a' }, { value: 1 }],
+    });
+    
+    assert.deepStrictEqual(parseType('func(int) => bool'), {
+      type: 'func',
+      args: [{ type: 'int' }],
+      returns: { type: 'bool' },
+    });
+  });
+  
+  it('parses references to user types', () => {
+    const userTypedefs = {
+      Item: { type: 'shape', fields: {} },
+      List: { type: 'arrayOf', params: ['T'], ofType: { type: 'T' } },
+    };
+    
+    assert.deepStrictEqual(parseType('List(Item)', userTypedefs), {
+      type: 'List',
+      args: [{ type: 'Item' }],
+    });
+    
+    assert.throws(
+      () => parseType('List()', userTypedefs),
+      /User type 'List' takes 1 argument\(s\), got 0/
+    );
+  });
+  
+  it('parses flag wrappers', () => {
+    assert.deepStrictEqual(
+      parseType('shape(id:required(int), next:notNull(shape()))'),
+      {
+        type: 'shape',
+        fields: {
+          id: { type: 'int', required: true },
+          next: { type: 'shape', fields: {}, notNull: true },
+        },
+      }
+    );
+    
+    assert.deepStrictEqual(
+      parseType('nullable(string)'),
+      { type: 'string', nullable: true }
+    );
+  });
+  
+  it('reports positions of errors', () => {
+    try {
+      parseType('shape(\n  title:strin\n)');
+      assert.fail('parseType() did not throw');
+    } catch (err) {
+      assert.ok(/Unknown type 'strin' at line 2, column 9/.test(err.message));
+      assert.deepStrictEqual(err.position, { offset: 15, line: 2, column: 9 });
+    }
+  });
+});
+
+describe('printType and parseType', () => {
+  const roundTrip = (typedef, userTypedefs = null) => {
+    assert.deepStrictEqual(
+      parseType(printType(typedef, userTypedefs), userTypedefs),
+      typedef
+    );
+  };
+  
+  it('round-trip typedefs with constraints', () => {
+    roundTrip({
+      type: 'arrayOf',
+      ofType: { type: 'string', minLength: 1, pattern: '^[a-z]+$' },
+      maxItems: 3,
+    });
+  });
+  
+  it('round-trip nullable, notNull and required flags', () => {
+    roundTrip({
+      type: 'shape',
+      notNull: true,
+      fields: {
+        id: { type: 'int', required: true },
+        name: { type: 'string', nullable: true, required: true },
+        tags: {
+          type: 'objectOf',
+          notNull: true,
+          ofType: { type: 'string' },
+        },
+      },
+    });
+    
+    roundTrip({
+      type: 'component',
+      props: {
+        label: { type: 'string', required: true },
+      },
+    });
+  });
+  
+  it('round-trip names that are not identifiers', () => {
+    roundTrip({ type: 'scalar', name: 'my scalar' });
+    roundTrip({ type: 'scalar', name: 'plain' });
+    
+    roundTrip({
+      type: 'shape',
+      fields: {
+        'first name': { type: 'string' },
+      },
+    });
+  });
+  
+  it('round-trip recursive references', () => {
+    const userTypedefs = {
+      Node: {
+        type: 'shape',
+        fields: {
+          next: { type: 'Node', notNull: true },
+        },
+      },
+    };
+    
+    const text = printType({ type: 'Node' }, userTypedefs);
+    
+    assert.strictEqual(text, 'shape(next:notNull(Node))');
+    assert.deepStrictEqual(parseType(text, userTypedefs), userTypedefs.Node);
+  });
+});
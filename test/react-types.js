@@ -0,0 +1,68 @@
+'use strict';
+
+const assert = require('assert');
+
+const {
+  isValidValue,
+  validateValue,
+  explainCompatibility,
+  ValueErrorCodes,
+  IncompatibilityCodes,
+} = require('../lib');
+
+const Button = () => null;
+const Link = { $$typeof: Symbol.for('react.forward_ref'), render: () => null };
+const element = { $$typeof: Symbol.for('react.element'), type: Button };
+
+Link.displayName = 'Link';
+
+describe('component type', () => {
+  it('accepts function and special object components', () => {
+    assert.strictEqual(isValidValue(Button, { type: 'component' }), true);
+    assert.strictEqual(isValidValue(Link, { type: 'component' }), true);
+    assert.strictEqual(isValidValue({}, { type: 'component' }), false);
+  });
+  
+  it('checks names of allowed components', () => {
+    const typedef = { type: 'component', components: ['Button'] };
+    
+    assert.strictEqual(isValidValue(Button, typedef), true);
+    
+    assert.deepStrictEqual(
+      validateValue(Link, typedef).map(error => error.reason),
+      [ValueErrorCodes.CONSTRAINT_VIOLATION]
+    );
+  });
+  
+  it('is not compatible with components that require more props', () => {
+    const reasons = explainCompatibility(
+      { type: 'component', props: {} },
+      {
+        type: 'component',
+        props: {
+          label: { type: 'string', required: true },
+        },
+      }
+    );
+    
+    assert.deepStrictEqual(
+      reasons.map(reason => reason.reason),
+      [IncompatibilityCodes.COMPONENT_PROP_MISSING]
+    );
+  });
+});
+
+describe('element type', () => {
+  it('accepts React elements only', () => {
+    assert.strictEqual(isValidValue(element, { type: 'element' }), true);
+    assert.strictEqual(isValidValue(Button, { type: 'element' }), false);
+    assert.strictEqual(isValidValue({}, { type: 'element' }), false);
+  });
+});
+
+describe('renderer type', () => {
+  it('accepts functions', () => {
+    assert.strictEqual(isValidValue(() => element, { type: 'renderer' }), true);
+    assert.strictEqual(isValidValue(element, { type: 'renderer' }), false);
+  });
+});
@@ -0,0 +1,115 @@
+'use strict';
+
+const assert = require('assert');
+
+const {
+  isValidValue,
+  validateValue,
+  validateUserTypedefs,
+  printType,
+  isEqualType,
+  makeDefaultValue,
+  TypedefErrorCodes,
+} = require('../lib');
+
+describe('recursive user types', () => {
+  const userTypedefs = {
+    Tree: {
+      type: 'shape',
+      fields: {
+        value: { type: 'int' },
+        children: {
+          type: 'arrayOf',
+          ofType: { type: 'Tree', notNull: true },
+        },
+      },
+    },
+    
+    Person: {
+      type: 'shape',
+      fields: {
+        employer: { type: 'Company' },
+      },
+    },
+    
+    Company: {
+      type: 'shape',
+      fields: {
+        staff: { type: 'arrayOf', ofType: { type: 'Person' } },
+      },
+    },
+  };
+  
+  const tree = {
+    value: 1,
+    children: [
+      { value: 2, children: [] },
+      { value: 'three', children: [] },
+    ],
+  };
+  
+  it('validate values of any depth', () => {
+    assert.strictEqual(
+      isValidValue(tree, { type: 'Tree' }, userTypedefs),
+      false
+    );
+    
+    assert.deepStrictEqual(
+      validateValue(tree, { type: 'Tree' }, userTypedefs),
+      [{
+        path: ['children', 1, 'value'],
+        expected: 'int',
+        actual: 'string',
+        reason: 'type-mismatch',
+      }]
+    );
+  });
+  
+  it('support mutual recursion', () => {
+    const person = { employer: { staff: [{ employer: null }] } };
+    
+    assert.strictEqual(
+      isValidValue(person, { type: 'Person' }, userTypedefs),
+      true
+    );
+    
+    assert.strictEqual(
+      isEqualType(
+        { type: 'Person' },
+        { type: 'Person' },
+        userTypedefs,
+        userTypedefs
+      ),
+      true
+    );
+  });
+  
+  it('are printed by name where they recur', () => {
+    assert.strictEqual(
+      printType({ type: 'Tree' }, userTypedefs),
+      'shape(value:int, children:arrayOf(notNull(Tree)))'
+    );
+  });
+  
+  it('have finite default values', () => {
+    assert.deepStrictEqual(
+      makeDefaultValue({ type: 'Tree' }, userTypedefs, { deepNonNull: true }),
+      { value: 0, children: [] }
+    );
+  });
+  
+  it('cannot be circular aliases', () => {
+    const errors = validateUserTypedefs({
+      A: { type: 'B' },
+      B: { type: 'A' },
+    });
+    
+    assert.deepStrictEqual(
+      errors.map(error => [error.path, error.reason]),
+      [
+        [['A'], TypedefErrorCodes.CIRCULAR_ALIAS],
+        [['B'], TypedefErrorCodes.CIRCULAR_ALIAS],
+      ]
+    );
+  });
+});
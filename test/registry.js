@@ -0,0 +1,119 @@
+'use strict';
+
+const assert = require('assert');
+const { createTypeSystem } = require('../lib');
+
+const dateType = {
+  validate: value => value instanceof Date,
+  print: () => 'date',
+  isEqualType: () => true,
+  isCompatibleType: (typedef1, typedef2) => typedef2.type === 'date',
+  makeDefaultValue: () => new Date(0),
+  coerce: {
+    int: value => new Date(value),
+  },
+};
+
+describe('createTypeSystem', () => {
+  it('creates independent type systems', () => {
+    const typeSystem1 = createTypeSystem();
+    const typeSystem2 = createTypeSystem();
+    
+    typeSystem1.registerType('date', dateType);
+    
+    assert.strictEqual(typeSystem1.hasType('date'), true);
+    assert.strictEqual(typeSystem2.hasType('date'), false);
+  });
+  
+  it('provides the methods of all groups', () => {
+    const typeSystem = createTypeSystem();
+    
+    [
+      'validateValue',
+      'compileCoercer',
+      'toJSONSchema',
+      'printTypeScript',
+      'parseType',
+      'isEqualValue',
+      'migrateValue',
+      'generateValue',
+      'setValueAtPath',
+      'typeHash',
+    ].forEach(method => {
+      assert.strictEqual(typeof typeSystem[method], 'function', method);
+    });
+  });
+});
+
+describe('registerType', () => {
+  const typeSystem = createTypeSystem();
+  
+  typeSystem.registerType('date', dateType);
+  
+  it('makes the type usable in typedefs', () => {
+    const typedef = { type: 'arrayOf', ofType: { type: 'date' } };
+    
+    assert.strictEqual(typeSystem.isValidValue([new Date()], typedef), true);
+    assert.strictEqual(typeSystem.isValidValue(['2018'], typedef), false);
+    assert.strictEqual(typeSystem.printType(typedef), 'arrayOf(date)');
+    
+    assert.deepStrictEqual(
+      typeSystem.makeDefaultValue({ type: 'date' }),
+      new Date(0)
+    );
+  });
+  
+  it('uses coercions of the type and allows coercion to any', () => {
+    assert.strictEqual(typeSystem.hasCoercion('int', 'date'), true);
+    assert.strictEqual(typeSystem.hasCoercion('date', 'any'), true);
+    
+    assert.deepStrictEqual(
+      typeSystem.coerceValue(5, { type: 'int' }, { type: 'date' }),
+      new Date(5)
+    );
+  });
+  
+  it('explains incompatibility of types with isCompatibleType only', () => {
+    const reasons = typeSystem.explainCompatibility(
+      { type: 'date' },
+      { type: 'int' }
+    );
+    
+    assert.strictEqual(reasons.length, 1);
+    assert.deepStrictEqual(reasons[0].path, []);
+  });
+  
+  it('rejects registered types and incomplete definitions', () => {
+    assert.throws(
+      () => typeSystem.registerType('date', dateType),
+      /Type 'date' already registered/
+    );
+    
+    assert.throws(
+      () => typeSystem.registerType('time', { validate: () => true }),
+      /Definition of 'time' has no 'print' method/
+    );
+  });
+});
+
+describe('registerCoercion', () => {
+  it('adds coercions between registered types', () => {
+    const typeSystem = createTypeSystem();
+    
+    assert.strictEqual(typeSystem.hasCoercion('bool', 'int'), false);
+    typeSystem.registerCoercion('bool', 'int', value => (value ? 1 : 0));
+    assert.strictEqual(typeSystem.hasCoercion('bool', 'int'), true);
+    
+    assert.strictEqual(
+      typeSystem.coerceValue(true, { type: 'bool' }, { type: 'int' }),
+      1
+    );
+  });
+  
+  it('throws for unknown types', () => {
+    assert.throws(
+      () => createTypeSystem().registerCoercion('int', 'date', () => null),
+      /Unknown type 'date'/
+    );
+  });
+});
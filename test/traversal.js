@@ -0,0 +1,83 @@
+'use strict';
+
+const assert = require('assert');
+const { traverseTypedef, mapTypedef } = require('../lib');
+
+describe('traverseTypedef', () => {
+  const userTypedefs = {
+    Node: {
+      type: 'shape',
+      fields: {
+        value: { type: 'int' },
+        next: { type: 'Node' },
+      },
+    },
+  };
+  
+  const typedef = { type: 'arrayOf', ofType: { type: 'Node' } };
+  
+  it('visits nested typedefs and user types depth-first', () => {
+    const visited = [];
+    
+    traverseTypedef(typedef, userTypedefs, node => {
+      visited.push([node.path, node.typedef.type, node.isRecursive]);
+    });
+    
+    assert.deepStrictEqual(visited, [
+      [[], 'arrayOf', false],
+      [['ofType'], 'Node', false],
+      [['ofType', 'fields', 'value'], 'int', false],
+      [['ofType', 'fields', 'next'], 'Node', true],
+    ]);
+  });
+  
+  it('calls leave and skips children if enter returns false', () => {
+    const events = [];
+    
+    traverseTypedef(typedef, userTypedefs, {
+      enter: node => {
+        events.push(`enter ${node.typedef.type}`);
+        return node.typedef.type !== 'Node';
+      },
+      
+      leave: node => {
+        events.push(`leave ${node.typedef.type}`);
+      },
+    });
+    
+    assert.deepStrictEqual(events, [
+      'enter arrayOf',
+      'enter Node',
+      'leave Node',
+      'leave arrayOf',
+    ]);
+  });
+});
+
+describe('mapTypedef', () => {
+  it('replaces nested typedefs bottom-up', () => {
+    const typedef = {
+      type: 'shape',
+      fields: {
+        count: { type: 'int' },
+        list: { type: 'arrayOf', ofType: { type: 'int' } },
+      },
+    };
+    
+    const mapped = mapTypedef(
+      typedef,
+      null,
+      nested => (nested.type === 'int' ? { type: 'float' } : undefined)
+    );
+    
+    assert.deepStrictEqual(mapped, {
+      type: 'shape',
+      fields: {
+        count: { type: 'float' },
+        list: { type: 'arrayOf', ofType: { type: 'float' } },
+      },
+    });
+    
+    assert.strictEqual(typedef.fields.count.type, 'int');
+  });
+});
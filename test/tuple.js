@@ -0,0 +1,63 @@
+'use strict';
+
+const assert = require('assert');
+
+const {
+  isValidValue,
+  validateValue,
+  explainCompatibility,
+  getNestedTypedef,
+  makeDefaultValue,
+  coerceValue,
+  printType,
+  IncompatibilityCodes,
+} = require('../lib');
+
+describe('tuple type', () => {
+  const typedef = {
+    type: 'tuple',
+    items: [{ type: 'string' }, { type: 'int' }],
+  };
+  
+  it('accepts arrays with items of the given types', () => {
+    assert.strictEqual(isValidValue(['a', 1], typedef), true);
+    assert.strictEqual(isValidValue(['a'], typedef), false);
+    assert.strictEqual(isValidValue(['a', 1, 2], typedef), false);
+    
+    assert.deepStrictEqual(validateValue(['a', 'b'], typedef), [{
+      path: [1],
+      expected: 'int',
+      actual: 'string',
+      reason: 'type-mismatch',
+    }]);
+  });
+  
+  it('has typedefs of items by position', () => {
+    assert.strictEqual(printType(typedef), 'tuple(string, int)');
+    assert.deepStrictEqual(getNestedTypedef(typedef, [1]), { type: 'int' });
+    assert.deepStrictEqual(makeDefaultValue(typedef), ['', 0]);
+  });
+  
+  it('is compatible only with tuples of the same length', () => {
+    const reasons = explainCompatibility(typedef, {
+      type: 'tuple',
+      items: [{ type: 'string' }],
+    });
+    
+    assert.deepStrictEqual(
+      reasons.map(reason => reason.reason),
+      [IncompatibilityCodes.TUPLE_LENGTH_MISMATCH]
+    );
+  });
+  
+  it('coerces items one by one', () => {
+    assert.deepStrictEqual(
+      coerceValue(
+        [1, 2],
+        { type: 'tuple', items: [{ type: 'int' }, { type: 'int' }] },
+        { type: 'tuple', items: [{ type: 'string' }, { type: 'int' }] }
+      ),
+      ['1', 2]
+    );
+  });
+});
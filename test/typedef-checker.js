@@ -0,0 +1,81 @@
+'use strict';
+
+const assert = require('assert');
+
+const {
+  validateTypedef,
+  validateUserTypedefs,
+  TypedefErrorCodes,
+} = require('../lib');
+
+describe('validateTypedef', () => {
+  it('returns an empty list for valid typedefs', () => {
+    assert.deepStrictEqual(
+      validateTypedef({ type: 'arrayOf', ofType: { type: 'int', min: 0 } }),
+      []
+    );
+  });
+  
+  it('reports every problem with the path to it', () => {
+    const errors = validateTypedef({
+      type: 'shape',
+      fields: {
+        list: { type: 'arrayOf' },
+        count: { type: 'int', min: 'one' },
+        other: { type: 'Unknown' },
+      },
+    });
+    
+    assert.deepStrictEqual(
+      errors.map(error => [error.path, error.reason]),
+      [
+        [['fields', 'list', 'ofType'], TypedefErrorCodes.MISSING_PROPERTY],
+        [['fields', 'count', 'min'], TypedefErrorCodes.INVALID_PROPERTY],
+        [['fields', 'other', 'type'], TypedefErrorCodes.UNKNOWN_TYPE],
+      ]
+    );
+  });
+  
+  it('reports duplicate oneOf options', () => {
+    assert.deepStrictEqual(
+      validateTypedef({
+        type: 'oneOf',
+        options: [{ value: 1 }, { value: 1 }],
+      }),
+      [{
+        path: ['options', 1],
+        reason: TypedefErrorCodes.DUPLICATE_ONE_OF_OPTION,
+        message: 'Duplicate oneOf option: 1',
+      }]
+    );
+  });
+});
+
+describe('validateUserTypedefs', () => {
+  it('reports references to unknown user types', () => {
+    const errors = validateUserTypedefs({
+      Item: {
+        type: 'shape',
+        fields: {
+          owner: { type: 'Owner' },
+        },
+      },
+    });
+    
+    assert.deepStrictEqual(
+      errors.map(error => [error.path, error.reason]),
+      [[['Item', 'fields', 'owner', 'type'], TypedefErrorCodes.UNKNOWN_TYPE]]
+    );
+  });
+  
+  it('does not allow redefining registered types', () => {
+    assert.deepStrictEqual(
+      validateUserTypedefs({ int: { type: 'string' } }),
+      [{
+        path: ['int'],
+        reason: TypedefErrorCodes.BUILTIN_TYPE_REDEFINED,
+        message: "Cannot redefine registered type 'int'",
+      }]
+    );
+  });
+});
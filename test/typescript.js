@@ -0,0 +1,85 @@
+'use strict';
+
+const assert = require('assert');
+const { printTypeScript, generateDeclarations } = require('../lib');
+
+describe('printTypeScript', () => {
+  it('prints built-in types', () => {
+    assert.strictEqual(
+      printTypeScript({ type: 'arrayOf', ofType: { type: 'int' } }),
+      'number[]'
+    );
+    
+    assert.strictEqual(
+      printTypeScript({
+        type: 'func',
+        args: [{ type: 'string' }],
+        returns: { type: 'bool' },
+      }),
+      '((arg0: string) => boolean) | null'
+    );
+  });
+  
+  it('prints references to user types by name', () => {
+    const userTypedefs = { Item: { type: 'shape', fields: {} } };
+    
+    assert.strictEqual(
+      printTypeScript({ type: 'Item' }, userTypedefs),
+      'Item | null'
+    );
+  });
+});
+
+describe('generateDeclarations', () => {
+  it('declares shapes as interfaces and other types as aliases', () => {
+    const userTypedefs = {
+      Item: {
+        type: 'shape',
+        fields: {
+          name: { type: 'string', required: true },
+        },
+      },
+      List: {
+        type: 'arrayOf',
+        params: ['T'],
+        ofType: { type: 'T' },
+      },
+    };
+    
+    assert.strictEqual(
+      generateDeclarations(userTypedefs),
+      'export interface Item {\n' +
+      '  name: string;\n' +
+      '}\n' +
+      '\n' +
+      'export type List<T> = T[];\n'
+    );
+  });
+  
+  it('throws if a name is not a valid identifier', () => {
+    assert.throws(
+      () => generateDeclarations({ 'My Item': { type: 'string' } }),
+      /Cannot print type 'My Item' in TypeScript/
+    );
+  });
+  
+  it('throws if a name is a reserved word', () => {
+    ['number', 'string', 'class', 'default', 'unknown'].forEach(name => {
+      assert.throws(
+        () => generateDeclarations({ [name]: { type: 'string' } }),
+        new RegExp(`type '${name}' in TypeScript: name is a reserved word`)
+      );
+    });
+    
+    assert.throws(
+      () => generateDeclarations({
+        List: {
+          type: 'arrayOf',
+          params: ['void'],
+          ofType: { type: 'void' },
+        },
+      }),
+      /Cannot print type parameter 'void' in TypeScript/
+    );
+  });
+});
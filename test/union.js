@@ -0,0 +1,73 @@
+'use strict';
+
+const assert = require('assert');
+
+const {
+  isValidValue,
+  validateValue,
+  validateTypedef,
+  isCompatibleType,
+  makeDefaultValue,
+  coerceValue,
+  printType,
+  TypedefErrorCodes,
+} = require('../lib');
+
+describe('union type', () => {
+  const ints = { type: 'arrayOf', ofType: { type: 'int' } };
+  const typedef = { type: 'union', types: [{ type: 'string' }, ints] };
+  
+  it('accepts values of any of the member types', () => {
+    assert.strictEqual(isValidValue('a', typedef), true);
+    assert.strictEqual(isValidValue([1], typedef), true);
+    assert.strictEqual(isValidValue(1, typedef), false);
+    
+    assert.deepStrictEqual(validateValue(1, typedef), [{
+      path: [],
+      expected: 'union(string, arrayOf(int))',
+      actual: 'number',
+      reason: 'type-mismatch',
+    }]);
+  });
+  
+  it('accepts unions with fewer or reordered members', () => {
+    assert.strictEqual(isCompatibleType(typedef, { type: 'string' }), true);
+    assert.strictEqual(isCompatibleType({ type: 'string' }, typedef), false);
+    
+    assert.strictEqual(
+      isCompatibleType(typedef, {
+        type: 'union',
+        types: [ints, { type: 'string' }],
+      }),
+      true
+    );
+  });
+  
+  it('uses the first member for default values', () => {
+    assert.strictEqual(printType(typedef), 'union(string, arrayOf(int))');
+    assert.strictEqual(makeDefaultValue(typedef), '');
+  });
+  
+  it('coerces to the same member type first', () => {
+    const strings = { type: 'arrayOf', ofType: { type: 'string' } };
+    
+    assert.strictEqual(coerceValue(5, { type: 'int' }, typedef), '5');
+    assert.deepStrictEqual(coerceValue([1], ints, typedef), [1]);
+    
+    assert.deepStrictEqual(
+      coerceValue([1], ints, { type: 'union', types: [strings, ints] }),
+      [1]
+    );
+  });
+  
+  it('requires at least one member', () => {
+    assert.deepStrictEqual(
+      validateTypedef({ type: 'union', types: [] }),
+      [{
+        path: ['types'],
+        reason: TypedefErrorCodes.EMPTY_UNION_TYPES,
+        message: "'types' must not be empty",
+      }]
+    );
+  });
+});
@@ -0,0 +1,97 @@
+'use strict';
+
+const assert = require('assert');
+const { validateValue, isValidValue, ValueErrorCodes } = require('../lib');
+
+describe('validateValue', () => {
+  const userTypedefs = {
+    Item: {
+      type: 'shape',
+      fields: {
+        id: { type: 'int', required: true },
+        tags: { type: 'arrayOf', ofType: { type: 'string' } },
+      },
+    },
+  };
+  
+  it('returns an empty list for valid values', () => {
+    assert.deepStrictEqual(validateValue(5, { type: 'int' }), []);
+    assert.deepStrictEqual(
+      validateValue({ id: 1, tags: ['a'] }, { type: 'Item' }, userTypedefs),
+      []
+    );
+  });
+  
+  it('reports every error with the path to the bad value', () => {
+    const errors = validateValue(
+      { id: 'x', tags: ['a', 1] },
+      { type: 'Item' },
+      userTypedefs
+    );
+    
+    assert.deepStrictEqual(errors, [
+      {
+        path: ['id'],
+        expected: 'int',
+        actual: 'string',
+        reason: ValueErrorCodes.TYPE_MISMATCH,
+      },
+      {
+        path: ['tags', 1],
+        expected: 'string',
+        actual: 'number',
+        reason: ValueErrorCodes.TYPE_MISMATCH,
+      },
+    ]);
+  });
+  
+  it('reports missing required fields', () => {
+    assert.deepStrictEqual(
+      validateValue({}, { type: 'Item' }, userTypedefs),
+      [{
+        path: ['id'],
+        expected: 'int',
+        actual: 'undefined',
+        reason: ValueErrorCodes.MISSING_REQUIRED_FIELD,
+      }]
+    );
+  });
+  
+  it('reports null on notNull types', () => {
+    const typedef = {
+      type: 'shape',
+      fields: {
+        nested: { type: 'shape', notNull: true, fields: {} },
+      },
+    };
+    
+    assert.deepStrictEqual(validateValue({ nested: null }, typedef), [{
+      path: ['nested'],
+      expected: 'notNull(shape())',
+      actual: 'null',
+      reason: ValueErrorCodes.NULL_ON_NOT_NULL,
+    }]);
+  });
+  
+  it('reports values that are not oneOf options', () => {
+    const errors = validateValue('c', {
+      type: 'oneOf',
+      options: [{ value: 'a' }],
+    });
+    
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].reason, ValueErrorCodes.NOT_IN_ONE_OF_OPTIONS);
+  });
+  
+  it('agrees with isValidValue', () => {
+    const typedef = { type: 'Item' };
+    const values = [null, {}, { id: 1 }, { id: 1, tags: [2] }, [], 'x'];
+    
+    values.forEach(value => {
+      assert.strictEqual(
+        validateValue(value, typedef, userTypedefs).length === 0,
+        isValidValue(value, typedef, userTypedefs)
+      );
+    });
+  });
+});
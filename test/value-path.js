@@ -0,0 +1,97 @@
+'use strict';
+
+const assert = require('assert');
+const { getValueAtPath, setValueAtPath } = require('../lib');
+
+describe('Value paths', () => {
+  const typedef = {
+    type: 'shape',
+    fields: {
+      list: { type: 'arrayOf', ofType: { type: 'int' }, maxItems: 2 },
+      nested: { type: 'shape', fields: { x: { type: 'int' } } },
+    },
+  };
+  
+  const getErrorPath = fn => {
+    try {
+      fn();
+    } catch (err) {
+      return err.path;
+    }
+    
+    throw new Error('Expected an error');
+  };
+  
+  describe('getValueAtPath', () => {
+    it('returns nested values', () => {
+      assert.strictEqual(
+        getValueAtPath({ list: [1, 2] }, ['list', 1], typedef),
+        2
+      );
+    });
+    
+    it('returns undefined inside null containers', () => {
+      assert.strictEqual(
+        getValueAtPath({ nested: null }, ['nested', 'x'], typedef),
+        undefined
+      );
+    });
+    
+    it('throws if the path does not exist in the typedef', () => {
+      assert.throws(() => getValueAtPath({}, ['missing'], typedef));
+    });
+  });
+  
+  describe('setValueAtPath', () => {
+    it('copies containers along the path', () => {
+      const value = { list: [1, 2], nested: { x: 1 } };
+      const newValue = setValueAtPath(value, ['list', 0], 5, typedef);
+      
+      assert.deepStrictEqual(newValue, { list: [5, 2], nested: { x: 1 } });
+      assert.deepStrictEqual(value.list, [1, 2]);
+      assert.strictEqual(newValue.nested, value.nested);
+    });
+    
+    it('creates missing containers', () => {
+      assert.deepStrictEqual(
+        setValueAtPath({}, ['nested', 'x'], 3, typedef),
+        { nested: { x: 3 } }
+      );
+    });
+    
+    it('appends items at the end of arrays', () => {
+      assert.deepStrictEqual(
+        setValueAtPath({ list: [1] }, ['list', 1], 2, typedef),
+        { list: [1, 2] }
+      );
+    });
+    
+    it('rejects invalid new values', () => {
+      assert.deepStrictEqual(
+        getErrorPath(() => setValueAtPath({}, ['nested', 'x'], 'a', typedef)),
+        ['nested', 'x']
+      );
+    });
+    
+    it('rejects holes in arrays', () => {
+      assert.deepStrictEqual(
+        getErrorPath(() =>
+          setValueAtPath({ list: [] }, ['list', 1], 1, typedef)),
+        ['list']
+      );
+    });
+    
+    it('rejects containers made invalid by the new value', () => {
+      assert.throws(
+        () => setValueAtPath({ list: [1, 2] }, ['list', 2], 3, typedef),
+        /value at list would not be a valid value of arrayOf\(int, maxItems:2\)/
+      );
+      
+      assert.deepStrictEqual(
+        getErrorPath(() =>
+          setValueAtPath({ list: [1, 2] }, ['list', 2], 3, typedef)),
+        ['list']
+      );
+    });
+  });
+});